@@ -2,8 +2,68 @@ const User = require('../models/User');
 const Service = require('../models/Service');
 const Booking = require('../models/Booking');
 const Payment = require('../models/Payment');
+const WebhookEvent = require('../models/WebhookEvent');
+const Job = require('../models/Job');
+const Broadcast = require('../models/Broadcast');
+const BroadcastDelivery = require('../models/BroadcastDelivery');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/async');
+const ExchangeRate = require('../models/ExchangeRate');
+const { processWebhookEvent } = require('../utils/webhooks');
+const { getWorker } = require('../utils/backgroundJobs');
+const { isSensitiveJob } = require('../utils/jobQueue');
+const { CHANNELS } = require('../utils/notifications');
+const { createBroadcast } = require('../utils/broadcasts');
+const { SUPPORTED_CURRENCIES, getBaseCurrency, loadRates, convertFieldExpr } = require('../utils/currency');
+
+// Money figures are reported in one currency (?currency=, default the base currency).
+// Resolves to { currency, rates, convert } where convert(field) is an aggregation expression.
+const getReportCurrency = async (req) => {
+    const rates = await loadRates();
+    const currency = req.query.currency ? String(req.query.currency).toUpperCase() : getBaseCurrency();
+
+    if (!rates[currency]) {
+        throw new ErrorResponse(`No exchange rate is set for ${currency}`, 400);
+    }
+
+    return {
+        currency,
+        rates,
+        convert: (field) => convertFieldExpr(field, rates, currency)
+    };
+};
+
+// Currencies of matching payments that have no rate and so are left out of converted totals
+const getMissingRates = async (match, rates) => {
+    const currencies = await Payment.distinct('currency', match);
+    return [...new Set(currencies.map(currency => String(currency).toUpperCase()))]
+        .filter(currency => !rates[currency]);
+};
+
+const roundAmount = (amount) => Math.round((amount || 0) * 100) / 100;
+
+// A job as admins see it: payloads of sensitive jobs (emails with sign-in links) are left out
+const redactJob = (job) => (isSensitiveJob(job.type)
+    ? { ...job.toJSON(), payload: { redacted: true } }
+    : job);
+
+// Payments counted as revenue; security deposits are held for the customer, not earned.
+// Refunded payments stay in with what was kept after refunds (see KEPT_AMOUNT).
+const REVENUE_PAYMENTS = {
+    status: { $in: ['completed', 'partially_refunded', 'refunded'] },
+    purpose: { $ne: 'deposit' }
+};
+
+// What the business kept of a payment after refunds, and the tax in it (refunds give back
+// tax in proportion)
+const KEPT_AMOUNT = { $subtract: ['$amount', { $ifNull: ['$refundAmount', 0] }] };
+const KEPT_TAX = {
+    $cond: [
+        { $gt: ['$amount', 0] },
+        { $divide: [{ $multiply: [{ $ifNull: ['$taxAmount', 0] }, KEPT_AMOUNT] }, '$amount'] },
+        0
+    ]
+};
 
 // @desc    Get dashboard statistics
 // @route   GET /api/admin/dashboard
@@ -23,25 +83,32 @@ exports.getDashboardStats = asyncHandler(async (req, res, next) => {
         .sort('-createdAt')
         .limit(5);
 
-    // Get revenue statistics
+    // Get revenue statistics, converted into the report currency
+    const report = await getReportCurrency(req);
+
     const totalRevenue = await Payment.aggregate([
-        { $match: { status: 'completed' } },
-        { $group: { _id: null, total: { $sum: '$amount' } } }
+        { $match: REVENUE_PAYMENTS },
+        {
+            $group: {
+                _id: null,
+                total: { $sum: report.convert(KEPT_AMOUNT) },
+                tax: { $sum: report.convert(KEPT_TAX) }
+            }
+        }
     ]);
 
-
-
     const monthlyRevenue = await Payment.aggregate([
-        { $match: { status: 'completed' } },
+        { $match: REVENUE_PAYMENTS },
         {
             $group: {
                 _id: {
                     year: { $year: '$createdAt' },
                     month: { $month: '$createdAt' }
                 },
-                total: { $sum: '$amount' }
+                total: { $sum: report.convert(KEPT_AMOUNT) }
             }
         },
+        { $addFields: { total: { $round: ['$total', 2] } } },
         { $sort: { '_id.year': -1, '_id.month': -1 } },
         { $limit: 6 }
     ]);
@@ -74,7 +141,11 @@ exports.getDashboardStats = asyncHandler(async (req, res, next) => {
                 totalServices,
                 totalBookings,
                 totalPayments,
-                totalRevenue: totalRevenue[0]?.total || 0
+                currency: report.currency,
+                totalRevenue: roundAmount(totalRevenue[0]?.total),
+                totalTax: roundAmount(totalRevenue[0]?.tax),
+                netRevenue: roundAmount((totalRevenue[0]?.total || 0) - (totalRevenue[0]?.tax || 0)),
+                missingRates: await getMissingRates(REVENUE_PAYMENTS, report.rates)
             },
             recentActivity: {
                 users: recentUsers,
@@ -131,35 +202,66 @@ exports.getRevenueAnalytics = asyncHandler(async (req, res, next) => {
             break;
     }
 
+    // All amounts are converted into one report currency before they are added up
+    const report = await getReportCurrency(req);
+    const netAmount = { $subtract: [KEPT_AMOUNT, KEPT_TAX] };
+    const roundTotals = (fields) => ({
+        $addFields: Object.fromEntries(fields.map(field => [field, { $round: [`$${field}`, 2] }]))
+    });
+
+    // `total` is what customers paid less refunds (tax-inclusive); `net` is the same figure without tax
     const revenue = await Payment.aggregate([
-        { $match: { status: 'completed', ...dateFilter } },
+        { $match: { ...REVENUE_PAYMENTS, ...dateFilter } },
         {
             $group: {
                 _id: groupBy,
-                total: { $sum: '$amount' },
+                total: { $sum: report.convert(KEPT_AMOUNT) },
+                refunds: { $sum: report.convert({ $ifNull: ['$refundAmount', 0] }) },
+                tax: { $sum: report.convert(KEPT_TAX) },
+                net: { $sum: report.convert(netAmount) },
+                processingFees: { $sum: report.convert('$processingFee') },
                 count: { $sum: 1 }
             }
         },
+        roundTotals(['total', 'refunds', 'tax', 'net', 'processingFees']),
         { $sort: { '_id.year': -1, '_id.month': -1, '_id.day': -1, '_id.week': -1 } }
     ]);
 
     // Get payment method distribution
     const paymentMethods = await Payment.aggregate([
-        { $match: { status: 'completed', ...dateFilter } },
+        { $match: { ...REVENUE_PAYMENTS, ...dateFilter } },
         {
             $group: {
                 _id: '$paymentMethod',
-                total: { $sum: '$amount' },
+                total: { $sum: report.convert(KEPT_AMOUNT) },
+                net: { $sum: report.convert(netAmount) },
                 count: { $sum: 1 }
             }
-        }
+        },
+        roundTotals(['total', 'net'])
+    ]);
+
+    // Totals per original currency, before conversion
+    const byCurrency = await Payment.aggregate([
+        { $match: { ...REVENUE_PAYMENTS, ...dateFilter } },
+        {
+            $group: {
+                _id: { $toUpper: '$currency' },
+                total: { $sum: KEPT_AMOUNT },
+                count: { $sum: 1 }
+            }
+        },
+        { $sort: { total: -1 } }
     ]);
 
     res.status(200).json({
         success: true,
         data: {
+            currency: report.currency,
             revenue,
-            paymentMethods
+            paymentMethods,
+            byCurrency,
+            missingRates: await getMissingRates({ ...REVENUE_PAYMENTS, ...dateFilter }, report.rates)
         }
     });
 });
@@ -414,6 +516,22 @@ exports.getSystemHealth = asyncHandler(async (req, res, next) => {
         });
     }
 
+    const failedWebhooks = await WebhookEvent.countDocuments({ status: 'failed' });
+    if (failedWebhooks > 0) {
+        alerts.push({
+            type: 'error',
+            message: `Webhook events failing to process: ${failedWebhooks}`
+        });
+    }
+
+    const deadJobs = await Job.countDocuments({ status: 'dead' });
+    if (deadJobs > 0) {
+        alerts.push({
+            type: 'error',
+            message: `Background jobs out of retries: ${deadJobs}`
+        });
+    }
+
     res.status(200).json({
         success: true,
         data: {
@@ -425,38 +543,129 @@ exports.getSystemHealth = asyncHandler(async (req, res, next) => {
     });
 });
 
-// @desc    Send bulk notifications
-// @route   POST /api/admin/notifications
+// @desc    Send a templated notification to many users; delivered by the job worker
+// @route   POST /api/admin/notifications/bulk
 // @access  Private (Admin)
 exports.sendBulkNotifications = asyncHandler(async (req, res, next) => {
-    const { type, message, recipients, filters } = req.body;
+    const { type, subject, message, variables, recipients, filters, ratePerMinute } = req.body;
 
-    let userQuery = {};
+    // `type` names a single channel (or 'all'); `channels` lists several
+    const channels = req.body.channels || (type && type !== 'all' ? [type] : CHANNELS);
 
-    // Apply filters
-    if (filters) {
-        if (filters.role) userQuery.role = filters.role;
-        if (filters.isActive !== undefined) userQuery.isActive = filters.isActive;
-        if (filters.isEmailVerified !== undefined) userQuery.isEmailVerified = filters.isEmailVerified;
+    if (!message || !String(message).trim()) {
+        return next(new ErrorResponse('Message is required', 400));
+    }
+    if (!Array.isArray(channels) || channels.length === 0 || channels.some(channel => !CHANNELS.includes(channel))) {
+        return next(new ErrorResponse(`Channels must be one or more of: ${CHANNELS.join(', ')}`, 400));
+    }
+    if (variables !== undefined && (typeof variables !== 'object' || Array.isArray(variables))) {
+        return next(new ErrorResponse('Variables must be an object', 400));
+    }
+    if (ratePerMinute !== undefined && !(parseInt(ratePerMinute, 10) > 0)) {
+        return next(new ErrorResponse('Rate per minute must be a positive number', 400));
     }
 
-    // Get users based on filters
-    const users = await User.find(userQuery);
+    const { broadcast, deliveries } = await createBroadcast({
+        subject,
+        message,
+        channels: [...new Set(channels)],
+        variables,
+        recipients,
+        filters,
+        ratePerMinute: ratePerMinute && parseInt(ratePerMinute, 10),
+        createdBy: req.user.id
+    });
 
-    // Send notifications (this would integrate with email/SMS service)
-    const notificationResults = users.map(user => ({
-        userId: user._id,
-        email: user.email,
-        status: 'sent', // This would be actual sending status
-        type,
-        message
-    }));
+    res.status(202).json({
+        success: true,
+        data: {
+            broadcast,
+            recipients: broadcast.recipientCount,
+            deliveries
+        }
+    });
+});
+
+// @desc    Get bulk notifications sent
+// @route   GET /api/admin/notifications/bulk
+// @access  Private (Admin)
+exports.getBroadcasts = asyncHandler(async (req, res, next) => {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const total = await Broadcast.countDocuments();
+    const broadcasts = await Broadcast.find()
+        .populate('createdBy', 'firstName lastName email')
+        .sort('-createdAt')
+        .skip((page - 1) * limit)
+        .limit(limit);
+
+    res.status(200).json({
+        success: true,
+        count: broadcasts.length,
+        data: broadcasts,
+        pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+        }
+    });
+});
+
+// @desc    Get a bulk notification with delivery counts per status
+// @route   GET /api/admin/notifications/bulk/:id
+// @access  Private (Admin)
+exports.getBroadcast = asyncHandler(async (req, res, next) => {
+    const broadcast = await Broadcast.findById(req.params.id)
+        .populate('createdBy', 'firstName lastName email');
+
+    if (!broadcast) {
+        return next(new ErrorResponse(`Broadcast not found with id of ${req.params.id}`, 404));
+    }
 
     res.status(200).json({
         success: true,
         data: {
-            sent: notificationResults.length,
-            results: notificationResults
+            broadcast,
+            deliveries: await BroadcastDelivery.countByStatus(broadcast._id)
+        }
+    });
+});
+
+// @desc    Get the per-recipient deliveries of a bulk notification
+// @route   GET /api/admin/notifications/bulk/:id/deliveries
+// @access  Private (Admin)
+exports.getBroadcastDeliveries = asyncHandler(async (req, res, next) => {
+    const { status, channel } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const broadcast = await Broadcast.findById(req.params.id);
+    if (!broadcast) {
+        return next(new ErrorResponse(`Broadcast not found with id of ${req.params.id}`, 404));
+    }
+
+    const query = { broadcast: broadcast._id };
+    if (status) query.status = status;
+    if (channel) query.channel = channel;
+
+    const total = await BroadcastDelivery.countDocuments(query);
+    const deliveries = await BroadcastDelivery.find(query)
+        .populate('user', 'firstName lastName email phone')
+        .sort('createdAt')
+        .skip((page - 1) * limit)
+        .limit(limit);
+
+    res.status(200).json({
+        success: true,
+        count: deliveries.length,
+        data: deliveries,
+        pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
         }
     });
 });
@@ -525,3 +734,241 @@ const flattenObject = (obj, prefix = '') => {
         }
     }
 };
+
+// @desc    List stored webhook events
+// @route   GET /api/admin/webhooks
+// @access  Private (Admin)
+exports.getWebhookEvents = asyncHandler(async (req, res, next) => {
+    const { status, gateway, type } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const query = {};
+    if (status) query.status = status;
+    if (gateway) query.gateway = gateway;
+    if (type) query.type = type;
+
+    const total = await WebhookEvent.countDocuments(query);
+    const events = await WebhookEvent.find(query)
+        .select('-payload')
+        .sort('-createdAt')
+        .skip((page - 1) * limit)
+        .limit(limit);
+
+    res.status(200).json({
+        success: true,
+        count: events.length,
+        data: events,
+        pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+        }
+    });
+});
+
+// @desc    Get a stored webhook event with its payload
+// @route   GET /api/admin/webhooks/:id
+// @access  Private (Admin)
+exports.getWebhookEvent = asyncHandler(async (req, res, next) => {
+    const event = await WebhookEvent.findById(req.params.id).populate('replayedBy', 'name email');
+
+    if (!event) {
+        return next(new ErrorResponse(`Webhook event not found with id of ${req.params.id}`, 404));
+    }
+
+    res.status(200).json({
+        success: true,
+        data: event
+    });
+});
+
+// @desc    Replay a stored webhook event
+// @route   POST /api/admin/webhooks/:id/replay
+// @access  Private (Admin)
+exports.replayWebhookEvent = asyncHandler(async (req, res, next) => {
+    const event = await WebhookEvent.findById(req.params.id);
+
+    if (!event) {
+        return next(new ErrorResponse(`Webhook event not found with id of ${req.params.id}`, 404));
+    }
+
+    if (event.status === 'processing' && event.lockedUntil > new Date()) {
+        return next(new ErrorResponse('Webhook event is being processed, try again shortly', 409));
+    }
+
+    const result = await processWebhookEvent(event, { force: true });
+    result.replayedBy = req.user.id;
+    result.replayedAt = new Date();
+    await result.save();
+
+    res.status(200).json({
+        success: result.status !== 'failed',
+        data: result
+    });
+});
+
+// @desc    List background jobs
+// @route   GET /api/admin/jobs
+// @access  Private (Admin)
+exports.getJobs = asyncHandler(async (req, res, next) => {
+    const { status, type } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.type = type;
+
+    const total = await Job.countDocuments(query);
+    const jobs = await Job.find(query)
+        .select('-payload -result')
+        .sort('-createdAt')
+        .skip((page - 1) * limit)
+        .limit(limit);
+
+    res.status(200).json({
+        success: true,
+        count: jobs.length,
+        data: jobs,
+        pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+        }
+    });
+});
+
+// @desc    Get job counts per type and status, and this server's worker
+// @route   GET /api/admin/jobs/stats
+// @access  Private (Admin)
+exports.getJobStats = asyncHandler(async (req, res, next) => {
+    const counts = await Job.aggregate([
+        { $group: { _id: { type: '$type', status: '$status' }, count: { $sum: 1 } } },
+        { $sort: { '_id.type': 1 } }
+    ]);
+
+    const byType = {};
+    counts.forEach(({ _id, count }) => {
+        byType[_id.type] = byType[_id.type] || Object.fromEntries(Job.JOB_STATUSES.map(status => [status, 0]));
+        byType[_id.type][_id.status] = count;
+    });
+
+    const worker = getWorker();
+
+    res.status(200).json({
+        success: true,
+        data: {
+            byType,
+            worker: worker ? worker.getStatus() : null
+        }
+    });
+});
+
+// @desc    Get a background job with its payload and failures
+// @route   GET /api/admin/jobs/:id
+// @access  Private (Admin)
+exports.getJob = asyncHandler(async (req, res, next) => {
+    const job = await Job.findById(req.params.id).populate('retriedBy', 'firstName lastName email');
+
+    if (!job) {
+        return next(new ErrorResponse(`Job not found with id of ${req.params.id}`, 404));
+    }
+
+    res.status(200).json({
+        success: true,
+        data: redactJob(job)
+    });
+});
+
+// @desc    Queue a failed or dead job again with a fresh set of attempts
+// @route   POST /api/admin/jobs/:id/retry
+// @access  Private (Admin)
+exports.retryJob = asyncHandler(async (req, res, next) => {
+    let job;
+    try {
+        job = await Job.findOneAndUpdate(
+            { _id: req.params.id, status: { $in: ['failed', 'dead'] } },
+            {
+                status: 'queued',
+                runAt: new Date(),
+                attempts: 0,
+                retriedBy: req.user.id,
+                retriedAt: new Date()
+            },
+            { new: true }
+        );
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        return next(new ErrorResponse('Another job with the same key is already waiting or running', 409));
+    }
+
+    if (!job) {
+        const exists = await Job.exists({ _id: req.params.id });
+        return next(exists
+            ? new ErrorResponse('Only failed or dead jobs can be retried', 400)
+            : new ErrorResponse(`Job not found with id of ${req.params.id}`, 404));
+    }
+
+    res.status(200).json({
+        success: true,
+        data: redactJob(job)
+    });
+});
+
+// @desc    Get exchange rates
+// @route   GET /api/admin/exchange-rates
+// @access  Private (Admin)
+exports.getExchangeRates = asyncHandler(async (req, res, next) => {
+    const baseCurrency = getBaseCurrency();
+    const rates = await ExchangeRate.find({ baseCurrency })
+        .populate('updatedBy', 'firstName lastName email')
+        .sort('currency');
+
+    const configured = new Set(rates.map(rate => rate.currency));
+
+    res.status(200).json({
+        success: true,
+        data: {
+            baseCurrency,
+            rates,
+            missing: SUPPORTED_CURRENCIES.filter(currency => currency !== baseCurrency && !configured.has(currency))
+        }
+    });
+});
+
+// @desc    Set the exchange rate of a currency against the base currency
+// @route   PUT /api/admin/exchange-rates/:currency
+// @access  Private (Admin)
+exports.updateExchangeRate = asyncHandler(async (req, res, next) => {
+    const currency = String(req.params.currency).toUpperCase();
+    const baseCurrency = getBaseCurrency();
+    const rate = Number(req.body.rate);
+
+    if (!SUPPORTED_CURRENCIES.includes(currency)) {
+        return next(new ErrorResponse(`Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`, 400));
+    }
+
+    if (currency === baseCurrency) {
+        return next(new ErrorResponse(`${baseCurrency} is the base currency and always has a rate of 1`, 400));
+    }
+
+    if (!Number.isFinite(rate) || rate <= 0) {
+        return next(new ErrorResponse('Rate must be a positive number', 400));
+    }
+
+    const exchangeRate = await ExchangeRate.setRate({
+        currency,
+        baseCurrency,
+        rate,
+        source: req.body.source,
+        updatedBy: req.user.id
+    });
+
+    res.status(200).json({
+        success: true,
+        data: exchangeRate
+    });
+});
@@ -1,14 +1,15 @@
 const User = require('../models/User');
 const ErrorResponse = require('../utils/errorResponse');
 const crypto = require('crypto');
-const sendEmail = require('../utils/sendEmail');
+const { queueEmail } = require('../utils/jobs');
+const { buildEmail } = require('../utils/emailTemplates');
 
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
 exports.register = async (req, res, next) => {
   try {
-    const { firstName, lastName, email, password, phone, role } = req.body;
+    const { firstName, lastName, email, password, phone, role, language } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -23,7 +24,9 @@ exports.register = async (req, res, next) => {
       email,
       password,
       phone,
-      role: role || 'user'
+      role: role || 'user',
+      // Emails are sent in this language (see utils/emailTemplates)
+      ...(language && { preferences: { language } })
     });
 
     // Generate verification token (plain)
@@ -39,14 +42,9 @@ exports.register = async (req, res, next) => {
 
     // Send plain token in email
     const verificationUrl = `${req.protocol}://${req.get('host')}/api/auth/verify-email/${verificationToken}`;
-    const message = `You are receiving this email because you registered for an account. Please verify your email by clicking on the link: \n\n ${verificationUrl}`;
 
     try {
-      await sendEmail({
-        email: user.email,
-        subject: 'Email Verification',
-        message
-      });
+      await queueEmail(buildEmail('verify_email', user, { verificationUrl }));
 
       res.status(201).json({
         success: true,
@@ -235,14 +233,8 @@ exports.forgotPassword = async (req, res, next) => {
     // Create reset url
     const resetUrl = `${req.protocol}://${req.get('host')}/api/auth/reset-password/${resetToken}`;
 
-    const message = `You are receiving this email because you (or someone else) has requested the reset of a password. Please make a PUT request to: \n\n ${resetUrl}`;
-
     try {
-      await sendEmail({
-        email: user.email,
-        subject: 'Password reset token',
-        message
-      });
+      await queueEmail(buildEmail('password_reset', user, { resetUrl, expiresInMinutes: 10 }));
 
       res.status(200).json({
         success: true,
@@ -352,14 +344,9 @@ exports.resendVerificationEmail = async (req, res, next) => {
 
     // Send verification email
     const verificationUrl = `${req.protocol}://${req.get('host')}/api/auth/verify-email/${verificationToken}`;
-    const message = `You are receiving this email because you requested email verification. Please verify your email by clicking on the link: \n\n ${verificationUrl}`;
 
     try {
-      await sendEmail({
-        email: user.email,
-        subject: 'Email Verification',
-        message
-      });
+      await queueEmail(buildEmail('verify_email', user, { verificationUrl }));
 
       res.status(200).json({
         success: true,
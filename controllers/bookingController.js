@@ -1,8 +1,51 @@
 const Booking = require('../models/Booking');
+const BookingHold = require('../models/BookingHold');
+const CouponRedemption = require('../models/CouponRedemption');
 const Service = require('../models/Service');
 const User = require('../models/User');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/async');
+const { getSlotCapacity, getDaySchedule, normalizeTime, toUTCDate, formatDate, resolveSpan } = require('../utils/slots');
+const { expandOccurrences } = require('../utils/recurrence');
+const { quoteCancellation } = require('../utils/cancellationPolicy');
+const { refundBookingPayment } = require('../utils/refunds');
+const { settleDeposit, releaseCancelledDeposit } = require('../utils/deposits');
+const { queueBookingEmail } = require('../utils/bookingEmails');
+const { buildEmail } = require('../utils/emailTemplates');
+const { queueEmail } = require('../utils/jobs');
+const { getServiceTax } = require('../utils/tax');
+const { applyCouponToBooking } = require('../utils/coupons');
+const { quoteBooking, getServiceCharges } = require('../utils/pricing');
+const { getExchangeRate } = require('../utils/currency');
+
+// Which occurrences of a recurring series a cancellation applies to
+const CANCEL_SCOPES = ['this', 'following', 'series'];
+
+// What a client may send when creating a booking; everything else (prices, payment, status,
+// settlement, reminders) is set by the server. Offline payment methods keep a booking from
+// expiring unpaid, so paymentMethod is left to the provider or an admin (see updateBooking).
+const CREATE_FIELDS = ['startTime', 'endTime', 'specialRequests', 'location', 'contactInfo', 'recurringPattern'];
+
+const pickFields = (body, fields) => Object.fromEntries(
+  fields.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Fields that can only change through the reschedule endpoint
+const RESCHEDULE_FIELDS = ['bookingDate', 'endDate', 'startTime', 'endTime', 'duration'];
+
+// What may be changed through updateBooking; prices, payment, status, settlement and ownership
+// only change through their own endpoints. paymentMethod is for the provider or an admin.
+const UPDATE_FIELDS = ['specialRequests', 'location', 'contactInfo', 'paymentMethod'];
+
+// Customer emails sent when the status endpoint moves a booking to these statuses
+const STATUS_EMAILS = { confirmed: 'booking_confirmed', cancelled: 'booking_cancelled' };
+
+// Who is changing a booking's status, as recorded in statusHistory
+const statusActor = (req, reason) => ({
+  actor: req.user.id,
+  role: req.user.role,
+  reason
+});
 
 // @desc    Get all bookings
 // @route   GET /api/bookings
@@ -112,9 +155,6 @@ exports.getBooking = asyncHandler(async (req, res, next) => {
 // @route   POST /api/bookings
 // @access  Private
 exports.createBooking = asyncHandler(async (req, res, next) => {
-  // Add user to req.body
-  req.body.user = req.user.id;
-
   // Check if service exists
   const service = await Service.findById(req.body.serviceId);
   if (!service) {
@@ -126,40 +166,201 @@ exports.createBooking = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Service is not available for booking', 400));
   }
 
-  // Check availability
-  const isAvailable = await Booking.checkAvailability(
-    req.body.serviceId,
-    req.body.bookingDate,
-    req.body.startTime,
-    req.body.endTime
-  );
+  const span = resolveSpan(req.body);
+  if (span.error) {
+    return next(new ErrorResponse(span.error, 400));
+  }
+  const { endDate } = span;
+
+  const capacity = getSlotCapacity(service);
+  const isRecurring = Boolean(req.body.isRecurring && req.body.recurringPattern);
 
-  if (!isAvailable) {
-    return next(new ErrorResponse('Selected time slot is not available', 400));
+  if (isRecurring && endDate) {
+    return next(new ErrorResponse('Multi-day bookings cannot be recurring', 400));
   }
 
-  // Calculate total amount (support both numeric and object price)
-  const duration = Number(req.body.duration) || 1;
-  const serviceUnitPrice = (service && service.price && typeof service.price === 'object')
-    ? Number(service.price.amount || 0)
-    : Number(service?.price || 0);
-  const totalAmount = serviceUnitPrice * duration;
+  // Bookings are priced in the service's currency unless another one is asked for,
+  // in which case today's rate is kept on the booking
+  const serviceCurrency = service.price.currency;
+  const currency = req.body.currency || serviceCurrency;
+  const exchangeRate = currency === serviceCurrency ? null : await getExchangeRate(serviceCurrency, currency);
+
+  let occurrenceDates;
+  try {
+    occurrenceDates = isRecurring
+      ? expandOccurrences(req.body.bookingDate, req.body.recurringPattern)
+      : [toUTCDate(req.body.bookingDate)];
+  } catch (error) {
+    return next(new ErrorResponse(error.message, 400));
+  }
+
+  // Reserve every occurrence up front and collect the ones that cannot be booked
+  const reserved = [];
+  const conflicts = [];
+  for (const bookingDate of occurrenceDates) {
+    const result = await reserveSlot({
+      service,
+      userId: req.user.id,
+      bookingDate,
+      endDate,
+      startTime: req.body.startTime,
+      endTime: req.body.endTime,
+      capacity
+    });
+
+    if (result.hold) {
+      reserved.push({ bookingDate, hold: result.hold });
+    } else {
+      conflicts.push({ bookingDate: formatDate(bookingDate), reason: result.reason });
+    }
+  }
+
+  const releaseHolds = () => Promise.all(reserved.map(({ hold }) => hold.deleteOne()));
+
+  if (!isRecurring && conflicts.length > 0) {
+    return next(new ErrorResponse(conflicts[0].reason, 409));
+  }
+
+  // A series is all-or-nothing unless the client opts into skipping conflicting dates
+  if (conflicts.length > 0 && (!req.body.skipConflicts || reserved.length === 0)) {
+    await releaseHolds();
+    return res.status(409).json({
+      success: false,
+      error: `${conflicts.length} of ${occurrenceDates.length} occurrences are not available`,
+      conflicts
+    });
+  }
 
   const bookingData = {
-    ...req.body,
+    ...pickFields(req.body, CREATE_FIELDS),
+    user: req.user.id,
     service: req.body.serviceId,
     provider: service.provider,
-    totalAmount,
+    timeZone: service.timeZone,
+    currency,
+    exchangeRate: exchangeRate
+      ? { from: exchangeRate.from, to: exchangeRate.to, rate: exchangeRate.rate, at: exchangeRate.at }
+      : undefined,
+    // Extra charges always come from the service, never from the client
+    ...getServiceCharges(service, exchangeRate ? exchangeRate.rate : 1),
+    isRecurring,
     status: 'pending',
     paymentStatus: 'pending'
   };
+  if (!isRecurring) delete bookingData.recurringPattern;
+
+  // The first occurrence is the series parent; the rest point back to it
+  const bookings = [];
+  try {
+    for (const { bookingDate, hold } of reserved) {
+      // Each occurrence is priced on its own date, the same way the quote endpoint prices it
+      const quote = await quoteBooking(service, {
+        bookingDate,
+        endDate,
+        startTime: req.body.startTime,
+        endTime: req.body.endTime,
+        exchangeRate,
+        excludeHoldId: hold._id
+      });
+
+      const booking = await Booking.create({
+        ...bookingData,
+        bookingDate,
+        endDate: endDate || undefined,
+        duration: quote.hours,
+        totalAmount: quote.totalAmount,
+        pricing: toBookingPricing(quote),
+        tax: getServiceTax(service, quote.totalAmount),
+        parentBooking: bookings.length > 0 ? bookings[0]._id : undefined
+      });
+      bookings.push(booking);
+
+      // Keep the hold for the checkout window; it is released on payment or expires on its own
+      hold.booking = booking._id;
+      await hold.save();
+    }
 
-  const booking = await Booking.create(bookingData);
+    // A coupon discounts the first occurrence (the one paid for first) only
+    if (req.body.couponCode) {
+      await applyCouponToBooking(bookings[0], service, req.body.couponCode, req.user.id);
+      await bookings[0].save();
+    }
+  } catch (error) {
+    await releaseHolds();
+    await Promise.all(bookings.map(booking => CouponRedemption.releaseForBooking(booking._id)));
+    await Booking.deleteMany({ _id: { $in: bookings.map(booking => booking._id) } });
+    throw error;
+  }
+
+  const [booking] = bookings;
+  const [{ hold }] = reserved;
 
   res.status(201).json({
     success: true,
-    data: booking
+    data: booking,
+    hold: {
+      id: hold._id,
+      expiresAt: hold.expiresAt
+    },
+    ...(isRecurring && {
+      occurrences: bookings,
+      conflicts
+    })
+  });
+});
+
+// Hold a seat for one occurrence and confirm it still fits the service's per-slot capacity.
+// Multi-day bookings (with an endDate) need a seat on every day they cover.
+// Resolves to { hold } on success or { reason } when the slot cannot be booked.
+const reserveSlot = async ({ service, userId, bookingDate, endDate = null, startTime, endTime, capacity, excludeBookingId = null }) => {
+  if (!getDaySchedule(service, bookingDate)) {
+    return { reason: 'Service is closed on this day' };
+  }
+
+  if (endDate && !getDaySchedule(service, endDate)) {
+    return { reason: 'Service is closed on the end date' };
+  }
+
+  // Hold a seat first so concurrent requests for the same slot cannot both pass the check
+  const hold = await BookingHold.acquire({
+    service: service._id,
+    user: userId,
+    bookingDate,
+    endDate,
+    startTime,
+    endTime,
+    capacity
   });
+
+  if (!hold) {
+    return { reason: `Selected time slot is fully booked (capacity ${capacity})` };
+  }
+
+  // Check availability against the service's per-slot capacity
+  const usage = await Booking.getSlotUsage(service._id, bookingDate, startTime, endTime, capacity, {
+    excludeBookingId,
+    excludeHoldId: hold._id,
+    endDate
+  });
+
+  if (!usage.isAvailable) {
+    await hold.deleteOne();
+    return { reason: `Selected time slot is fully booked (capacity ${usage.capacity})` };
+  }
+
+  return { hold };
+};
+
+// The part of a price quote kept on the booking
+const toBookingPricing = (quote) => ({
+  priceType: quote.priceType,
+  unit: quote.unit,
+  unitPrice: quote.unitPrice,
+  units: quote.units,
+  hours: quote.hours,
+  days: quote.days,
+  baseAmount: quote.baseAmount,
+  adjustments: quote.adjustments
 });
 
 // @desc    Update booking
@@ -184,7 +385,24 @@ exports.updateBooking = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Booking cannot be updated at this time', 400));
   }
 
-  booking = await Booking.findByIdAndUpdate(req.params.id, req.body, {
+  // Date and time changes need an availability recheck and repricing
+  if (RESCHEDULE_FIELDS.some(field => req.body[field] !== undefined)) {
+    return next(new ErrorResponse(`Use POST /api/bookings/${booking._id}/reschedule to change the booking date or time`, 400));
+  }
+
+  const rejected = Object.keys(req.body).filter(field => !UPDATE_FIELDS.includes(field));
+  if (rejected.length > 0) {
+    return next(new ErrorResponse(`These fields cannot be changed through this endpoint: ${rejected.join(', ')}`, 400));
+  }
+
+  // Offline payment methods keep a booking from expiring unpaid, so customers cannot pick one themselves
+  if (req.body.paymentMethod !== undefined &&
+    booking.provider.toString() !== req.user.id &&
+    req.user.role !== 'admin') {
+    return next(new ErrorResponse('Only the provider or an admin can set the payment method', 401));
+  }
+
+  booking = await Booking.findByIdAndUpdate(req.params.id, pickFields(req.body, UPDATE_FIELDS), {
     new: true,
     runValidators: true
   });
@@ -195,6 +413,184 @@ exports.updateBooking = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Reschedule booking
+// @route   POST /api/bookings/:id/reschedule
+// @access  Private
+exports.rescheduleBooking = asyncHandler(async (req, res, next) => {
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    return next(new ErrorResponse(`Booking not found with id of ${req.params.id}`, 404));
+  }
+
+  // Make sure user owns booking or is admin/provider
+  if (booking.user.toString() !== req.user.id &&
+    booking.provider.toString() !== req.user.id &&
+    req.user.role !== 'admin') {
+    return next(new ErrorResponse(`User ${req.user.id} is not authorized to reschedule this booking`, 401));
+  }
+
+  if (!['pending', 'confirmed'].includes(booking.status)) {
+    return next(new ErrorResponse(`Only pending or confirmed bookings can be rescheduled. Current status: ${booking.status}`, 400));
+  }
+
+  const service = await Service.findById(booking.service);
+  if (!service || !service.isActive) {
+    return next(new ErrorResponse('Service is not available for booking', 400));
+  }
+
+  const bookingDate = toUTCDate(req.body.bookingDate);
+  const { startTime, endTime } = req.body;
+
+  const span = resolveSpan(req.body);
+  if (span.error) {
+    return next(new ErrorResponse(span.error, 400));
+  }
+  const { endDate } = span;
+
+  if (endDate && booking.isRecurring) {
+    return next(new ErrorResponse('Recurring bookings cannot be moved to multiple days', 400));
+  }
+
+  const sameDay = (a, b) => (a ? toUTCDate(a).getTime() : null) === (b ? toUTCDate(b).getTime() : null);
+  if (sameDay(bookingDate, booking.bookingDate) &&
+    sameDay(endDate, booking.endDate) &&
+    normalizeTime(startTime) === booking.startTime &&
+    normalizeTime(endTime) === booking.endTime) {
+    return next(new ErrorResponse('New time is the same as the current booking', 400));
+  }
+
+  const result = await reserveSlot({
+    service,
+    userId: booking.user,
+    bookingDate,
+    endDate,
+    startTime,
+    endTime,
+    capacity: getSlotCapacity(service),
+    excludeBookingId: booking._id
+  });
+
+  if (!result.hold) {
+    return next(new ErrorResponse(result.reason, 409));
+  }
+
+  const previousAmount = booking.totalAmount;
+  const quote = await quoteBooking(service, {
+    bookingDate,
+    endDate,
+    startTime,
+    endTime,
+    // Keep pricing in the booking's currency at the rate it was made with
+    exchangeRate: booking.exchangeRate && booking.exchangeRate.rate ? booking.exchangeRate : null,
+    excludeBookingId: booking._id,
+    excludeHoldId: result.hold._id
+  });
+  const { totalAmount } = quote;
+  const priceDifference = totalAmount - previousAmount;
+  const wasPaid = ['paid', 'partial'].includes(booking.paymentStatus);
+  const rescheduleFee = booking.calculateRescheduleFee(service.cancellationHours);
+
+  booking.rescheduleHistory.push({
+    bookingDate: booking.bookingDate,
+    endDate: booking.endDate,
+    startTime: booking.startTime,
+    endTime: booking.endTime,
+    duration: booking.duration,
+    totalAmount: booking.totalAmount,
+    priceDifference,
+    rescheduleFee,
+    reason: req.body.reason,
+    rescheduledBy: req.user.id,
+    role: req.user.role
+  });
+
+  booking.bookingDate = bookingDate;
+  booking.endDate = endDate || undefined;
+  booking.startTime = startTime;
+  booking.endTime = endTime;
+  booking.duration = quote.hours;
+  booking.totalAmount = totalAmount + rescheduleFee;
+  booking.pricing = toBookingPricing(quote);
+  // A coupon never takes more off than the new price
+  if (booking.discount && booking.discount.amount > booking.totalAmount) {
+    booking.discount.amount = booking.totalAmount;
+  }
+  booking.tax = getServiceTax(service, booking.getTaxableBase());
+  booking.reminders = { sent24h: false, sent1h: false, sent15min: false };
+  // A paid booking that now costs more owes the balance, collected through the usual order flow
+  if (wasPaid) {
+    booking.paymentStatus = booking.getBalanceDue() > 0 ? 'partial' : 'paid';
+  }
+
+  try {
+    await booking.save();
+  } catch (error) {
+    await result.hold.deleteOne();
+    throw error;
+  }
+
+  // The old slot is free again; the new one stays held until the booking is paid
+  await BookingHold.releaseForBooking(booking._id);
+  if (wasPaid) {
+    await result.hold.deleteOne();
+  } else {
+    result.hold.booking = booking._id;
+    await result.hold.save();
+  }
+
+  await notifyReschedule(booking);
+
+  res.status(200).json({
+    success: true,
+    message: 'Booking rescheduled successfully',
+    data: booking,
+    pricing: {
+      previousAmount,
+      newAmount: totalAmount,
+      priceDifference,
+      rescheduleFee,
+      tax: booking.tax.amount,
+      // Paid bookings owe the balance (tax included); unpaid ones owe the new total
+      amountDue: wasPaid ? booking.getBalanceDue() : booking.getAmountDue().total
+    }
+  });
+});
+
+// Queue emails to both parties about a reschedule, each in their language; the customer is also
+// told about any balance due. Queueing problems are logged, not surfaced to the caller.
+const notifyReschedule = async (booking) => {
+  await booking.populate([
+    { path: 'user', select: 'firstName lastName email preferences' },
+    { path: 'provider', select: 'firstName lastName email preferences' },
+    { path: 'service', select: 'name' }
+  ]);
+
+  const [previous] = booking.rescheduleHistory.slice(-1);
+  const variables = {
+    bookingId: booking._id.toString(),
+    serviceName: booking.service ? booking.service.name : 'your booking',
+    from: `${formatDate(previous.bookingDate)} ${previous.startTime}-${previous.endTime}`,
+    to: `${formatDate(booking.bookingDate)} ${booking.startTime}-${booking.endTime}`
+  };
+  const balanceDue = booking.paymentStatus === 'partial'
+    ? `${booking.currency} ${booking.getBalanceDue().toFixed(2)}`
+    : undefined;
+
+  const recipients = [booking.user, booking.provider].filter(person => person && person.email);
+  await Promise.all(recipients.map(person =>
+    queueEmail(buildEmail('booking_rescheduled', person, {
+      ...variables,
+      balanceDue: person === booking.user ? balanceDue : undefined
+    })).catch(error => console.error(`Reschedule email to ${person.email} could not be queued:`, error.message))
+  ));
+
+  // Return the references to plain ids so the response shape matches other booking endpoints
+  booking.depopulate('user');
+  booking.depopulate('provider');
+  booking.depopulate('service');
+};
+
 // @desc    Delete booking
 // @route   DELETE /api/bookings/:id
 // @access  Private
@@ -262,7 +658,8 @@ exports.getProviderBookings = asyncHandler(async (req, res, next) => {
 });
 
 // @desc    Cancel booking
-// @route   PUT /api/bookings/:id/cancel
+//          The fee follows the service's cancellation policy (see GET /:id/cancellation-quote)
+// @route   POST /api/bookings/:id/cancel
 // @access  Private
 exports.cancelBooking = asyncHandler(async (req, res, next) => {
   const booking = await Booking.findById(req.params.id);
@@ -278,41 +675,51 @@ exports.cancelBooking = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`User ${req.user.id} is not authorized to cancel this booking`, 401));
   }
 
-  // Check if booking can be cancelled
-  if (!booking.canBeCancelled()) {
-    return next(new ErrorResponse('Booking cannot be cancelled at this time', 400));
+  const scope = req.body.scope || 'this';
+  if (!CANCEL_SCOPES.includes(scope)) {
+    return next(new ErrorResponse(`Cancellation scope must be one of: ${CANCEL_SCOPES.join(', ')}`, 400));
   }
 
-  // Calculate cancellation fee
-  const cancellationFee = booking.calculateCancellationFee();
+  const service = await Service.findById(booking.service).select('cancellationPolicy cancellationHours');
 
-  booking.status = 'cancelled';
-  // Set cancelledBy based on user role, not user ID
-  if (req.user.role === 'admin') {
-    booking.cancelledBy = 'admin';
-  } else if (req.user.role === 'provider') {
-    booking.cancelledBy = 'provider';
-  } else {
-    booking.cancelledBy = 'user';
+  const applyCancellation = (target) => {
+    const quote = quoteCancellation(target, service || undefined, req.user.role);
+    if (!quote.isCancellable) return false;
+
+    // cancelledBy is derived from the user's role by the state machine
+    target.transitionTo('cancelled', statusActor(req, req.body.reason));
+    target.cancellationFee = quote.cancellationFee;
+    target.refundAmount = quote.refundAmount;
+    return true;
+  };
+
+  if (!applyCancellation(booking)) {
+    return next(new ErrorResponse('Booking cannot be cancelled at this time', 400));
   }
-  booking.cancellationReason = req.body.reason;
-  booking.cancellationFee = cancellationFee;
-  booking.refundAmount = booking.totalAmount - cancellationFee;
 
   await booking.save();
+  const refund = await refundCancelledBooking(booking);
+  await queueBookingEmail(booking, 'booking_cancelled');
+
+  const series = await cancelSeriesOccurrences(booking, scope, applyCancellation);
 
   res.status(200).json({
     success: true,
-    data: booking
+    data: booking,
+    refund,
+    ...(series && { series })
   });
 });
 
-// @desc    Cancel booking (user-friendly)
-//          - Always allow when status is 'pending'
-//          - Allow when 'confirmed' only if canBeCancelled() returns true
+// @desc    Cancel booking (user-facing alias kept for existing clients)
 // @route   POST /api/bookings/:id/cancel-user
 // @access  Private
-exports.cancelBookingUser = asyncHandler(async (req, res, next) => {
+exports.cancelBookingUser = exports.cancelBooking;
+
+// @desc    Preview the fee and refund for cancelling a booking now
+// @route   GET /api/bookings/:id/cancellation-quote
+// @access  Private
+exports.getCancellationQuote = asyncHandler(async (req, res, next) => {
   const booking = await Booking.findById(req.params.id);
 
   if (!booking) {
@@ -323,40 +730,56 @@ exports.cancelBookingUser = asyncHandler(async (req, res, next) => {
   if (booking.user.toString() !== req.user.id &&
     booking.provider.toString() !== req.user.id &&
     req.user.role !== 'admin') {
-    return next(new ErrorResponse(`User ${req.user.id} is not authorized to cancel this booking`, 401));
+    return next(new ErrorResponse(`User ${req.user.id} is not authorized to access this booking`, 401));
   }
 
-  const status = booking.status;
-  const isPending = status === 'pending';
-  const isConfirmed = status === 'confirmed';
+  const service = await Service.findById(booking.service).select('cancellationPolicy cancellationHours');
 
-  if (!(isPending || (isConfirmed && booking.canBeCancelled()))) {
-    return next(new ErrorResponse('Booking cannot be cancelled at this time', 400));
-  }
+  res.status(200).json({
+    success: true,
+    data: quoteCancellation(booking, service || undefined, req.user.role)
+  });
+});
 
-  // Calculate fee only for confirmed bookings; pending incurs no fee
-  const cancellationFee = isConfirmed ? booking.calculateCancellationFee() : 0;
+// Cancel the other occurrences of a recurring series covered by the requested scope.
+// Occurrences that can no longer be cancelled are left untouched and reported as skipped.
+const cancelSeriesOccurrences = async (booking, scope, applyCancellation) => {
+  if (scope === 'this' || !booking.isRecurring) return null;
 
-  booking.status = 'cancelled';
-  // Set cancelledBy based on user role, not user ID
-  if (req.user.role === 'admin') {
-    booking.cancelledBy = 'admin';
-  } else if (req.user.role === 'provider') {
-    booking.cancelledBy = 'provider';
-  } else {
-    booking.cancelledBy = 'user';
+  const occurrences = await Booking.findSeriesOccurrences(booking, scope);
+  const cancelled = [booking._id];
+  const skipped = [];
+
+  for (const occurrence of occurrences) {
+    if (occurrence._id.equals(booking._id) || occurrence.status === 'cancelled') continue;
+
+    if (applyCancellation(occurrence)) {
+      await occurrence.save();
+      await refundCancelledBooking(occurrence);
+      cancelled.push(occurrence._id);
+    } else {
+      skipped.push({ id: occurrence._id, bookingDate: occurrence.bookingDate, status: occurrence.status });
+    }
   }
-  booking.cancellationReason = req.body.reason;
-  booking.cancellationFee = cancellationFee;
-  booking.refundAmount = booking.totalAmount - cancellationFee;
 
-  await booking.save();
+  return { scope, cancelled, skipped };
+};
 
-  res.status(200).json({
-    success: true,
-    data: booking
-  });
-});
+// Refund what the cancellation quote says is owed on a paid booking, and any held deposit.
+// A gateway failure does not undo the cancellation: the booking stays marked as paid
+// so an admin can retry the refund from the payments console.
+const refundCancelledBooking = async (booking) => {
+  await releaseCancelledDeposit(booking);
+
+  if (!booking.refundAmount || booking.refundAmount <= 0) return null;
+
+  try {
+    return await refundBookingPayment(booking, booking.refundAmount, booking.cancellationReason);
+  } catch (error) {
+    console.error(`Automatic refund for booking ${booking._id} failed:`, error.message);
+    return { status: 'failed', amount: booking.refundAmount, error: error.message };
+  }
+};
 
 // @desc    Rate booking
 // @route   POST /api/bookings/:id/rate
@@ -400,20 +823,31 @@ exports.rateBooking = asyncHandler(async (req, res, next) => {
 });
 
 // @desc    Check availability
-// @route   GET /api/bookings/availability
+// @route   GET /api/bookings/check-availability/:serviceId?date=&startTime=&endTime=
 // @access  Public
 exports.checkAvailability = asyncHandler(async (req, res, next) => {
-  const { serviceId, date, time } = req.query;
+  const serviceId = req.params.serviceId || req.query.serviceId;
+  const { date, startTime, endTime } = req.query;
 
-  if (!serviceId || !date || !time) {
-    return next(new ErrorResponse('Please provide serviceId, date, and time', 400));
+  if (!serviceId || !date || !startTime || !endTime) {
+    return next(new ErrorResponse('Please provide serviceId, date, startTime and endTime', 400));
+  }
+
+  const service = await Service.findById(serviceId);
+  if (!service) {
+    return next(new ErrorResponse(`Service not found with id of ${serviceId}`, 404));
   }
 
-  const isAvailable = await Booking.checkAvailability(serviceId, date, time);
+  const usage = await Booking.getSlotUsage(serviceId, date, startTime, endTime, getSlotCapacity(service));
 
   res.status(200).json({
     success: true,
-    data: { available: isAvailable }
+    data: {
+      available: usage.isAvailable,
+      capacity: usage.capacity,
+      booked: usage.booked,
+      remaining: usage.remaining
+    }
   });
 });
 
@@ -461,14 +895,10 @@ exports.acceptBooking = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`You are not authorized to accept this booking`, 401));
   }
 
-  // Check if booking can be accepted
-  if (booking.status !== 'pending') {
-    return next(new ErrorResponse(`Only pending bookings can be accepted. Current status: ${booking.status}`, 400));
-  }
-
   // Update booking status to confirmed
-  booking.status = 'confirmed';
+  booking.transitionTo('confirmed', statusActor(req));
   await booking.save();
+  await queueBookingEmail(booking, 'booking_confirmed');
 
   res.status(200).json({
     success: true,
@@ -502,22 +932,27 @@ exports.rejectBooking = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Rejection reason is required', 400));
   }
 
+  // No fee when provider rejects; anything already paid is refunded in full
+  const service = await Service.findById(booking.service).select('cancellationPolicy cancellationHours');
+  const quote = quoteCancellation(booking, service || undefined, req.user.role);
+
   // Update booking status to cancelled
-  booking.status = 'cancelled';
-  booking.cancelledBy = 'provider';
-  booking.cancellationReason = req.body.reason;
-  booking.cancellationFee = 0; // No fee when provider rejects
-  booking.refundAmount = booking.totalAmount; // Full refund
+  booking.transitionTo('cancelled', statusActor(req, req.body.reason));
+  booking.cancellationFee = quote.cancellationFee;
+  booking.refundAmount = quote.refundAmount;
   await booking.save();
+  const refund = await refundCancelledBooking(booking);
+  await queueBookingEmail(booking, 'booking_cancelled');
 
   res.status(200).json({
     success: true,
     message: 'Booking rejected successfully',
-    data: booking
+    data: booking,
+    refund
   });
 });
 
-// @desc    Complete confirmed booking (Provider only)
+// @desc    Complete confirmed or in-progress booking (Provider only)
 // @route   PUT /api/bookings/:id/complete
 // @access  Private (Service Provider)
 exports.completeBooking = asyncHandler(async (req, res, next) => {
@@ -532,13 +967,8 @@ exports.completeBooking = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`You are not authorized to complete this booking`, 401));
   }
 
-  // Check if booking can be completed
-  if (booking.status !== 'confirmed') {
-    return next(new ErrorResponse(`Only confirmed bookings can be completed. Current status: ${booking.status}`, 400));
-  }
-
   // Update booking status to completed
-  booking.status = 'completed';
+  booking.transitionTo('completed', statusActor(req));
   await booking.save();
 
   res.status(200).json({
@@ -548,6 +978,37 @@ exports.completeBooking = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Settle the security deposit of a booking: release it, withhold part of it or capture it
+//          Body: { action: 'release' | 'withhold' | 'capture', amount (withhold), reason }
+// @route   PUT /api/bookings/:id/deposit
+// @access  Private (Service Provider, Admin)
+exports.settleBookingDeposit = asyncHandler(async (req, res, next) => {
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    return next(new ErrorResponse(`Booking not found with id of ${req.params.id}`, 404));
+  }
+
+  // Make sure user is provider or admin
+  if (booking.provider.toString() !== req.user.id && req.user.role !== 'admin') {
+    return next(new ErrorResponse(`User ${req.user.id} is not authorized to settle this deposit`, 401));
+  }
+
+  const { action, amount, reason } = req.body;
+  const { booking: updated, refund } = await settleDeposit(booking, {
+    action,
+    amount,
+    reason,
+    actor: req.user.id
+  });
+
+  res.status(200).json({
+    success: true,
+    data: updated,
+    refund
+  });
+});
+
 // @desc    Update booking status (Enhanced version)
 // @route   PUT /api/bookings/:id/status
 // @access  Private (Service Provider, Admin)
@@ -566,47 +1027,41 @@ exports.updateBookingStatus = asyncHandler(async (req, res, next) => {
   const { status, reason } = req.body;
 
   // Validate status transition
-  const validTransitions = {
-    'pending': ['confirmed', 'cancelled'],
-    'confirmed': ['in_progress', 'completed', 'cancelled', 'no_show'],
-    'in_progress': ['completed', 'cancelled'],
-    'completed': [], // No further transitions
-    'cancelled': [], // No further transitions
-    'no_show': [] // No further transitions
-  };
-
-  if (!validTransitions[booking.status].includes(status)) {
+  if (!booking.canTransitionTo(status)) {
     return next(new ErrorResponse(`Invalid status transition from ${booking.status} to ${status}`, 400));
   }
 
+  // Rentals are handed over only once the security deposit is in
+  if (status === 'in_progress' && booking.getDepositDue() > 0) {
+    return next(new ErrorResponse('The security deposit must be paid before the booking can start', 400));
+  }
+
   // Handle cancellation if status is being changed to cancelled
   if (status === 'cancelled') {
     if (!reason || reason.trim().length === 0) {
       return next(new ErrorResponse('Cancellation reason is required', 400));
     }
 
-    booking.cancelledBy = req.user.role === 'admin' ? 'admin' : 'provider';
-    booking.cancellationReason = reason;
-
-    // Calculate cancellation fee if applicable
-    if (booking.status === 'confirmed') {
-      const cancellationFee = booking.calculateCancellationFee();
-      booking.cancellationFee = cancellationFee;
-      booking.refundAmount = booking.totalAmount - cancellationFee;
-    } else {
-      booking.cancellationFee = 0;
-      booking.refundAmount = booking.totalAmount;
-    }
+    // Calculate cancellation fee from the service's policy
+    const service = await Service.findById(booking.service).select('cancellationPolicy cancellationHours');
+    const quote = quoteCancellation(booking, service || undefined, req.user.role);
+    booking.cancellationFee = quote.cancellationFee;
+    booking.refundAmount = quote.refundAmount;
   }
 
   // Update status
-  booking.status = status;
+  booking.transitionTo(status, statusActor(req, reason));
   await booking.save();
+  const refund = status === 'cancelled' ? await refundCancelledBooking(booking) : null;
+  if (STATUS_EMAILS[status]) {
+    await queueBookingEmail(booking, STATUS_EMAILS[status]);
+  }
 
   res.status(200).json({
     success: true,
     message: `Booking status updated to ${status}`,
-    data: booking
+    data: booking,
+    ...(refund && { refund })
   });
 });
 
@@ -0,0 +1,291 @@
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Booking = require('../models/Booking');
+const Service = require('../models/Service');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const { findApplicableCoupon } = require('../utils/coupons');
+const { getServiceTax } = require('../utils/tax');
+
+// Fields an admin may set on a coupon
+const COUPON_FIELDS = [
+  'code',
+  'description',
+  'type',
+  'value',
+  'maxDiscount',
+  'currency',
+  'minOrderAmount',
+  'validFrom',
+  'validUntil',
+  'usageLimit',
+  'perUserLimit',
+  'categories',
+  'services',
+  'isActive'
+];
+
+const pickCouponFields = (body) => COUPON_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+// @desc    Check a coupon code and preview the discount
+// @route   POST /api/coupons/validate
+// @access  Private
+exports.validateCoupon = asyncHandler(async (req, res, next) => {
+  const { code, bookingId, serviceId } = req.body;
+
+  let service;
+  let amount;
+  let currency;
+
+  if (bookingId) {
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      return next(new ErrorResponse(`Booking not found with id of ${bookingId}`, 404));
+    }
+    if (booking.user.toString() !== req.user.id) {
+      return next(new ErrorResponse(`User ${req.user.id} is not authorized to use this booking`, 401));
+    }
+    service = await Service.findById(booking.service);
+    amount = booking.totalAmount;
+    currency = booking.currency;
+  } else {
+    service = await Service.findById(serviceId);
+    amount = Number(req.body.amount);
+    currency = service ? service.price.currency : undefined;
+  }
+
+  if (!service) {
+    return next(new ErrorResponse('Service not found', 404));
+  }
+
+  const { coupon, discountAmount } = await findApplicableCoupon({
+    code,
+    user: req.user.id,
+    service,
+    amount,
+    currency
+  });
+
+  const tax = getServiceTax(service, Math.max(amount - discountAmount, 0));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      code: coupon.code,
+      description: coupon.description,
+      type: coupon.type,
+      value: coupon.value,
+      amount,
+      discountAmount,
+      tax: tax.inclusive ? 0 : tax.amount,
+      total: tax.totalAmount,
+      currency
+    }
+  });
+});
+
+// @desc    Get all coupons
+// @route   GET /api/coupons
+// @access  Private (Admin)
+exports.getCoupons = asyncHandler(async (req, res, next) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+  const query = {};
+  if (req.query.isActive !== undefined) query.isActive = req.query.isActive === 'true';
+  if (req.query.search) query.code = { $regex: req.query.search.toUpperCase(), $options: 'i' };
+
+  const total = await Coupon.countDocuments(query);
+  const coupons = await Coupon.find(query)
+    .sort('-createdAt')
+    .skip((page - 1) * limit)
+    .limit(limit);
+
+  res.status(200).json({
+    success: true,
+    count: coupons.length,
+    data: coupons,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  });
+});
+
+// @desc    Get redemption counts and discount totals per coupon
+// @route   GET /api/coupons/stats
+// @access  Private (Admin)
+exports.getCouponStats = asyncHandler(async (req, res, next) => {
+  const match = {};
+  if (req.query.startDate || req.query.endDate) {
+    match.createdAt = {};
+    if (req.query.startDate) match.createdAt.$gte = new Date(req.query.startDate);
+    if (req.query.endDate) match.createdAt.$lte = new Date(req.query.endDate);
+  }
+
+  const stats = await CouponRedemption.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { coupon: '$coupon', currency: '$currency' },
+        code: { $first: '$code' },
+        reserved: { $sum: { $cond: [{ $eq: ['$status', 'reserved'] }, 1, 0] } },
+        redeemed: { $sum: { $cond: [{ $eq: ['$status', 'redeemed'] }, 1, 0] } },
+        released: { $sum: { $cond: [{ $eq: ['$status', 'released'] }, 1, 0] } },
+        totalDiscount: { $sum: { $cond: [{ $eq: ['$status', 'redeemed'] }, '$discountAmount', 0] } },
+        totalOrderAmount: { $sum: { $cond: [{ $eq: ['$status', 'redeemed'] }, '$orderAmount', 0] } }
+      }
+    },
+    { $sort: { redeemed: -1 } },
+    {
+      $project: {
+        _id: 0,
+        coupon: '$_id.coupon',
+        currency: '$_id.currency',
+        code: 1,
+        reserved: 1,
+        redeemed: 1,
+        released: 1,
+        totalDiscount: 1,
+        totalOrderAmount: 1
+      }
+    }
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: stats.length,
+    data: stats
+  });
+});
+
+// @desc    Get single coupon
+// @route   GET /api/coupons/:id
+// @access  Private (Admin)
+exports.getCoupon = asyncHandler(async (req, res, next) => {
+  const coupon = await Coupon.findById(req.params.id).populate('services', 'title category');
+
+  if (!coupon) {
+    return next(new ErrorResponse(`Coupon not found with id of ${req.params.id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: coupon
+  });
+});
+
+// @desc    Create coupon
+// @route   POST /api/coupons
+// @access  Private (Admin)
+exports.createCoupon = asyncHandler(async (req, res, next) => {
+  const coupon = await Coupon.create({
+    ...pickCouponFields(req.body),
+    createdBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: coupon
+  });
+});
+
+// @desc    Update coupon
+// @route   PUT /api/coupons/:id
+// @access  Private (Admin)
+exports.updateCoupon = asyncHandler(async (req, res, next) => {
+  let coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    return next(new ErrorResponse(`Coupon not found with id of ${req.params.id}`, 404));
+  }
+
+  const updates = pickCouponFields(req.body);
+
+  // Redemptions keep the code they were made with, so it cannot change once used
+  if (updates.code && coupon.usedCount > 0 && updates.code.toUpperCase() !== coupon.code) {
+    return next(new ErrorResponse('Cannot change the code of a coupon that has been used', 400));
+  }
+
+  coupon = await Coupon.findByIdAndUpdate(req.params.id, updates, {
+    new: true,
+    runValidators: true
+  });
+
+  res.status(200).json({
+    success: true,
+    data: coupon
+  });
+});
+
+// @desc    Delete coupon (used coupons are deactivated instead)
+// @route   DELETE /api/coupons/:id
+// @access  Private (Admin)
+exports.deleteCoupon = asyncHandler(async (req, res, next) => {
+  const coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    return next(new ErrorResponse(`Coupon not found with id of ${req.params.id}`, 404));
+  }
+
+  const hasRedemptions = await CouponRedemption.exists({ coupon: coupon._id });
+
+  if (hasRedemptions) {
+    coupon.isActive = false;
+    await coupon.save();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Coupon has been used and was deactivated instead of deleted',
+      data: coupon
+    });
+  }
+
+  await coupon.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Get redemptions of a coupon
+// @route   GET /api/coupons/:id/redemptions
+// @access  Private (Admin)
+exports.getCouponRedemptions = asyncHandler(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id) || !(await Coupon.exists({ _id: req.params.id }))) {
+    return next(new ErrorResponse(`Coupon not found with id of ${req.params.id}`, 404));
+  }
+
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+  const query = { coupon: req.params.id };
+  if (req.query.status) query.status = req.query.status;
+
+  const total = await CouponRedemption.countDocuments(query);
+  const redemptions = await CouponRedemption.find(query)
+    .populate('user', 'firstName lastName email')
+    .populate('booking', 'bookingDate startTime totalAmount status paymentStatus')
+    .sort('-createdAt')
+    .skip((page - 1) * limit)
+    .limit(limit);
+
+  res.status(200).json({
+    success: true,
+    count: redemptions.length,
+    data: redemptions,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  });
+});
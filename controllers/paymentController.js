@@ -3,6 +3,7 @@ const Booking = require('../models/Booking');
 const User = require('../models/User');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/async');
+const { getOrCreateInvoice, renderInvoiceHtml, renderInvoicePdf } = require('../utils/invoices');
 const mongoose = require('mongoose');
 
 // @desc    Get payment history
@@ -49,6 +50,50 @@ exports.getPaymentDetails = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Download the invoice for a payment as PDF (default) or HTML
+// @route   GET /api/payments/:paymentId/invoice?format=pdf|html
+// @access  Private
+exports.getPaymentInvoice = asyncHandler(async (req, res, next) => {
+  const payment = await Payment.findById(req.params.paymentId).populate('booking', 'provider');
+
+  if (!payment) {
+    return next(new ErrorResponse(`Payment not found with id of ${req.params.paymentId}`, 404));
+  }
+
+  // The customer, the booking's provider and admins can see the invoice
+  const isProvider = payment.booking && payment.booking.provider &&
+    payment.booking.provider.toString() === req.user.id;
+  if (payment.user.toString() !== req.user.id && !isProvider && req.user.role !== 'admin') {
+    return next(new ErrorResponse(`User ${req.user.id} is not authorized to access this payment`, 401));
+  }
+
+  if (!['completed', 'partially_refunded', 'refunded'].includes(payment.status)) {
+    return next(new ErrorResponse('Invoices are only available for completed payments', 400));
+  }
+
+  // Payments captured before invoicing existed get their invoice on first download
+  payment.depopulate('booking');
+  const result = await getOrCreateInvoice(payment);
+
+  if (!result || !result.invoice.number) {
+    return next(new ErrorResponse('Invoice is not available for this payment yet', 404));
+  }
+
+  const { invoice } = result;
+  const filename = invoice.number.replace(/\//g, '-');
+
+  if (req.query.format === 'html') {
+    return res.status(200).type('html').send(renderInvoiceHtml(invoice));
+  }
+
+  const pdf = await renderInvoicePdf(invoice);
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${filename}.pdf"`
+  });
+  res.status(200).send(pdf);
+});
+
 // @desc    Get payment statistics
 // @route   GET /api/payments/stats
 // @access  Private
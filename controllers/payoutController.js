@@ -0,0 +1,213 @@
+const Payout = require('../models/Payout');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const sendEmail = require('../utils/sendEmail');
+const { getCommissionConfig } = require('../utils/commission');
+const {
+  getPayoutHoldDays,
+  getDefaultPeriodEnd,
+  computeEarnings,
+  generatePayouts,
+  releasePayout
+} = require('../utils/settlement');
+
+// Load a payout the current user may see (its provider or an admin)
+const findAccessiblePayout = async (req, next) => {
+  const payout = await Payout.findById(req.params.id)
+    .populate('provider', 'firstName lastName email')
+    .populate('items.booking', 'bookingDate startTime endTime totalAmount status');
+
+  if (!payout) {
+    next(new ErrorResponse(`Payout not found with id of ${req.params.id}`, 404));
+    return null;
+  }
+
+  if (req.user.role !== 'admin' && payout.provider._id.toString() !== req.user.id) {
+    next(new ErrorResponse(`User ${req.user.id} is not authorized to view this payout`, 401));
+    return null;
+  }
+
+  return payout;
+};
+
+// @desc    Get payouts (providers see their own, admins see all)
+// @route   GET /api/payouts
+// @access  Private (Provider/Admin)
+exports.getPayouts = asyncHandler(async (req, res, next) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+  const query = {};
+  if (req.user.role === 'admin') {
+    if (req.query.provider) query.provider = req.query.provider;
+  } else {
+    query.provider = req.user.id;
+  }
+  if (req.query.status) query.status = req.query.status;
+
+  const total = await Payout.countDocuments(query);
+  const payouts = await Payout.find(query)
+    .select('-items')
+    .populate('provider', 'firstName lastName email')
+    .sort('-createdAt')
+    .skip((page - 1) * limit)
+    .limit(limit);
+
+  res.status(200).json({
+    success: true,
+    count: payouts.length,
+    data: payouts,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  });
+});
+
+// @desc    Get a single payout with its lines
+// @route   GET /api/payouts/:id
+// @access  Private (Provider/Admin)
+exports.getPayout = asyncHandler(async (req, res, next) => {
+  const payout = await findAccessiblePayout(req, next);
+  if (!payout) return;
+
+  res.status(200).json({
+    success: true,
+    data: payout
+  });
+});
+
+// @desc    Preview earnings not yet included in a payout
+// @route   GET /api/payouts/earnings
+// @access  Private (Provider/Admin)
+exports.getUnsettledEarnings = asyncHandler(async (req, res, next) => {
+  const provider = req.user.role === 'admin' ? req.query.provider : req.user.id;
+
+  // Everything completed so far, flagged by whether it is past the payout hold
+  const [all, ready] = await Promise.all([
+    computeEarnings({ provider, periodEnd: new Date() }),
+    computeEarnings({ provider, periodEnd: getDefaultPeriodEnd() })
+  ]);
+
+  const readyTotals = new Map(ready.map(group => [`${group.provider}:${group.currency}`, group.totals]));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      holdDays: getPayoutHoldDays(),
+      commission: getCommissionConfig(),
+      earnings: all.map(group => ({
+        ...group,
+        readyForPayout: readyTotals.get(`${group.provider}:${group.currency}`) || null
+      }))
+    }
+  });
+});
+
+// @desc    Get the platform commission configuration
+// @route   GET /api/payouts/commission
+// @access  Private (Provider/Admin)
+exports.getCommission = asyncHandler(async (req, res, next) => {
+  res.status(200).json({
+    success: true,
+    data: getCommissionConfig()
+  });
+});
+
+// @desc    Generate payout batches from unsettled earnings
+// @route   POST /api/payouts/generate
+// @access  Private (Admin)
+exports.generatePayoutBatches = asyncHandler(async (req, res, next) => {
+  const { providerId, periodEnd } = req.body;
+  const end = periodEnd ? new Date(periodEnd) : getDefaultPeriodEnd();
+
+  if (end > new Date()) {
+    return next(new ErrorResponse('Payout period cannot end in the future', 400));
+  }
+
+  const payouts = await generatePayouts({
+    provider: providerId,
+    periodEnd: end,
+    generatedBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    count: payouts.length,
+    data: payouts
+  });
+});
+
+// @desc    Approve a payout
+// @route   PUT /api/payouts/:id/approve
+// @access  Private (Admin)
+exports.approvePayout = asyncHandler(async (req, res, next) => {
+  const payout = await Payout.findById(req.params.id);
+
+  if (!payout) {
+    return next(new ErrorResponse(`Payout not found with id of ${req.params.id}`, 404));
+  }
+
+  payout.transitionTo('approved', { actor: req.user.id });
+  if (req.body.notes) payout.notes = req.body.notes;
+  await payout.save();
+
+  res.status(200).json({
+    success: true,
+    data: payout
+  });
+});
+
+// @desc    Reject a payout and return its bookings to the unsettled pool
+// @route   PUT /api/payouts/:id/reject
+// @access  Private (Admin)
+exports.rejectPayout = asyncHandler(async (req, res, next) => {
+  const payout = await Payout.findById(req.params.id);
+
+  if (!payout) {
+    return next(new ErrorResponse(`Payout not found with id of ${req.params.id}`, 404));
+  }
+
+  payout.transitionTo('rejected', { actor: req.user.id, reason: req.body.reason });
+  await payout.save();
+  await releasePayout(payout);
+
+  res.status(200).json({
+    success: true,
+    data: payout
+  });
+});
+
+// @desc    Record that an approved payout was sent to the provider
+// @route   PUT /api/payouts/:id/pay
+// @access  Private (Admin)
+exports.markPayoutPaid = asyncHandler(async (req, res, next) => {
+  const payout = await Payout.findById(req.params.id);
+
+  if (!payout) {
+    return next(new ErrorResponse(`Payout not found with id of ${req.params.id}`, 404));
+  }
+
+  payout.transitionTo('paid', { actor: req.user.id, reference: req.body.reference });
+  await payout.save();
+
+  // Let the provider know; the payout is recorded even if the email fails
+  const provider = await User.findById(payout.provider);
+  if (provider) {
+    sendEmail({
+      email: provider.email,
+      subject: 'Your payout has been sent',
+      message: `Hi ${provider.firstName},\n\nA payout of ${payout.totals.net} ${payout.currency} ` +
+        `covering ${payout.items.length} booking(s) has been sent.` +
+        (payout.reference ? `\nReference: ${payout.reference}` : '')
+    }).catch(error => console.error(`Payout email to ${provider.email} failed:`, error.message));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: payout
+  });
+});
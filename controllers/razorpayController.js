@@ -1,142 +1,293 @@
-const Razorpay = require('razorpay');
-const crypto = require('crypto');
 const Payment = require('../models/Payment');
 const Booking = require('../models/Booking');
+const Service = require('../models/Service');
 const User = require('../models/User');
+const WebhookEvent = require('../models/WebhookEvent');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/async');
+const { getGateway, getProcessingFee } = require('../utils/paymentGateways');
+const { CAPTURED_STATUSES, markBookingPaid, processWithRetry } = require('../utils/webhooks');
+const { issueRefund, syncBookingRefunds } = require('../utils/refunds');
+const { normalizeCode, applyCouponToBooking } = require('../utils/coupons');
+const { getBaseCurrency, findExchangeRate, convertAmount } = require('../utils/currency');
 
-// Initialize Razorpay instance
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET,
-});
-
-// @desc    Create Razorpay order
+// @desc    Create payment order for a booking (Razorpay or the configured gateway)
 // @route   POST /api/payments/razorpay/create-order
 // @access  Private
 exports.createRazorpayOrder = asyncHandler(async (req, res, next) => {
-  const { amount, currency = 'INR', receipt, notes } = req.body;
+  const { bookingId, notes, couponCode } = req.body;
+
+  const booking = await Booking.findById(bookingId);
+
+  if (!booking) {
+    return next(new ErrorResponse(`Booking not found with id of ${bookingId}`, 404));
+  }
+
+  // Make sure user owns booking
+  if (booking.user.toString() !== req.user.id) {
+    return next(new ErrorResponse(`User ${req.user.id} is not authorized to pay for this booking`, 401));
+  }
+
+  if (!['pending', 'confirmed'].includes(booking.status)) {
+    return next(new ErrorResponse(`Cannot pay for a booking with status ${booking.status}`, 400));
+  }
+
+  if (booking.paymentStatus === 'paid') {
+    return next(new ErrorResponse('Booking has already been paid', 400));
+  }
+
+  // A booking paid before owes only the balance left after a price change (e.g. a reschedule fee)
+  const isBalance = booking.paymentStatus === 'partial';
+
+  // A coupon can still be added at checkout if the booking does not have one yet
+  if (couponCode && normalizeCode(couponCode) !== booking.discount?.code) {
+    if (isBalance) {
+      return next(new ErrorResponse('A coupon cannot be applied to a booking that has been paid', 400));
+    }
+    const service = await Service.findById(booking.service);
+    await applyCouponToBooking(booking, service, couponCode, req.user.id);
+    await booking.save();
+  }
+
+  // The amount is always derived from the booking, never taken from the client
+  const amountDue = booking.getAmountDue();
+  const amount = isBalance ? booking.getBalanceDue() : amountDue.total;
+  const currency = booking.currency;
+  // Tax contained in the amount, whether it was added on top or included in the price
+  const taxAmount = booking.tax ? booking.tax.amount || 0 : 0;
 
-  if (!amount || amount < 1) {
-    return next(new ErrorResponse('Valid amount is required (minimum 1)', 400));
+  if (amount < 1) {
+    return next(new ErrorResponse('Booking amount is too low to be paid online', 400));
   }
 
+  const gateway = getGateway();
+
+  // Snapshot today's rate to the base currency for reporting; a missing rate does not block payment
+  const baseCurrency = getBaseCurrency();
+  const baseRate = await findExchangeRate(baseCurrency, currency);
+
   // Create order options
   const orderOptions = {
-    amount: Math.round(amount * 100), // Convert to paise (smallest currency unit)
-    currency: currency.toUpperCase(),
-    receipt: receipt || `receipt_${Date.now()}`,
+    amount,
+    currency,
+    receipt: `booking_${booking._id}`.slice(0, 40),
     notes: {
+      ...notes,
       userId: req.user.id,
-      ...notes
+      bookingId: booking._id.toString()
     }
   };
 
   try {
-    // Create order with Razorpay
-    const order = await razorpay.orders.create(orderOptions);
+    // Create order with the configured gateway
+    const order = await gateway.createOrder(orderOptions);
 
     // Create payment record in database
     const payment = await Payment.create({
       user: req.user.id,
+      booking: booking._id,
+      gateway: gateway.name,
       paymentIntentId: order.id,
-      razorpayOrderId: order.id,
-      amount: amount,
-      currency: currency.toUpperCase(),
+      razorpayOrderId: gateway.name === 'razorpay' ? order.id : undefined,
+      amount,
+      currency,
+      // A balance carries its share of the tax
+      taxAmount: isBalance && amountDue.total > 0
+        ? Math.round(taxAmount * amount / amountDue.total * 100) / 100
+        : taxAmount,
+      discountAmount: isBalance ? 0 : amountDue.discount,
+      processingFee: getProcessingFee(gateway, amount),
+      finalAmount: amount,
+      exchangeRate: baseRate ? { baseCurrency, baseRate: baseRate.rate, at: baseRate.at } : undefined,
+      baseAmount: baseRate ? convertAmount(amount, 1 / baseRate.rate) : undefined,
       status: 'pending',
-      paymentMethod: 'razorpay',
-      description: notes?.description || 'Payment for booking',
+      paymentMethod: gateway.name,
+      description: notes?.description || `${isBalance ? 'Balance' : 'Payment'} for booking ${booking._id}`,
       metadata: {
         orderId: order.id,
         userId: req.user.id,
-        ...notes
+        bookingId: booking._id.toString()
       }
     });
 
     res.status(200).json({
       success: true,
       data: {
+        gateway: gateway.name,
         orderId: order.id,
-        amount: order.amount,
+        amount: Math.round(order.amount * 100), // Smallest currency unit, as checkout widgets expect
         currency: order.currency,
         receipt: order.receipt,
         paymentId: payment._id,
-        keyId: process.env.RAZORPAY_KEY_ID
+        bookingId: booking._id,
+        breakdown: isBalance ? { ...amountDue, amountPaid: booking.paymentDetails.amountPaid, balance: amount } : amountDue,
+        keyId: gateway.publicKey
       }
     });
   } catch (error) {
-    console.error('Razorpay order creation error:', error);
-    return next(new ErrorResponse('Failed to create payment order', 500));
+    console.error(`${gateway.name} order creation error:`, error.message);
+    return next(new ErrorResponse('Failed to create payment order', error.statusCode || 500));
   }
 });
 
-// @desc    Verify Razorpay payment
-// @route   POST /api/payments/razorpay/verify
+// @desc    Create payment order for a booking's security deposit
+//          Deposits are paid separately from the booking and refunded or kept after it
+// @route   POST /api/payments/razorpay/create-deposit-order
 // @access  Private
-exports.verifyRazorpayPayment = asyncHandler(async (req, res, next) => {
-  const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+exports.createDepositOrder = asyncHandler(async (req, res, next) => {
+  const { bookingId, notes } = req.body;
 
-  if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
-    return next(new ErrorResponse('Missing payment verification parameters', 400));
+  const booking = await Booking.findById(bookingId);
+
+  if (!booking) {
+    return next(new ErrorResponse(`Booking not found with id of ${bookingId}`, 404));
   }
 
-  try {
-    if (!process.env.RAZORPAY_KEY_SECRET) {
-      console.error('Missing RAZORPAY_KEY_SECRET');
-      return next(new ErrorResponse('Payment configuration error', 500));
-    }
-    // Verify the payment signature
-    const body = razorpay_order_id + "|" + razorpay_payment_id;
-    const expectedSignature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-      .update(body.toString())
-      .digest('hex');
-
-    if (expectedSignature !== razorpay_signature) {
-      return next(new ErrorResponse('Invalid payment signature', 400));
-    }
+  // Make sure user owns booking
+  if (booking.user.toString() !== req.user.id) {
+    return next(new ErrorResponse(`User ${req.user.id} is not authorized to pay for this booking`, 401));
+  }
 
-    // Update payment record in database (trust signature for status)
-    const updatedPayment = await Payment.findOneAndUpdate(
-      { razorpayOrderId: razorpay_order_id }, 
-      {
-        razorpayPaymentId: razorpay_payment_id,
-        razorpaySignature: razorpay_signature,
-        status: 'completed',
-        paymentMethod: 'razorpay',
-        metadata: {
-          verifiedAt: new Date(),
-          userId: req.user.id
-        }
-      },
-      { new: true }
-    );
-
-    if (!updatedPayment) {
-      return next(new ErrorResponse('Payment record not found', 404));
-    }
+  if (!['pending', 'confirmed'].includes(booking.status)) {
+    return next(new ErrorResponse(`Cannot pay a deposit for a booking with status ${booking.status}`, 400));
+  }
+
+  // The deposit is always taken from the booking, never from the client
+  const amount = booking.getDepositDue();
+  const currency = booking.currency;
+
+  if (amount <= 0) {
+    return next(new ErrorResponse(
+      booking.deposit && booking.deposit.paid ? 'Deposit has already been paid' : 'Booking does not require a deposit',
+      400
+    ));
+  }
+
+  if (amount < 1) {
+    return next(new ErrorResponse('Deposit amount is too low to be paid online', 400));
+  }
+
+  const gateway = getGateway();
+  const baseCurrency = getBaseCurrency();
+  const baseRate = await findExchangeRate(baseCurrency, currency);
 
-    // Update booking payment status if applicable
-    if (updatedPayment.booking) {
-      await Booking.findByIdAndUpdate(updatedPayment.booking, {
-        paymentStatus: updatedPayment.status === 'completed' ? 'paid' : 'failed',
-        paymentId: updatedPayment._id
-      });
+  const orderOptions = {
+    amount,
+    currency,
+    receipt: `deposit_${booking._id}`.slice(0, 40),
+    notes: {
+      ...notes,
+      userId: req.user.id,
+      bookingId: booking._id.toString(),
+      purpose: 'deposit'
     }
+  };
+
+  try {
+    const order = await gateway.createOrder(orderOptions);
+
+    const payment = await Payment.create({
+      user: req.user.id,
+      booking: booking._id,
+      purpose: 'deposit',
+      gateway: gateway.name,
+      paymentIntentId: order.id,
+      razorpayOrderId: gateway.name === 'razorpay' ? order.id : undefined,
+      amount,
+      currency,
+      taxAmount: 0,
+      discountAmount: 0,
+      processingFee: getProcessingFee(gateway, amount),
+      finalAmount: amount,
+      exchangeRate: baseRate ? { baseCurrency, baseRate: baseRate.rate, at: baseRate.at } : undefined,
+      baseAmount: baseRate ? convertAmount(amount, 1 / baseRate.rate) : undefined,
+      status: 'pending',
+      paymentMethod: gateway.name,
+      description: notes?.description || `Security deposit for booking ${booking._id}`,
+      metadata: {
+        orderId: order.id,
+        userId: req.user.id,
+        bookingId: booking._id.toString(),
+        purpose: 'deposit'
+      }
+    });
 
     res.status(200).json({
       success: true,
-      payment: updatedPayment
+      data: {
+        gateway: gateway.name,
+        orderId: order.id,
+        amount: Math.round(order.amount * 100), // Smallest currency unit, as checkout widgets expect
+        currency: order.currency,
+        receipt: order.receipt,
+        paymentId: payment._id,
+        bookingId: booking._id,
+        purpose: 'deposit',
+        keyId: gateway.publicKey
+      }
     });
   } catch (error) {
-    console.error('Razorpay payment verification error:', error?.message || error);
-    // Surface common causes clearly
-    if (error?.status === 404 || /No such payment/i.test(error?.message || '')) {
-      return next(new ErrorResponse('Razorpay payment not found. Ensure IDs are from the same order.', 400));
-    }
-    return next(new ErrorResponse('Payment verification failed', 500));
+    console.error(`${gateway.name} deposit order creation error:`, error.message);
+    return next(new ErrorResponse('Failed to create deposit payment order', error.statusCode || 500));
+  }
+});
+
+// @desc    Verify gateway payment
+// @route   POST /api/payments/razorpay/verify
+// @access  Private
+exports.verifyRazorpayPayment = asyncHandler(async (req, res, next) => {
+  // Accept Razorpay checkout field names as well as the gateway-neutral ones
+  const orderId = req.body.razorpay_order_id || req.body.orderId;
+  const paymentId = req.body.razorpay_payment_id || req.body.paymentId;
+  const signature = req.body.razorpay_signature || req.body.signature;
+
+  if (!orderId || !paymentId || !signature) {
+    return next(new ErrorResponse('Missing payment verification parameters', 400));
+  }
+
+  const payment = await Payment.findByGatewayOrderId(orderId);
+
+  if (!payment) {
+    return next(new ErrorResponse('Payment record not found', 404));
+  }
+
+  if (payment.user.toString() !== req.user.id) {
+    return next(new ErrorResponse(`User ${req.user.id} is not authorized to verify this payment`, 401));
+  }
+
+  // Verify the payment signature with the gateway that created the order
+  if (!getGateway(payment.gateway).verify({ orderId, paymentId, signature })) {
+    return next(new ErrorResponse('Invalid payment signature', 400));
+  }
+
+  // Already captured (an earlier verify or the webhook): repeating it must not undo refunds
+  if (CAPTURED_STATUSES.includes(payment.status)) {
+    return res.status(200).json({
+      success: true,
+      payment,
+      booking: payment.booking ? await Booking.findById(payment.booking) : null
+    });
   }
+
+  // Update payment record in database (trust signature for status)
+  payment.setGatewayPaymentId(paymentId);
+  payment.razorpaySignature = signature;
+  payment.status = 'completed';
+  payment.metadata = {
+    ...Object.fromEntries(payment.metadata || []),
+    verifiedAt: new Date().toISOString(),
+    userId: req.user.id
+  };
+  await payment.save();
+
+  // Mark the booking paid and confirm it (or put its deposit on hold)
+  const booking = await markBookingPaid(payment);
+
+  res.status(200).json({
+    success: true,
+    payment,
+    booking
+  });
 });
 
 // @desc    Get Razorpay payment details
@@ -146,7 +297,7 @@ exports.getRazorpayPaymentDetails = asyncHandler(async (req, res, next) => {
   const { paymentId } = req.params;
 
   try {
-    const payment = await razorpay.payments.fetch(paymentId);
+    const payment = await getGateway('razorpay').getClient().payments.fetch(paymentId);
 
     res.status(200).json({
       success: true,
@@ -158,174 +309,95 @@ exports.getRazorpayPaymentDetails = asyncHandler(async (req, res, next) => {
   }
 });
 
-// @desc    Refund Razorpay payment
+// @desc    Refund gateway payment
 // @route   POST /api/payments/razorpay/:paymentId/refund
 // @access  Private (Admin)
 exports.refundRazorpayPayment = asyncHandler(async (req, res, next) => {
   const { paymentId } = req.params;
   const { amount, reason = 'requested_by_customer' } = req.body;
 
+  const payment = await Payment.findByGatewayPaymentId(paymentId);
+
+  if (!payment) {
+    return next(new ErrorResponse('Payment record not found', 404));
+  }
+
+  if (!payment.canBeRefunded(amount ? Number(amount) : null)) {
+    return next(new ErrorResponse(`Refund exceeds the refundable balance of ${payment.getRefundableAmount()}`, 400));
+  }
+
   try {
-    // Create refund with Razorpay
-    const refundOptions = {
-      amount: amount ? Math.round(amount * 100) : undefined, // Convert to paise
-      reason: reason
-    };
-
-    const refund = await razorpay.payments.refund(paymentId, refundOptions);
-
-    // Update payment record in database
-    const payment = await Payment.findOneAndUpdate(
-      { razorpayPaymentId: paymentId },
-      {
-        status: 'refunded',
-        refundId: refund.id,
-        refundAmount: refund.amount / 100, // Convert from paise
-        refundReason: reason
-      },
-      { new: true }
-    );
-
-    if (!payment) {
-      return next(new ErrorResponse('Payment record not found', 404));
-    }
+    // Refund through the gateway the payment was made with and add it to the payment's ledger
+    const { payment: updated, refund } = await issueRefund(payment, {
+      amount: amount ? Number(amount) : undefined,
+      reason,
+      initiatedBy: req.user.id
+    });
 
     // Update booking if applicable
-    if (payment.booking) {
-      await Booking.findByIdAndUpdate(payment.booking, {
-        paymentStatus: 'refunded'
-      });
+    if (updated.booking) {
+      await syncBookingRefunds(updated.booking);
     }
 
     res.status(200).json({
       success: true,
-      payment: payment,
-      refund: refund
+      payment: updated,
+      refund,
+      refundableAmount: updated.getRefundableAmount()
     });
   } catch (error) {
-    console.error('Razorpay refund error:', error);
-    return next(new ErrorResponse('Refund failed', 500));
+    console.error(`${payment.gateway} refund error:`, error.message);
+    return next(new ErrorResponse(error.statusCode === 400 ? error.message : 'Refund failed', error.statusCode || 500));
   }
 });
 
-// @desc    Handle Razorpay webhook
+// @desc    Handle payment gateway webhook
 // @route   POST /api/payments/razorpay/webhook
+// @route   POST /api/payments/webhook/:gateway
 // @access  Public
 exports.handleRazorpayWebhook = asyncHandler(async (req, res, next) => {
-  const webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
-  const signature = req.headers['x-razorpay-signature'];
+  const gateway = getGateway(req.params.gateway || 'razorpay');
 
-  if (!signature) {
-    return next(new ErrorResponse('Missing webhook signature', 400));
-  }
+  // Verify webhook signature and normalize the event
+  const event = gateway.parseWebhook(req.body, req.headers);
 
-  try {
-    // Verify webhook signature
-    const expectedSignature = crypto
-      .createHmac('sha256', webhookSecret)
-      .update(JSON.stringify(req.body))
-      .digest('hex');
-
-    if (expectedSignature !== signature) {
-      return next(new ErrorResponse('Invalid webhook signature', 400));
-    }
+  // Store every delivery first so redeliveries are recognised and failures can be replayed
+  const { webhookEvent, duplicate } = await WebhookEvent.record(gateway.name, event, req.body);
 
-    const event = req.body;
-
-    // Handle different webhook events
-    switch (event.event) {
-      case 'payment.captured':
-        await handlePaymentCaptured(event.payload.payment.entity);
-        break;
-      case 'payment.failed':
-        await handlePaymentFailed(event.payload.payment.entity);
-        break;
-      case 'refund.processed':
-        await handleRefundProcessed(event.payload.refund.entity);
-        break;
-      default:
-        console.log(`Unhandled webhook event: ${event.event}`);
-    }
+  if (duplicate && webhookEvent.isHandled()) {
+    return res.status(200).json({ received: true, duplicate: true });
+  }
 
-    res.status(200).json({ received: true });
-  } catch (error) {
-    console.error('Webhook processing error:', error);
+  const result = await processWithRetry(webhookEvent);
+
+  // A non-2xx response makes the gateway deliver the event again later
+  if (result.status === 'failed') {
     return next(new ErrorResponse('Webhook processing failed', 500));
   }
+
+  res.status(200).json({ received: true, duplicate, status: result.status });
 });
 
-// Helper functions for webhook handling
-const handlePaymentCaptured = async (payment) => {
-  try {
-    await Payment.findOneAndUpdate(
-      { razorpayPaymentId: payment.id },
-      {
-        status: 'completed',
-        paymentMethod: payment.method,
-        metadata: {
-          ...payment,
-          capturedAt: new Date()
-        }
-      }
-    );
-
-    // Update booking payment status
-    const paymentRecord = await Payment.findOne({ razorpayPaymentId: payment.id });
-    if (paymentRecord && paymentRecord.booking) {
-      await Booking.findByIdAndUpdate(paymentRecord.booking, {
-        paymentStatus: 'paid'
-      });
-    }
-  } catch (error) {
-    console.error('Error handling payment captured:', error);
-  }
-};
+// @desc    Simulate a customer paying a mock gateway order
+// @route   POST /api/payments/mock/orders/:orderId/pay
+// @access  Private (only when PAYMENT_GATEWAY=mock)
+exports.simulateMockPayment = asyncHandler(async (req, res, next) => {
+  const payment = await Payment.findByGatewayOrderId(req.params.orderId);
 
-const handlePaymentFailed = async (payment) => {
-  try {
-    await Payment.findOneAndUpdate(
-      { razorpayPaymentId: payment.id },
-      {
-        status: 'failed',
-        failureReason: payment.error_description,
-        failureCode: payment.error_code
-      }
-    );
-
-    // Update booking payment status
-    const paymentRecord = await Payment.findOne({ razorpayPaymentId: payment.id });
-    if (paymentRecord && paymentRecord.booking) {
-      await Booking.findByIdAndUpdate(paymentRecord.booking, {
-        paymentStatus: 'failed'
-      });
-    }
-  } catch (error) {
-    console.error('Error handling payment failed:', error);
+  if (!payment || payment.gateway !== 'mock') {
+    return next(new ErrorResponse(`Mock order not found with id of ${req.params.orderId}`, 404));
   }
-};
 
-const handleRefundProcessed = async (refund) => {
-  try {
-    await Payment.findOneAndUpdate(
-      { razorpayPaymentId: refund.payment_id },
-      {
-        status: 'refunded',
-        refundId: refund.id,
-        refundAmount: refund.amount / 100
-      }
-    );
-
-    // Update booking payment status
-    const paymentRecord = await Payment.findOne({ razorpayPaymentId: refund.payment_id });
-    if (paymentRecord && paymentRecord.booking) {
-      await Booking.findByIdAndUpdate(paymentRecord.booking, {
-        paymentStatus: 'refunded'
-      });
-    }
-  } catch (error) {
-    console.error('Error handling refund processed:', error);
+  if (payment.user.toString() !== req.user.id) {
+    return next(new ErrorResponse(`User ${req.user.id} is not authorized to pay this order`, 401));
   }
-};
+
+  // Same fields a hosted checkout would hand back; send them to the verify endpoint
+  res.status(200).json({
+    success: true,
+    data: getGateway('mock').simulatePayment(payment.paymentIntentId)
+  });
+});
 
 // @desc    Get Razorpay payment methods
 // @route   GET /api/payments/razorpay/payment-methods
@@ -333,7 +405,7 @@ const handleRefundProcessed = async (refund) => {
 exports.getRazorpayPaymentMethods = asyncHandler(async (req, res, next) => {
   try {
     // Get available payment methods from Razorpay
-    const paymentMethods = await razorpay.payments.fetchPaymentMethods();
+    const paymentMethods = await getGateway('razorpay').getClient().payments.fetchPaymentMethods();
 
     res.status(200).json({
       success: true,
@@ -352,7 +424,7 @@ exports.createRazorpayCustomer = asyncHandler(async (req, res, next) => {
   const { name, email, contact, notes } = req.body;
 
   try {
-    const customer = await razorpay.customers.create({
+    const customer = await getGateway('razorpay').getClient().customers.create({
       name: name || `${req.user.firstName} ${req.user.lastName}`,
       email: email || req.user.email,
       contact: contact || req.user.phone,
@@ -1,10 +1,19 @@
 const Service = require('../models/Service');
 const User = require('../models/User');
+const Booking = require('../models/Booking');
+const BookingHold = require('../models/BookingHold');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/async');
 const cloudinary = require('cloudinary').v2;
 const multer = require('multer');
 const path = require('path');
+const { toUTCDate, eachDay, buildDaySlots, getDaySchedule, minutesToTime, timeToMinutes, normalizeTime, formatDate, resolveSpan, MS_PER_DAY } = require('../utils/slots');
+const { quoteBooking, getServiceCharges } = require('../utils/pricing');
+const { getServiceTax } = require('../utils/tax');
+const { SUPPORTED_CURRENCIES, getExchangeRate } = require('../utils/currency');
+
+// Maximum number of days a single slots request may span
+const MAX_SLOT_RANGE_DAYS = 31;
 
 // @desc    Get all services
 // @route   GET /api/services
@@ -103,6 +112,131 @@ exports.getService = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Get bookable slots for a service
+// @route   GET /api/services/:id/slots?from=&to=&slotMinutes=
+// @access  Public
+exports.getServiceSlots = asyncHandler(async (req, res, next) => {
+  const service = await Service.findById(req.params.id);
+
+  if (!service || !service.isActive) {
+    return next(new ErrorResponse(`Service not found with id of ${req.params.id}`, 404));
+  }
+
+  const from = req.query.from ? toUTCDate(req.query.from) : toUTCDate(new Date());
+  const to = req.query.to ? toUTCDate(req.query.to) : (from && new Date(from.getTime() + 6 * MS_PER_DAY));
+
+  if (!from || !to) {
+    return next(new ErrorResponse('Please provide valid from and to dates', 400));
+  }
+
+  if (to < from) {
+    return next(new ErrorResponse('The to date must be on or after the from date', 400));
+  }
+
+  if ((to - from) / MS_PER_DAY + 1 > MAX_SLOT_RANGE_DAYS) {
+    return next(new ErrorResponse(`Date range cannot exceed ${MAX_SLOT_RANGE_DAYS} days`, 400));
+  }
+
+  const slotMinutes = parseInt(req.query.slotMinutes, 10) || undefined;
+  if (slotMinutes !== undefined && (slotMinutes < 5 || slotMinutes > 24 * 60)) {
+    return next(new ErrorResponse('slotMinutes must be between 5 and 1440', 400));
+  }
+
+  const days = await Promise.all(eachDay(from, to).map(async (date) => {
+    const window = getDaySchedule(service, date);
+    if (!window) return buildDaySlots(service, date, [], { slotMinutes });
+
+    const openTime = minutesToTime(window.open);
+    const closeTime = minutesToTime(window.close);
+    const bookings = await Booking.checkAvailability(service._id, date, openTime, closeTime);
+    // Holds already tied to a booking are represented by that booking
+    const holds = (await BookingHold.findActive(service._id, date, openTime, closeTime))
+      .filter(hold => !hold.booking);
+
+    return buildDaySlots(service, date, [...bookings, ...holds], { slotMinutes });
+  }));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      service: service._id,
+      from: formatDate(from),
+      to: formatDate(to),
+      capacity: service.availability?.maxBookingsPerSlot || 1,
+      days
+    }
+  });
+});
+
+// @desc    Quote the price of booking a service for a date and time
+// @route   GET /api/services/:id/quote?date=&endDate=&startTime=&endTime=&currency=
+// @access  Public
+exports.getServiceQuote = asyncHandler(async (req, res, next) => {
+  const service = await Service.findById(req.params.id);
+
+  if (!service || !service.isActive) {
+    return next(new ErrorResponse(`Service not found with id of ${req.params.id}`, 404));
+  }
+
+  const { startTime, endTime } = req.query;
+  const bookingDate = toUTCDate(req.query.date);
+
+  if (!bookingDate || timeToMinutes(startTime) === null || timeToMinutes(endTime) === null) {
+    return next(new ErrorResponse('Please provide a valid date, startTime and endTime', 400));
+  }
+
+  const span = resolveSpan({ bookingDate, endDate: req.query.endDate, startTime, endTime });
+  if (span.error) {
+    return next(new ErrorResponse(span.error, 400));
+  }
+  const { endDate } = span;
+
+  if (!getDaySchedule(service, bookingDate) || (endDate && !getDaySchedule(service, endDate))) {
+    return next(new ErrorResponse('Service is closed on this day', 400));
+  }
+
+  const currency = req.query.currency ? String(req.query.currency).toUpperCase() : service.price.currency;
+  if (!SUPPORTED_CURRENCIES.includes(currency)) {
+    return next(new ErrorResponse(`Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`, 400));
+  }
+  const exchangeRate = currency === service.price.currency
+    ? null
+    : await getExchangeRate(service.price.currency, currency);
+
+  const quote = await quoteBooking(service, {
+    bookingDate,
+    endDate,
+    startTime,
+    endTime,
+    exchangeRate
+  });
+
+  // Priced exactly as createBooking prices it, including tax and the service's extra charges
+  const booking = new Booking({
+    totalAmount: quote.totalAmount,
+    tax: getServiceTax(service, quote.totalAmount),
+    ...getServiceCharges(service, exchangeRate ? exchangeRate.rate : 1)
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      service: service._id,
+      date: formatDate(bookingDate),
+      endDate: endDate ? formatDate(endDate) : undefined,
+      startTime: normalizeTime(startTime),
+      endTime: normalizeTime(endTime),
+      ...quote,
+      exchangeRate: exchangeRate || undefined,
+      tax: booking.tax,
+      amountDue: booking.getAmountDue(),
+      // Collected as a separate payment and refundable after the booking
+      depositDue: booking.getDepositDue(),
+      isAvailable: quote.occupancy.remaining > 0
+    }
+  });
+});
+
 // @desc    Create new service
 // @route   POST /api/services
 // @access  Private
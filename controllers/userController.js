@@ -1,4 +1,5 @@
 const User = require('../models/User');
+const Notification = require('../models/Notification');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/async');
 const cloudinary = require('cloudinary').v2;
@@ -510,4 +511,45 @@ exports.removeFavorite = asyncHandler(async (req, res, next) => {
   // Return populated favorites to match getMyFavorites response
   const updatedUser = await User.findById(req.user.id).populate({ path: 'favorites', select: 'name images price location rating' });
   res.status(200).json({ success: true, data: updatedUser.favorites || [] });
-});
\ No newline at end of file
+});
+
+// Notification inbox (self)
+exports.getMyNotifications = asyncHandler(async (req, res, next) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+  const query = { user: req.user.id };
+  if (req.query.unread === 'true') query.isRead = false;
+
+  const [total, unread, notifications] = await Promise.all([
+    Notification.countDocuments(query),
+    Notification.countDocuments({ user: req.user.id, isRead: false }),
+    Notification.find(query)
+      .sort('-createdAt')
+      .skip((page - 1) * limit)
+      .limit(limit)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: notifications.length,
+    unread,
+    data: notifications,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  });
+});
+
+exports.markNotificationRead = asyncHandler(async (req, res, next) => {
+  const notification = await Notification.findOneAndUpdate(
+    { _id: req.params.id, user: req.user.id },
+    { isRead: true, readAt: new Date() },
+    { new: true }
+  );
+  if (!notification) return next(new ErrorResponse('Notification not found', 404));
+  res.status(200).json({ success: true, data: notification });
+});
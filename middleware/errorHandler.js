@@ -47,15 +47,9 @@ const errorHandler = (err, req, res, next) => {
     error = new ErrorResponse(message, 400);
   }
 
-  // Stripe errors
-  if (err.type === 'StripeCardError') {
-    const message = err.message;
-    error = new ErrorResponse(message, 400);
-  }
-
-  if (err.type === 'StripeInvalidRequestError') {
-    const message = 'Invalid payment request';
-    error = new ErrorResponse(message, 400);
+  // Payment gateway errors (see utils/paymentGateways)
+  if (err.name === 'PaymentGatewayError') {
+    error = new ErrorResponse(err.message, err.statusCode || 502);
   }
 
   // Rate limiting errors
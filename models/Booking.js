@@ -1,4 +1,43 @@
 const mongoose = require('mongoose');
+const BookingHold = require('./BookingHold');
+const CouponRedemption = require('./CouponRedemption');
+const ErrorResponse = require('../utils/errorResponse');
+const { DEFAULT_TIME_ZONE, zonedTimeToUtc } = require('../utils/timezone');
+const { getFeeRate, DEFAULT_POLICY } = require('../utils/cancellationPolicy');
+const {
+  normalizeTime,
+  timeToMinutes,
+  minutesToTime,
+  toUTCDate,
+  overlaps,
+  touchesDayQuery,
+  getReservationWindow,
+  getSpan,
+  peakOccupancy
+} = require('../utils/slots');
+
+// Allowed status changes; completed, cancelled and no_show are terminal
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['in_progress', 'completed', 'cancelled', 'no_show'],
+  in_progress: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: [],
+  no_show: []
+};
+
+// Payment statuses of a booking nobody has paid for yet
+const UNPAID_STATUSES = ['pending', 'failed'];
+
+// Maps the acting user's role onto the cancelledBy enum
+const CANCELLED_BY_ROLE = {
+  user: 'user',
+  service_provider: 'provider',
+  admin: 'admin'
+};
+
+// Share of the booking total charged when rescheduling inside the cancellation window
+const RESCHEDULE_FEE_RATE = 0.1;
 
 const bookingSchema = new mongoose.Schema({
   user: {
@@ -20,13 +59,31 @@ const bookingSchema = new mongoose.Schema({
     type: Date,
     required: [true, 'Booking date is required']
   },
+  // Last day of a multi-day booking (e.g. a hotel stay), which ends at endTime on that day.
+  // Unset for bookings within one day.
+  endDate: {
+    type: Date,
+    validate: {
+      validator: function(value) {
+        return !value || !this.bookingDate || value >= this.bookingDate;
+      },
+      message: 'End date cannot be before the booking date'
+    }
+  },
   startTime: {
     type: String,
-    required: [true, 'Start time is required']
+    required: [true, 'Start time is required'],
+    set: normalizeTime
   },
   endTime: {
     type: String,
-    required: [true, 'End time is required']
+    required: [true, 'End time is required'],
+    set: normalizeTime
+  },
+  // The service's time zone when booked; bookingDate, startTime and endTime are wall-clock there
+  timeZone: {
+    type: String,
+    default: DEFAULT_TIME_ZONE
   },
   duration: {
     type: Number, // in hours
@@ -47,15 +104,24 @@ const bookingSchema = new mongoose.Schema({
     default: 'USD',
     enum: ['USD', 'EUR', 'GBP', 'INR']
   },
+  // Set when the booking is priced in another currency than the service: amounts in the
+  // service's currency (`from`) were multiplied by `rate` when the booking was made
+  exchangeRate: {
+    from: String,
+    to: String,
+    rate: Number,
+    at: Date
+  },
+  // partial: paid, but the price went up afterwards (e.g. a reschedule fee) and a balance is due
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed', 'refunded', 'partially_refunded'],
+    enum: ['pending', 'paid', 'partial', 'failed', 'refunded', 'partially_refunded'],
     default: 'pending'
   },
   paymentMethod: {
     type: String,
-    enum: ['stripe', 'paypal', 'cash', 'bank_transfer'],
-    default: 'stripe'
+    enum: ['razorpay', 'mock', 'stripe', 'paypal', 'cash', 'bank_transfer'],
+    default: 'razorpay'
   },
   paymentDetails: {
     transactionId: String,
@@ -111,6 +177,64 @@ const bookingSchema = new mongoose.Schema({
     },
     createdAt: Date
   },
+  // How totalAmount was priced: base price for the units booked plus any pricing rule adjustments
+  pricing: {
+    // Service price.type at the time of booking and the unit it was charged per
+    priceType: String,
+    unit: String,
+    unitPrice: Number,
+    units: Number,
+    hours: Number,
+    // Calendar days (or nights) charged for daily, weekly and monthly prices
+    days: Number,
+    baseAmount: Number,
+    adjustments: [{
+      rule: mongoose.Schema.Types.ObjectId,
+      name: String,
+      type: { type: String },
+      amount: Number,
+      _id: false
+    }]
+  },
+  // Coupon applied to the booking; the discount comes off totalAmount before tax
+  discount: {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    amount: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Tax on totalAmount less any discount, worked out from the service's tax rule when the booking is priced
+  tax: {
+    name: String,
+    rate: {
+      type: Number,
+      default: 0
+    },
+    // true when totalAmount already includes the tax
+    inclusive: {
+      type: Boolean,
+      default: false
+    },
+    taxableAmount: {
+      type: Number,
+      default: 0
+    },
+    amount: {
+      type: Number,
+      default: 0
+    },
+    components: [{
+      name: String,
+      rate: Number,
+      amount: Number,
+      _id: false
+    }]
+  },
   insurance: {
     isRequired: {
       type: Boolean,
@@ -135,7 +259,35 @@ const bookingSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
-    paidAt: Date
+    paidAt: Date,
+    // Deposit payment (Payment with purpose 'deposit'), separate from the booking payment
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    // held once paid, then settled by the provider after completion (see utils/deposits)
+    status: {
+      type: String,
+      enum: ['pending', 'held', 'released', 'partially_withheld', 'captured'],
+      default: 'pending'
+    },
+    withheldAmount: {
+      type: Number,
+      default: 0
+    },
+    refundedAmount: {
+      type: Number,
+      default: 0
+    },
+    reason: {
+      type: String,
+      maxlength: [500, 'Deposit reason cannot exceed 500 characters']
+    },
+    settledAt: Date,
+    settledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
   },
   location: {
     address: String,
@@ -174,7 +326,58 @@ const bookingSchema = new mongoose.Schema({
   parentBooking: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Booking'
-  }
+  },
+  // Provider payout this booking was settled in
+  payout: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payout'
+  },
+  // Refund total already netted out of payouts; later refunds are clawed back in the next batch
+  settledRefundAmount: {
+    type: Number,
+    default: 0
+  },
+  statusHistory: [{
+    from: String,
+    to: {
+      type: String,
+      required: true
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: {
+      type: String,
+      enum: ['user', 'service_provider', 'admin', 'system'],
+      default: 'system'
+    },
+    reason: {
+      type: String,
+      maxlength: [200, 'Status change reason cannot exceed 200 characters']
+    },
+    changedAt: { type: Date, default: Date.now }
+  }],
+  rescheduleHistory: [{
+    bookingDate: Date,
+    endDate: Date,
+    startTime: String,
+    endTime: String,
+    duration: Number,
+    totalAmount: Number,
+    priceDifference: Number,
+    rescheduleFee: { type: Number, default: 0 },
+    reason: {
+      type: String,
+      maxlength: [200, 'Reschedule reason cannot exceed 200 characters']
+    },
+    rescheduledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: String,
+    rescheduledAt: { type: Date, default: Date.now }
+  }]
 }, {
   timestamps: true
 });
@@ -184,8 +387,10 @@ bookingSchema.index({ user: 1, status: 1 });
 bookingSchema.index({ provider: 1, status: 1 });
 bookingSchema.index({ service: 1 });
 bookingSchema.index({ bookingDate: 1, startTime: 1 });
+bookingSchema.index({ service: 1, endDate: 1 });
 bookingSchema.index({ status: 1, paymentStatus: 1 });
 bookingSchema.index({ createdAt: -1 });
+bookingSchema.index({ provider: 1, payout: 1 });
 
 // Virtual for booking duration in minutes
 bookingSchema.virtual('durationMinutes').get(function() {
@@ -194,48 +399,110 @@ bookingSchema.virtual('durationMinutes').get(function() {
 
 // Virtual for isUpcoming
 bookingSchema.virtual('isUpcoming').get(function() {
-  const now = new Date();
-  const bookingDateTime = new Date(this.bookingDate);
-  bookingDateTime.setHours(parseInt(this.startTime.split(':')[0]), parseInt(this.startTime.split(':')[1]));
-  return bookingDateTime > now && this.status === 'confirmed';
+  return this.getStartsAt() > new Date() && this.status === 'confirmed';
 });
 
 // Virtual for isPast
 bookingSchema.virtual('isPast').get(function() {
-  const now = new Date();
-  const bookingDateTime = new Date(this.bookingDate);
-  bookingDateTime.setHours(parseInt(this.endTime.split(':')[0]), parseInt(this.endTime.split(':')[1]));
-  return bookingDateTime < now;
+  return this.getEndsAt() < new Date();
 });
 
+// Method to get the instant the booking starts, reading its date and time in the booking's time zone
+bookingSchema.methods.getStartsAt = function() {
+  return zonedTimeToUtc(toUTCDate(this.bookingDate), timeToMinutes(this.startTime), this.timeZone);
+};
+
+// Method to get the instant the booking ends (on endDate for multi-day bookings)
+bookingSchema.methods.getEndsAt = function() {
+  return zonedTimeToUtc(toUTCDate(this.endDate || this.bookingDate), timeToMinutes(this.endTime), this.timeZone);
+};
+
 // Method to check if booking can be cancelled
 bookingSchema.methods.canBeCancelled = function() {
-  const now = new Date();
-  const bookingDateTime = new Date(this.bookingDate);
-  bookingDateTime.setHours(parseInt(this.startTime.split(':')[0]), parseInt(this.startTime.split(':')[1]));
-  
-  const hoursUntilBooking = (bookingDateTime - now) / (1000 * 60 * 60);
-  
-  return this.status === 'confirmed' && hoursUntilBooking > 24;
+  return this.status === 'confirmed' && this.getHoursUntilStart() > 24;
 };
 
-// Method to calculate cancellation fee
-bookingSchema.methods.calculateCancellationFee = function() {
-  const now = new Date();
-  const bookingDateTime = new Date(this.bookingDate);
-  bookingDateTime.setHours(parseInt(this.startTime.split(':')[0]), parseInt(this.startTime.split(':')[1]));
-  
-  const hoursUntilBooking = (bookingDateTime - now) / (1000 * 60 * 60);
-  
-  if (hoursUntilBooking > 48) {
-    return 0; // No cancellation fee
-  } else if (hoursUntilBooking > 24) {
-    return this.totalAmount * 0.1; // 10% cancellation fee
-  } else if (hoursUntilBooking > 2) {
-    return this.totalAmount * 0.5; // 50% cancellation fee
-  } else {
-    return this.totalAmount; // Full amount
+// Method to get the number of hours left before the booking starts (negative once started)
+bookingSchema.methods.getHoursUntilStart = function() {
+  return (this.getStartsAt().getTime() - Date.now()) / (1000 * 60 * 60);
+};
+
+// Method to calculate cancellation fee under a service's cancellation policy
+// Defaults to the moderate policy with a 24 hour cutoff
+bookingSchema.methods.calculateCancellationFee = function(policyName = DEFAULT_POLICY, cancellationHours = 24) {
+  return this.totalAmount * getFeeRate(policyName, cancellationHours, this.getHoursUntilStart());
+};
+
+// Method to get the amount to charge at checkout: the booking total less any discount, plus tax
+// (unless already included) and required insurance. Deposits are paid separately (getDepositDue).
+bookingSchema.methods.getAmountDue = function() {
+  const insurance = this.insurance?.isRequired ? (this.insurance.amount || 0) : 0;
+  // Tax-inclusive prices already carry the tax in totalAmount
+  const tax = this.tax && !this.tax.inclusive ? (this.tax.amount || 0) : 0;
+  const discount = this.discount?.amount || 0;
+
+  return {
+    baseAmount: this.totalAmount,
+    discount,
+    tax,
+    insurance,
+    total: Math.round((this.totalAmount - discount + tax + insurance) * 100) / 100
+  };
+};
+
+// Method to get what is still owed on a booking that has been paid before (0 when settled)
+bookingSchema.methods.getBalanceDue = function() {
+  const paid = this.paymentDetails?.amountPaid || 0;
+  return Math.max(Math.round((this.getAmountDue().total - paid) * 100) / 100, 0);
+};
+
+// Method to get the security deposit still to be collected (0 when not required or already paid)
+bookingSchema.methods.getDepositDue = function() {
+  return this.deposit?.isRequired && !this.deposit.paid ? (this.deposit.amount || 0) : 0;
+};
+
+// Method to get the amount tax is charged on: the booking total less any coupon discount
+bookingSchema.methods.getTaxableBase = function() {
+  return Math.max(this.totalAmount - (this.discount?.amount || 0), 0);
+};
+
+// Method to check whether a status change is allowed from the current status
+bookingSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Method to move the booking to a new status, recording who did it and why.
+// Throws a 400 ErrorResponse for transitions that are not in STATUS_TRANSITIONS.
+bookingSchema.methods.transitionTo = function(status, { actor, role = 'system', reason } = {}) {
+  if (!this.canTransitionTo(status)) {
+    throw new ErrorResponse(`Invalid status transition from ${this.status} to ${status}`, 400);
   }
+
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    actor,
+    role,
+    reason,
+    changedAt: new Date()
+  });
+  this.status = status;
+
+  if (status === 'cancelled') {
+    this.cancelledBy = CANCELLED_BY_ROLE[role] || 'system';
+    if (reason) this.cancellationReason = reason;
+  }
+
+  return this;
+};
+
+// Method to calculate the fee for moving a booking.
+// Free outside the service's cancellation window, a percentage of the total inside it.
+bookingSchema.methods.calculateRescheduleFee = function(cancellationHours = 24) {
+  if (this.getHoursUntilStart() > cancellationHours) {
+    return 0;
+  }
+  return Math.round(this.totalAmount * RESCHEDULE_FEE_RATE * 100) / 100;
 };
 
 // Static method to get bookings by user
@@ -261,26 +528,128 @@ bookingSchema.statics.getProviderBookings = function(providerId, status = null)
 };
 
 // Static method to check availability
-bookingSchema.statics.checkAvailability = function(serviceId, date, startTime, endTime, excludeBookingId = null) {
+bookingSchema.statics.checkAvailability = async function(serviceId, date, startTime, endTime, excludeBookingId = null) {
+  const day = toUTCDate(date);
   const query = {
     service: serviceId,
-    bookingDate: date,
     status: { $in: ['confirmed', 'pending'] },
-    $or: [
-      {
-        startTime: { $lt: endTime },
-        endTime: { $gt: startTime }
-      }
-    ]
+    ...touchesDayQuery(day)
   };
   
   if (excludeBookingId) {
     query._id = { $ne: excludeBookingId };
   }
   
-  return this.find(query);
+  // Multi-day bookings cover different hours on each day, so the overlap is checked here
+  const start = timeToMinutes(startTime);
+  const end = timeToMinutes(endTime);
+  const bookings = await this.find(query);
+
+  return bookings.filter(booking => {
+    const window = getReservationWindow(booking, day);
+    return window && overlaps(window.start, window.end, start, end);
+  });
 };
 
+// Static method to get the occurrences of a recurring series
+// scope: 'series' for every occurrence, 'following' for this one and everything after it
+bookingSchema.statics.findSeriesOccurrences = function(booking, scope = 'series') {
+  const seriesId = booking.parentBooking || booking._id;
+  const query = {
+    $or: [{ _id: seriesId }, { parentBooking: seriesId }]
+  };
+
+  if (scope === 'following') {
+    query.bookingDate = { $gte: booking.bookingDate };
+  }
+
+  return this.find(query).sort({ bookingDate: 1 });
+};
+
+// Static method to check remaining capacity for a time range
+// Returns how many bookings already overlap at peak and whether another one fits
+// Unexpired slot holds that are not yet tied to a booking count against capacity too
+bookingSchema.statics.getSlotUsage = async function(serviceId, date, startTime, endTime, capacity = 1, options = {}) {
+  const { excludeBookingId = null, excludeHoldId = null, endDate = null } = options;
+  const span = getSpan({ bookingDate: date, endDate, startTime, endTime });
+
+  // A multi-day range needs a free seat on every day it covers
+  const conflicts = new Map();
+  const holds = new Map();
+  let booked = 0;
+
+  for (const { day, start, end } of span.segments) {
+    const dayConflicts = await this.checkAvailability(serviceId, day, minutesToTime(start), minutesToTime(end), excludeBookingId);
+    const dayHolds = (await BookingHold.findActive(serviceId, day, minutesToTime(start), minutesToTime(end), excludeHoldId))
+      .filter(hold => !hold.booking);
+
+    booked = Math.max(booked, peakOccupancy([...dayConflicts, ...dayHolds], start, end, day));
+    dayConflicts.forEach(booking => conflicts.set(booking._id.toString(), booking));
+    dayHolds.forEach(hold => holds.set(hold._id.toString(), hold));
+  }
+
+  return {
+    capacity,
+    booked,
+    remaining: Math.max(capacity - booked, 0),
+    isAvailable: booked < capacity,
+    conflicts: [...conflicts.values()],
+    holds: [...holds.values()]
+  };
+};
+
+// Static method to cancel a booking that was never paid for, on behalf of the system.
+// Only succeeds while the booking is still pending and unpaid, so it is safe to race against
+// a payment or another server doing the same; resolves to the cancelled booking or null.
+bookingSchema.statics.expireUnpaid = async function(bookingId, reason) {
+  const booking = await this.findOneAndUpdate(
+    { _id: bookingId, status: 'pending', paymentStatus: { $in: UNPAID_STATUSES } },
+    {
+      $set: { status: 'cancelled', cancelledBy: 'system', cancellationReason: reason },
+      $push: { statusHistory: { from: 'pending', to: 'cancelled', role: 'system', reason, changedAt: new Date() } }
+    },
+    { new: true }
+  );
+  if (!booking) return null;
+
+  // Updates skip the save hooks, so free the slot hold and coupon here
+  await BookingHold.releaseForBooking(booking._id);
+  await CouponRedemption.releaseForBooking(booking._id);
+
+  return booking;
+};
+
+// Remember the stored status so direct assignments can be checked against the transition table
+bookingSchema.post('init', function() {
+  this.$locals.persistedStatus = this.status;
+});
+
+// Enforce the transition table for every save, including code that sets status directly
+bookingSchema.pre('validate', function(next) {
+  const last = this.statusHistory[this.statusHistory.length - 1];
+
+  if (this.isNew) {
+    if (!last) {
+      this.statusHistory.push({ from: null, to: this.status, actor: this.user, role: 'user' });
+    }
+    return next();
+  }
+
+  const from = this.$locals.persistedStatus;
+  if (!this.isModified('status') || !from || from === this.status) return next();
+
+  if (!(STATUS_TRANSITIONS[from] || []).includes(this.status)) {
+    return next(new ErrorResponse(`Invalid status transition from ${from} to ${this.status}`, 400));
+  }
+
+  // Status was assigned without transitionTo(); still keep the history complete
+  if (!last || last.from !== from || last.to !== this.status) {
+    this.statusHistory.push({ from, to: this.status, role: 'system' });
+  }
+
+  next();
+});
+
 // Pre-save middleware to update related data
 bookingSchema.pre('save', function(next) {
   // Update service availability if booking is confirmed
@@ -288,13 +657,23 @@ bookingSchema.pre('save', function(next) {
     // This would typically trigger a service availability update
   }
   
-  // Calculate cancellation fee if booking is being cancelled
-  if (this.isModified('status') && this.status === 'cancelled' && this.cancelledBy) {
-    this.cancellationFee = this.calculateCancellationFee();
-    this.refundAmount = this.totalAmount - this.cancellationFee;
-  }
+  // Remember the cancellation so the post-save hook can free the slot hold
+  this.$locals.releaseHold = this.isModified('status') && this.status === 'cancelled';
   
   next();
 });
 
+// Release any slot hold, and a coupon that was never paid for, once a booking is cancelled
+bookingSchema.post('save', async function() {
+  this.$locals.persistedStatus = this.status;
+
+  if (this.$locals.releaseHold) {
+    await BookingHold.releaseForBooking(this._id);
+    await CouponRedemption.releaseForBooking(this._id);
+  }
+});
+
+bookingSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+bookingSchema.statics.UNPAID_STATUSES = UNPAID_STATUSES;
+
 module.exports = mongoose.model('Booking', bookingSchema);
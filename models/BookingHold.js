@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const { timeToMinutes, overlaps, touchesDayQuery, getReservationWindow } = require('../utils/slots');
+
+const DEFAULT_HOLD_MINUTES = 15;
+
+const bookingHoldSchema = new mongoose.Schema({
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: [true, 'Service is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  bookingDate: {
+    type: Date,
+    required: [true, 'Booking date is required']
+  },
+  // Last day of a multi-day hold; unset for holds within one day
+  endDate: Date,
+  startTime: {
+    type: String,
+    required: [true, 'Start time is required']
+  },
+  endTime: {
+    type: String,
+    required: [true, 'End time is required']
+  },
+  // Which unit of the slot's capacity this hold occupies (0 .. maxBookingsPerSlot - 1)
+  seat: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One hold per seat of a slot; a second request for the same seat fails with a duplicate key
+bookingHoldSchema.index({ service: 1, bookingDate: 1, startTime: 1, seat: 1 }, { unique: true });
+// MongoDB removes holds automatically once they expire
+bookingHoldSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+bookingHoldSchema.index({ booking: 1 });
+
+// How long a hold lasts, configurable through BOOKING_HOLD_MINUTES
+bookingHoldSchema.statics.getHoldMinutes = function() {
+  return parseInt(process.env.BOOKING_HOLD_MINUTES, 10) || DEFAULT_HOLD_MINUTES;
+};
+
+// Static method to get unexpired holds overlapping a time range
+bookingHoldSchema.statics.findActive = async function(serviceId, date, startTime, endTime, excludeHoldId = null) {
+  const query = {
+    service: serviceId,
+    expiresAt: { $gt: new Date() },
+    ...touchesDayQuery(date)
+  };
+
+  if (excludeHoldId) {
+    query._id = { $ne: excludeHoldId };
+  }
+
+  const start = timeToMinutes(startTime);
+  const end = timeToMinutes(endTime);
+  const holds = await this.find(query);
+
+  return holds.filter(hold => {
+    const window = getReservationWindow(hold, date);
+    return window && overlaps(window.start, window.end, start, end);
+  });
+};
+
+/**
+ * Claim the first free seat of a slot.
+ * The unique index makes this atomic: concurrent requests for the same seat
+ * cannot both succeed, so the loser moves on to the next seat or gives up.
+ * Returns the hold, or null when every seat is taken.
+ */
+bookingHoldSchema.statics.acquire = async function({ service, user, bookingDate, endDate, startTime, endTime, capacity = 1 }) {
+  // The TTL monitor only runs every minute, so clear expired holds for this day first
+  await this.deleteMany({ service, bookingDate, expiresAt: { $lte: new Date() } });
+
+  const expiresAt = new Date(Date.now() + this.getHoldMinutes() * 60 * 1000);
+
+  for (let seat = 0; seat < capacity; seat++) {
+    try {
+      return await this.create({ service, user, bookingDate, endDate, startTime, endTime, seat, expiresAt });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  return null;
+};
+
+// Static method to release every hold tied to a booking
+bookingHoldSchema.statics.releaseForBooking = function(bookingId) {
+  return this.deleteMany({ booking: bookingId });
+};
+
+module.exports = mongoose.model('BookingHold', bookingHoldSchema);
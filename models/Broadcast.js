@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// A message an admin sends to many users at once; one BroadcastDelivery per recipient and channel
+const BroadcastSchema = new mongoose.Schema({
+    subject: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Subject cannot exceed 200 characters'],
+        default: 'Notification'
+    },
+    // May contain {{variables}}, filled in per recipient (see utils/notifications renderTemplate)
+    message: {
+        type: String,
+        required: [true, 'Message is required'],
+        maxlength: [5000, 'Message cannot exceed 5000 characters']
+    },
+    channels: [{
+        type: String,
+        enum: ['email', 'sms', 'push', 'in_app']
+    }],
+    // Values for {{variables}} shared by every recipient; user fields take precedence
+    variables: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    // Audience as requested, for the record
+    filters: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    recipientCount: {
+        type: Number,
+        default: 0
+    },
+    // Deliveries are spread out to stay under this rate
+    ratePerMinute: {
+        type: Number,
+        min: [1, 'Rate must be at least 1 per minute']
+    },
+    createdBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+BroadcastSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('Broadcast', BroadcastSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// pending: queued for sending, delivered: accepted by the channel, failed: out of attempts,
+// skipped: not sent (opted out, or no email address or phone number for the channel)
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed', 'skipped'];
+
+// Outcome of a broadcast for one recipient on one channel
+const BroadcastDeliverySchema = new mongoose.Schema({
+    broadcast: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Broadcast',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    channel: {
+        type: String,
+        enum: ['email', 'sms', 'push', 'in_app'],
+        required: true
+    },
+    status: {
+        type: String,
+        enum: DELIVERY_STATUSES,
+        default: 'pending'
+    },
+    // Why a delivery was skipped, or the last error for a failed one
+    reason: {
+        type: String
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    deliveredAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+BroadcastDeliverySchema.index({ broadcast: 1, user: 1, channel: 1 }, { unique: true });
+BroadcastDeliverySchema.index({ broadcast: 1, status: 1 });
+
+BroadcastDeliverySchema.statics.DELIVERY_STATUSES = DELIVERY_STATUSES;
+
+// Static method to count a broadcast's deliveries per status (every status present, 0 if none)
+BroadcastDeliverySchema.statics.countByStatus = async function (broadcastId) {
+    const counts = await this.aggregate([
+        { $match: { broadcast: new mongoose.Types.ObjectId(broadcastId) } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const totals = Object.fromEntries(DELIVERY_STATUSES.map(status => [status, 0]));
+    counts.forEach(({ _id, count }) => { totals[_id] = count; });
+    return totals;
+};
+
+module.exports = mongoose.model('BroadcastDelivery', BroadcastDeliverySchema);
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+
+const CouponSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: [true, 'Coupon code is required'],
+        unique: true,
+        uppercase: true,
+        trim: true,
+        match: [/^[A-Z0-9_-]{3,30}$/, 'Coupon code must be 3-30 letters, digits, dashes or underscores']
+    },
+    description: {
+        type: String,
+        maxlength: [200, 'Description cannot exceed 200 characters']
+    },
+    type: {
+        type: String,
+        enum: ['percent', 'flat'],
+        required: [true, 'Coupon type is required']
+    },
+    // Percentage (0-100) for percent coupons, amount in `currency` for flat ones
+    value: {
+        type: Number,
+        required: [true, 'Coupon value is required'],
+        min: [0, 'Coupon value cannot be negative']
+    },
+    // Upper bound on the discount of a percent coupon
+    maxDiscount: {
+        type: Number,
+        min: 0
+    },
+    // Flat coupons only apply to bookings priced in this currency
+    currency: {
+        type: String,
+        enum: ['USD', 'EUR', 'GBP', 'INR']
+    },
+    minOrderAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    validFrom: {
+        type: Date,
+        default: Date.now
+    },
+    validUntil: Date,
+    // Total redemptions allowed across all users (unset = unlimited)
+    usageLimit: {
+        type: Number,
+        min: 1
+    },
+    perUserLimit: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    // Reserved or redeemed uses, kept in step with CouponRedemption
+    usedCount: {
+        type: Number,
+        default: 0
+    },
+    // Empty means the coupon applies to every category / service
+    categories: [{
+        type: String,
+        enum: ['hotel', 'doctor', 'vehicle', 'transport', 'equipment', 'other']
+    }],
+    services: [{
+        type: mongoose.Schema.ObjectId,
+        ref: 'Service'
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+CouponSchema.index({ isActive: 1, validUntil: 1 });
+
+// Instance method to work out the discount on an amount (never more than the amount itself)
+CouponSchema.methods.calculateDiscount = function (amount) {
+    let discount = this.type === 'percent' ? amount * this.value / 100 : this.value;
+
+    if (this.type === 'percent' && this.maxDiscount) {
+        discount = Math.min(discount, this.maxDiscount);
+    }
+
+    return Math.round(Math.min(discount, amount) * 100) / 100;
+};
+
+/**
+ * Instance method to check whether the coupon can be used for a service and amount.
+ * Returns null when it can, or the reason it cannot. Per-user limits are checked separately.
+ */
+CouponSchema.methods.getIneligibilityReason = function ({ service, amount, currency, now = new Date() }) {
+    if (!this.isActive) return 'Coupon is not active';
+    if (this.validFrom && this.validFrom > now) return 'Coupon is not valid yet';
+    if (this.validUntil && this.validUntil < now) return 'Coupon has expired';
+    if (this.usageLimit && this.usedCount >= this.usageLimit) return 'Coupon usage limit has been reached';
+
+    if (this.type === 'flat' && this.currency && this.currency !== currency) {
+        return `Coupon only applies to bookings in ${this.currency}`;
+    }
+
+    if (this.categories.length > 0 && !this.categories.includes(service.category)) {
+        return 'Coupon does not apply to this service category';
+    }
+
+    if (this.services.length > 0 && !this.services.some(id => id.toString() === service._id.toString())) {
+        return 'Coupon does not apply to this service';
+    }
+
+    if (amount < (this.minOrderAmount || 0)) {
+        return `Minimum order amount for this coupon is ${this.minOrderAmount}`;
+    }
+
+    return null;
+};
+
+// Static method to claim one use of a coupon, failing when the overall limit is reached
+CouponSchema.statics.claimUse = function (couponId) {
+    return this.findOneAndUpdate(
+        {
+            _id: couponId,
+            $or: [
+                { usageLimit: null },
+                { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+            ]
+        },
+        { $inc: { usedCount: 1 } },
+        { new: true }
+    );
+};
+
+module.exports = mongoose.model('Coupon', CouponSchema);
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const Coupon = require('./Coupon');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Statuses that count towards a coupon's usage limits
+const ACTIVE_STATUSES = ['reserved', 'redeemed'];
+
+const CouponRedemptionSchema = new mongoose.Schema({
+    coupon: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Coupon',
+        required: true
+    },
+    code: {
+        type: String,
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    booking: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Booking'
+    },
+    payment: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Payment'
+    },
+    service: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Service'
+    },
+    discountAmount: {
+        type: Number,
+        required: true
+    },
+    // What the booking cost before the discount
+    orderAmount: Number,
+    currency: String,
+    // reserved: applied to an unpaid booking, redeemed: booking paid, released: booking dropped
+    status: {
+        type: String,
+        enum: ['reserved', 'redeemed', 'released'],
+        default: 'reserved'
+    },
+    // Which of the user's perUserLimit uses this is (1..perUserLimit); cleared when released
+    slot: Number,
+    redeemedAt: Date,
+    releasedAt: Date
+}, {
+    timestamps: true
+});
+
+CouponRedemptionSchema.index({ coupon: 1, user: 1, status: 1 });
+CouponRedemptionSchema.index({ booking: 1 });
+// One active redemption per use slot, so concurrent bookings cannot exceed the per-user limit
+CouponRedemptionSchema.index(
+    { coupon: 1, user: 1, slot: 1 },
+    { unique: true, partialFilterExpression: { slot: { $exists: true } } }
+);
+CouponRedemptionSchema.index({ createdAt: -1 });
+
+// Static method to count a user's uses of a coupon that still count towards the limit
+CouponRedemptionSchema.statics.countForUser = function (couponId, userId) {
+    return this.countDocuments({ coupon: couponId, user: userId, status: { $in: ACTIVE_STATUSES } });
+};
+
+/**
+ * Reserve one use of a coupon for a booking.
+ * The overall limit is claimed atomically on the coupon and the per-user limit by taking a free
+ * use slot, which the unique (coupon, user, slot) index guarantees only one booking gets.
+ * The claim is undone again if no slot is free or the redemption cannot be recorded.
+ * Returns the redemption, or null when the overall limit was reached.
+ */
+CouponRedemptionSchema.statics.reserve = async function ({ coupon, user, booking, service, discountAmount, orderAmount, currency }) {
+    const claimed = await Coupon.claimUse(coupon._id);
+    if (!claimed) return null;
+
+    const limit = claimed.perUserLimit || 1;
+
+    try {
+        // Another booking may take the same slot in between, so retry with the next free one
+        for (let attempt = 0; attempt < limit; attempt++) {
+            const active = await this.find({ coupon: coupon._id, user, status: { $in: ACTIVE_STATUSES } }).select('slot');
+            const taken = active.map(redemption => redemption.slot);
+            const slot = active.length < limit
+                ? Array.from({ length: limit }, (value, index) => index + 1).find(candidate => !taken.includes(candidate))
+                : undefined;
+
+            if (!slot) break;
+
+            try {
+                return await this.create({
+                    coupon: coupon._id,
+                    code: coupon.code,
+                    user,
+                    booking,
+                    service,
+                    discountAmount,
+                    orderAmount,
+                    currency,
+                    slot
+                });
+            } catch (error) {
+                if (error.code !== 11000) throw error;
+            }
+        }
+    } catch (error) {
+        await Coupon.updateOne({ _id: coupon._id }, { $inc: { usedCount: -1 } });
+        throw error;
+    }
+
+    await Coupon.updateOne({ _id: coupon._id }, { $inc: { usedCount: -1 } });
+    throw new ErrorResponse('You have already used this coupon the maximum number of times', 400);
+};
+
+// Static method to mark a booking's reserved coupon as used once it is paid
+CouponRedemptionSchema.statics.redeemForBooking = function (bookingId, paymentId) {
+    return this.updateMany(
+        { booking: bookingId, status: 'reserved' },
+        { status: 'redeemed', payment: paymentId, redeemedAt: new Date() }
+    );
+};
+
+// Static method to give back an unpaid booking's coupon so it can be used again
+CouponRedemptionSchema.statics.releaseForBooking = async function (bookingId) {
+    const redemptions = await this.find({ booking: bookingId, status: 'reserved' });
+
+    for (const redemption of redemptions) {
+        const result = await this.updateOne(
+            { _id: redemption._id, status: 'reserved' },
+            { status: 'released', releasedAt: new Date(), $unset: { slot: 1 } }
+        );
+        if (result.modifiedCount === 1) {
+            await Coupon.updateOne({ _id: redemption.coupon }, { $inc: { usedCount: -1 } });
+        }
+    }
+};
+
+module.exports = mongoose.model('CouponRedemption', CouponRedemptionSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Earlier rates are kept on the document so conversions can be audited
+const MAX_HISTORY = 50;
+
+// How many units of `currency` one unit of the base currency buys (see utils/currency).
+// One document per currency; the base currency itself is always 1 and is not stored.
+const ExchangeRateSchema = new mongoose.Schema({
+    currency: {
+        type: String,
+        required: [true, 'Currency is required'],
+        unique: true,
+        enum: ['USD', 'EUR', 'GBP', 'INR']
+    },
+    // Base currency the rate was entered against; rates for another base are ignored
+    baseCurrency: {
+        type: String,
+        required: true,
+        enum: ['USD', 'EUR', 'GBP', 'INR']
+    },
+    rate: {
+        type: Number,
+        required: [true, 'Exchange rate is required'],
+        min: [0.000001, 'Exchange rate must be positive']
+    },
+    source: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Source cannot exceed 100 characters'],
+        default: 'manual'
+    },
+    updatedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    },
+    history: [{
+        rate: Number,
+        baseCurrency: String,
+        source: String,
+        updatedBy: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'User'
+        },
+        replacedAt: {
+            type: Date,
+            default: Date.now
+        },
+        _id: false
+    }]
+}, {
+    timestamps: true
+});
+
+// Static method to set a currency's rate, keeping the previous one in the history
+ExchangeRateSchema.statics.setRate = async function ({ currency, baseCurrency, rate, source, updatedBy }) {
+    const existing = await this.findOne({ currency });
+
+    if (!existing) {
+        return this.create({ currency, baseCurrency, rate, source, updatedBy });
+    }
+
+    existing.history.unshift({
+        rate: existing.rate,
+        baseCurrency: existing.baseCurrency,
+        source: existing.source,
+        updatedBy: existing.updatedBy
+    });
+    existing.history = existing.history.slice(0, MAX_HISTORY);
+    existing.baseCurrency = baseCurrency;
+    existing.rate = rate;
+    existing.source = source || 'manual';
+    existing.updatedBy = updatedBy;
+
+    return existing.save();
+};
+
+module.exports = mongoose.model('ExchangeRate', ExchangeRateSchema);
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+const InvoiceSchema = new mongoose.Schema({
+    // e.g. INV/2026-27/000042, sequential within the financial year.
+    // Assigned right after the invoice is inserted, so a race to create it never burns a number.
+    number: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
+    financialYear: String,
+    sequence: Number,
+    // Set by the caller numbering the invoice, so only one of them takes a sequence value
+    numberingAt: Date,
+    // One invoice per payment
+    payment: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Payment',
+        required: true,
+        unique: true
+    },
+    booking: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Booking'
+    },
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    provider: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    },
+    // Snapshots, so the invoice does not change when the user or service is edited later
+    billTo: {
+        name: String,
+        email: String,
+        phone: String
+    },
+    seller: {
+        name: String,
+        email: String
+    },
+    serviceName: String,
+    bookingDate: Date,
+    startTime: String,
+    endTime: String,
+    lineItems: [{
+        description: {
+            type: String,
+            required: true
+        },
+        quantity: {
+            type: Number,
+            default: 1
+        },
+        unitPrice: Number,
+        amount: {
+            type: Number,
+            required: true
+        },
+        _id: false
+    }],
+    subtotal: {
+        type: Number,
+        default: 0
+    },
+    taxAmount: {
+        type: Number,
+        default: 0
+    },
+    discountAmount: {
+        type: Number,
+        default: 0
+    },
+    total: {
+        type: Number,
+        required: true
+    },
+    amountPaid: {
+        type: Number,
+        default: 0
+    },
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+    paymentMethod: String,
+    transactionId: String,
+    issuedAt: {
+        type: Date,
+        default: Date.now
+    },
+    emailedAt: Date
+}, {
+    timestamps: true
+});
+
+InvoiceSchema.index({ user: 1, issuedAt: -1 });
+InvoiceSchema.index({ financialYear: 1, sequence: 1 });
+
+module.exports = mongoose.model('Invoice', InvoiceSchema);
@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+
+// Attempts before a job is moved to the dead-letter status, unless the job type says otherwise
+const DEFAULT_MAX_ATTEMPTS = 5;
+// How long a worker owns a job before another one may take it over
+const LOCK_MINUTES = 5;
+
+// queued: waiting for runAt, processing: claimed by a worker, completed: done,
+// failed: will be retried at runAt, dead: out of attempts (dead letter), retried by an admin only
+const JOB_STATUSES = ['queued', 'processing', 'completed', 'failed', 'dead'];
+// Statuses of jobs that are still waiting or running
+const ACTIVE_STATUSES = ['queued', 'processing', 'failed'];
+
+// Background work run by the job worker (utils/jobQueue); handlers are registered per type
+const JobSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        required: [true, 'Job type is required'],
+        trim: true
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    status: {
+        type: String,
+        enum: JOB_STATUSES,
+        default: 'queued'
+    },
+    // Higher runs first among jobs that are due
+    priority: {
+        type: Number,
+        default: 0
+    },
+    // Earliest time the job may run; pushed back after each failure
+    runAt: {
+        type: Date,
+        default: Date.now
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: DEFAULT_MAX_ATTEMPTS,
+        min: [1, 'A job needs at least one attempt']
+    },
+    // Jobs with the same key are not queued twice while one is waiting or running
+    uniqueKey: {
+        type: String
+    },
+    lockedUntil: {
+        type: Date
+    },
+    lockedBy: {
+        type: String
+    },
+    lastError: {
+        type: String
+    },
+    // Most recent failures, newest first
+    failures: [{
+        error: String,
+        attempt: Number,
+        failedAt: {
+            type: Date,
+            default: Date.now
+        },
+        _id: false
+    }],
+    result: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    completedAt: {
+        type: Date
+    },
+    retriedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    },
+    retriedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+JobSchema.index({ status: 1, runAt: 1, priority: -1 });
+JobSchema.index({ type: 1, uniqueKey: 1, status: 1 });
+// Only one waiting or running job per key, even when schedulers enqueue at the same time
+JobSchema.index(
+    { type: 1, uniqueKey: 1 },
+    {
+        unique: true,
+        partialFilterExpression: { uniqueKey: { $exists: true }, status: { $in: ACTIVE_STATUSES } }
+    }
+);
+JobSchema.index({ createdAt: -1 });
+
+JobSchema.statics.JOB_STATUSES = JOB_STATUSES;
+JobSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+JobSchema.statics.LOCK_MINUTES = LOCK_MINUTES;
+
+/**
+ * Add a job to the queue.
+ * With a uniqueKey, the job that is already waiting or running under that key is returned instead.
+ */
+JobSchema.statics.enqueue = async function (type, payload = {}, { runAt, priority, maxAttempts, uniqueKey } = {}) {
+    const job = {
+        type,
+        payload,
+        status: 'queued',
+        runAt: runAt || new Date(),
+        priority: priority || 0,
+        maxAttempts: maxAttempts || DEFAULT_MAX_ATTEMPTS
+    };
+
+    if (!uniqueKey) {
+        return this.create(job);
+    }
+
+    const query = { type, uniqueKey, status: { $in: ACTIVE_STATUSES } };
+    try {
+        return await this.findOneAndUpdate(
+            query,
+            { $setOnInsert: { ...job, uniqueKey } },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+    } catch (error) {
+        // Another caller inserted the job first
+        if (error.code !== 11000) throw error;
+        return this.findOne(query);
+    }
+};
+
+// Add many jobs of one type in a single insert; `jobs` is [{ payload, runAt, priority, maxAttempts }]
+JobSchema.statics.enqueueMany = function (type, jobs) {
+    return this.insertMany(jobs.map(({ payload = {}, runAt, priority, maxAttempts }) => ({
+        type,
+        payload,
+        status: 'queued',
+        runAt: runAt || new Date(),
+        priority: priority || 0,
+        maxAttempts: maxAttempts || DEFAULT_MAX_ATTEMPTS
+    })));
+};
+
+/**
+ * Atomically take the next due job of one of `types` for a worker.
+ * Jobs whose worker died mid-run are taken over once their lock expires.
+ * Returns the claimed job, or null when nothing is due.
+ */
+JobSchema.statics.claimNext = function (types, workerId) {
+    const now = new Date();
+
+    return this.findOneAndUpdate(
+        {
+            type: { $in: types },
+            $or: [
+                { status: { $in: ['queued', 'failed'] }, runAt: { $lte: now } },
+                { status: 'processing', lockedUntil: { $lte: now } }
+            ]
+        },
+        {
+            status: 'processing',
+            lockedBy: workerId,
+            lockedUntil: new Date(now.getTime() + LOCK_MINUTES * 60 * 1000),
+            $inc: { attempts: 1 }
+        },
+        { new: true, sort: { priority: -1, runAt: 1 } }
+    );
+};
+
+// Instance method to check whether another automatic attempt is allowed
+JobSchema.methods.hasAttemptsLeft = function () {
+    return this.attempts < this.maxAttempts;
+};
+
+module.exports = mongoose.model('Job', JobSchema);
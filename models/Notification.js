@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// In-app notifications, shown in the user's inbox (GET /api/users/me/notifications)
+const NotificationSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['broadcast', 'reminder', 'system'],
+        default: 'system'
+    },
+    title: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Notification title cannot exceed 200 characters']
+    },
+    message: {
+        type: String,
+        required: [true, 'Notification message is required'],
+        maxlength: [5000, 'Notification message cannot exceed 5000 characters']
+    },
+    broadcast: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Broadcast'
+    },
+    isRead: {
+        type: Boolean,
+        default: false
+    },
+    readAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+NotificationSchema.index({ user: 1, isRead: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
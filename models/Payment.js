@@ -1,5 +1,43 @@
 const mongoose = require('mongoose');
 
+// Payments that still have money left to refund
+const REFUNDABLE_STATUSES = ['completed', 'partially_refunded'];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// One entry per refund issued against a payment; a payment can be refunded in several parts
+const RefundSchema = new mongoose.Schema({
+    gatewayRefundId: {
+        type: String
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    reason: {
+        type: String
+    },
+    // pending: requested at the gateway, processed: money returned, failed: released again
+    status: {
+        type: String,
+        enum: ['pending', 'processed', 'failed'],
+        default: 'pending'
+    },
+    initiatedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    },
+    failureReason: {
+        type: String
+    },
+    processedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
 const PaymentSchema = new mongoose.Schema({
     user: {
         type: mongoose.Schema.ObjectId,
@@ -10,11 +48,30 @@ const PaymentSchema = new mongoose.Schema({
         type: mongoose.Schema.ObjectId,
         ref: 'Booking'
     },
+    // Security deposits are collected as a payment of their own and released or kept after the booking
+    purpose: {
+        type: String,
+        enum: ['booking', 'deposit'],
+        default: 'booking'
+    },
+    // Gateway that created the order; refunds and verification go back through the same one
+    gateway: {
+        type: String,
+        enum: ['razorpay', 'mock'],
+        default: 'razorpay'
+    },
+    // Order id at the gateway
     paymentIntentId: {
         type: String,
         required: true,
         unique: true
     },
+    // Payment id at the gateway, set once the customer pays
+    gatewayPaymentId: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
     // Razorpay specific fields
     razorpayOrderId: {
         type: String,
@@ -39,26 +96,30 @@ const PaymentSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['pending', 'processing', 'completed', 'failed', 'cancelled', 'refunded'],
+        enum: ['pending', 'processing', 'completed', 'failed', 'cancelled', 'refunded', 'partially_refunded'],
         default: 'pending'
     },
     paymentMethod: {
         type: String,
-        enum: ['card', 'bank_transfer', 'wallet', 'cash', 'razorpay', 'upi', 'netbanking'],
+        enum: ['card', 'bank_transfer', 'wallet', 'cash', 'razorpay', 'upi', 'netbanking', 'mock'],
         default: 'razorpay' // Changed default to razorpay
     },
     paymentMethodId: {
         type: String
     },
+    // Latest refund id and reason, kept for older readers; the ledger is in `refunds`
     refundId: {
         type: String
     },
+    // Total refunded or awaiting refund (pending + processed entries), used to enforce the balance
     refundAmount: {
-        type: Number
+        type: Number,
+        default: 0
     },
     refundReason: {
         type: String
     },
+    refunds: [RefundSchema],
     metadata: {
         type: Map,
         of: String
@@ -87,6 +148,17 @@ const PaymentSchema = new mongoose.Schema({
     finalAmount: {
         type: Number
     },
+    // Rate to the base currency when the payment was made, so reports use the rate of the day:
+    // one unit of baseCurrency was worth `baseRate` units of `currency`
+    exchangeRate: {
+        baseCurrency: String,
+        baseRate: Number,
+        at: Date
+    },
+    // `amount` in the base currency
+    baseAmount: {
+        type: Number
+    },
     isTest: {
         type: Boolean,
         default: false
@@ -121,7 +193,8 @@ PaymentSchema.virtual('statusBadge').get(function () {
         completed: 'success',
         failed: 'danger',
         cancelled: 'secondary',
-        refunded: 'info'
+        refunded: 'info',
+        partially_refunded: 'info'
     };
     return statusColors[this.status] || 'secondary';
 });
@@ -131,6 +204,7 @@ PaymentSchema.index({ user: 1, createdAt: -1 });
 PaymentSchema.index({ status: 1 });
 PaymentSchema.index({ paymentIntentId: 1 });
 PaymentSchema.index({ booking: 1 });
+PaymentSchema.index({ 'refunds.gatewayRefundId': 1 });
 
 // Pre-save middleware
 PaymentSchema.pre('save', function (next) {
@@ -181,17 +255,173 @@ PaymentSchema.statics.getRevenueByPeriod = async function (startDate, endDate) {
     return revenue;
 };
 
+// Static method to find a payment by the gateway's order id
+PaymentSchema.statics.findByGatewayOrderId = function (orderId) {
+    return this.findOne({ $or: [{ paymentIntentId: orderId }, { razorpayOrderId: orderId }] });
+};
+
+// Static method to find a payment by the gateway's payment id
+PaymentSchema.statics.findByGatewayPaymentId = function (paymentId) {
+    return this.findOne({ $or: [{ gatewayPaymentId: paymentId }, { razorpayPaymentId: paymentId }] });
+};
+
+// Instance method to record the gateway's payment id (mirrored into the Razorpay field for older readers)
+PaymentSchema.methods.setGatewayPaymentId = function (paymentId) {
+    this.gatewayPaymentId = paymentId;
+    if (this.gateway === 'razorpay') {
+        this.razorpayPaymentId = paymentId;
+    }
+};
+
+/**
+ * Atomically set aside part of a payment's refundable balance as a pending refund.
+ * The balance check and the update happen in one query, so concurrent refunds cannot
+ * together exceed the amount paid. Returns { payment, refund } or null when the balance is too low.
+ */
+PaymentSchema.statics.reserveRefund = async function (paymentId, { amount, reason, initiatedBy } = {}) {
+    const refundId = new mongoose.Types.ObjectId();
+
+    const payment = await this.findOneAndUpdate(
+        {
+            _id: paymentId,
+            status: { $in: REFUNDABLE_STATUSES },
+            $expr: {
+                $lte: [{ $add: [{ $ifNull: ['$refundAmount', 0] }, amount] }, '$amount']
+            }
+        },
+        {
+            $inc: { refundAmount: amount },
+            $set: { refundReason: reason },
+            $push: { refunds: { _id: refundId, amount, reason, initiatedBy, status: 'pending' } }
+        },
+        { new: true }
+    );
+
+    return payment && { payment, refund: payment.refunds.id(refundId) };
+};
+
+/**
+ * Atomically derive refunded / partially_refunded from the stored refundAmount, so concurrent
+ * refunds on one payment cannot leave a status worked out from a stale total.
+ * Returns the updated payment (null when it is not in a refundable state).
+ */
+PaymentSchema.statics.syncRefundStatus = function (paymentId) {
+    const refunded = { $ifNull: ['$refundAmount', 0] };
+
+    return this.findOneAndUpdate(
+        { _id: paymentId, status: { $in: REFUNDABLE_STATUSES.concat('refunded') } },
+        [{
+            $set: {
+                status: {
+                    $switch: {
+                        branches: [
+                            { case: { $lte: [refunded, 0] }, then: 'completed' },
+                            { case: { $gte: [refunded, '$amount'] }, then: 'refunded' }
+                        ],
+                        default: 'partially_refunded'
+                    }
+                }
+            }
+        }],
+        { new: true }
+    );
+};
+
+// Instance method to get the total refunded so far (processed entries only)
+PaymentSchema.methods.getRefundedAmount = function () {
+    return roundAmount((this.refunds || [])
+        .filter(refund => refund.status === 'processed')
+        .reduce((total, refund) => total + refund.amount, 0));
+};
+
+// Instance method to get what can still be refunded (pending refunds count against the balance)
+PaymentSchema.methods.getRefundableAmount = function () {
+    return roundAmount(Math.max(this.amount - (this.refundAmount || 0), 0));
+};
+
 // Instance method to calculate refund amount
 PaymentSchema.methods.calculateRefundAmount = function (partialAmount = null) {
     if (partialAmount) {
-        return Math.min(partialAmount, this.amount);
+        return Math.min(partialAmount, this.getRefundableAmount());
     }
-    return this.amount;
+    return this.getRefundableAmount();
+};
+
+// Instance method to check if payment can be refunded (optionally by a given amount)
+PaymentSchema.methods.canBeRefunded = function (amount = null) {
+    const refundable = this.getRefundableAmount();
+    return REFUNDABLE_STATUSES.includes(this.status) &&
+        refundable > 0 &&
+        (amount === null || amount <= refundable);
 };
 
-// Instance method to check if payment can be refunded
-PaymentSchema.methods.canBeRefunded = function () {
-    return this.status === 'completed' && !this.refundId;
+/**
+ * Record a refund reported by the gateway (e.g. by webhook) with atomic updates, so it cannot
+ * overwrite refunds recorded at the same time. Updates the matching ledger entry when we issued
+ * it, otherwise adds one (refunds made from the gateway dashboard), then derives the status
+ * from the stored total. Re-recording the same refund is a no-op. Returns the updated payment.
+ */
+PaymentSchema.statics.recordGatewayRefund = async function (paymentId, { id, amount, status = 'processed', reason }) {
+    const entryStatus = status === 'failed' ? 'failed' : status === 'processed' ? 'processed' : 'pending';
+
+    // Each update only applies to the state it was worked out from; when another writer got
+    // in between, look again
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const payment = await this.findById(paymentId).select('refunds').lean();
+        if (!payment) return null;
+
+        const refunds = payment.refunds || [];
+        // Our own refund may be reported before we stored its gateway id, so fall back to a matching pending entry
+        const entry = refunds.find(refund => refund.gatewayRefundId === id) ||
+            refunds.find(refund => !refund.gatewayRefundId && refund.status === 'pending' && refund.amount === amount);
+
+        let result;
+        if (!entry) {
+            result = await this.updateOne(
+                { _id: paymentId, 'refunds.gatewayRefundId': { $ne: id } },
+                {
+                    $push: {
+                        refunds: {
+                            gatewayRefundId: id,
+                            amount,
+                            reason,
+                            status: entryStatus,
+                            processedAt: entryStatus === 'processed' ? new Date() : undefined
+                        }
+                    },
+                    $inc: { refundAmount: entryStatus === 'failed' ? 0 : amount },
+                    $set: { refundId: id }
+                }
+            );
+        } else if (entry.status === entryStatus || entry.status === 'failed') {
+            if (entry.gatewayRefundId === id) break;
+            result = await this.updateOne(
+                { _id: paymentId, refunds: { $elemMatch: { _id: entry._id, gatewayRefundId: { $exists: false } } } },
+                { $set: { 'refunds.$.gatewayRefundId': id, refundId: id } }
+            );
+        } else {
+            result = await this.updateOne(
+                {
+                    _id: paymentId,
+                    refunds: { $elemMatch: { _id: entry._id, status: entry.status, gatewayRefundId: entry.gatewayRefundId || null } }
+                },
+                {
+                    $set: {
+                        'refunds.$.gatewayRefundId': id,
+                        'refunds.$.status': entryStatus,
+                        ...(entryStatus === 'processed' && { 'refunds.$.processedAt': new Date() }),
+                        refundId: id
+                    },
+                    // A failed refund gives its amount back to the refundable balance
+                    ...(entryStatus === 'failed' && { $inc: { refundAmount: -entry.amount } })
+                }
+            );
+        }
+
+        if (result.modifiedCount === 1) break;
+    }
+
+    return await this.syncRefundStatus(paymentId) || this.findById(paymentId);
 };
 
 // Instance method to get payment summary
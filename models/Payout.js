@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Allowed status changes; paid and rejected are terminal
+const STATUS_TRANSITIONS = {
+    pending: ['approved', 'rejected'],
+    approved: ['paid', 'rejected'],
+    paid: [],
+    rejected: []
+};
+
+// One line per booking settled in the batch. `earning` lines pay out a completed booking;
+// `adjustment` lines claw back refunds issued after the booking was already settled.
+const PayoutItemSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['earning', 'adjustment'],
+        default: 'earning'
+    },
+    booking: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Booking',
+        required: true
+    },
+    service: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Service'
+    },
+    category: String,
+    grossAmount: { type: Number, default: 0 },
+    refundedAmount: { type: Number, default: 0 },
+    // Refund total already settled before this line (adjustments only), restored if the batch is rejected
+    previousRefundedAmount: { type: Number, default: 0 },
+    depositAmount: { type: Number, default: 0 },
+    // Part of a separately paid deposit the provider kept (damage, missing items)
+    withheldDepositAmount: { type: Number, default: 0 },
+    feeAmount: { type: Number, default: 0 },
+    commissionRate: { type: Number, default: 0 },
+    commissionAmount: { type: Number, default: 0 },
+    netAmount: { type: Number, default: 0 }
+}, { _id: false });
+
+const PayoutSchema = new mongoose.Schema({
+    provider: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+    status: {
+        type: String,
+        enum: Object.keys(STATUS_TRANSITIONS),
+        default: 'pending'
+    },
+    // Bookings completed up to this date are included
+    periodEnd: {
+        type: Date,
+        required: true
+    },
+    items: [PayoutItemSchema],
+    totals: {
+        gross: { type: Number, default: 0 },
+        refunds: { type: Number, default: 0 },
+        deposits: { type: Number, default: 0 },
+        withheldDeposits: { type: Number, default: 0 },
+        fees: { type: Number, default: 0 },
+        commission: { type: Number, default: 0 },
+        net: { type: Number, default: 0 }
+    },
+    generatedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    },
+    approvedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    },
+    approvedAt: Date,
+    paidAt: Date,
+    // Bank transfer or other reference for the money sent outside the system
+    reference: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Payout reference cannot exceed 100 characters']
+    },
+    rejectionReason: {
+        type: String,
+        maxlength: [200, 'Rejection reason cannot exceed 200 characters']
+    },
+    notes: {
+        type: String,
+        maxlength: [500, 'Payout notes cannot exceed 500 characters']
+    }
+}, {
+    timestamps: true
+});
+
+PayoutSchema.index({ provider: 1, createdAt: -1 });
+PayoutSchema.index({ status: 1 });
+
+PayoutSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Instance method to recompute the batch totals from its lines
+PayoutSchema.methods.calculateTotals = function () {
+    const sum = (field) => roundAmount(this.items.reduce((total, item) => total + (item[field] || 0), 0));
+
+    this.totals = {
+        gross: sum('grossAmount'),
+        refunds: roundAmount(sum('refundedAmount') - sum('previousRefundedAmount')),
+        deposits: sum('depositAmount'),
+        withheldDeposits: sum('withheldDepositAmount'),
+        fees: sum('feeAmount'),
+        commission: sum('commissionAmount'),
+        net: sum('netAmount')
+    };
+    return this.totals;
+};
+
+// Instance method to check a status change against the transition table
+PayoutSchema.methods.canTransitionTo = function (status) {
+    return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Instance method to move the payout to a new status, rejecting illegal transitions
+PayoutSchema.methods.transitionTo = function (status, { actor, reason, reference } = {}) {
+    if (!this.canTransitionTo(status)) {
+        throw new ErrorResponse(`Cannot change payout status from ${this.status} to ${status}`, 400);
+    }
+
+    this.status = status;
+
+    if (status === 'approved') {
+        this.approvedBy = actor;
+        this.approvedAt = new Date();
+    } else if (status === 'paid') {
+        this.paidAt = new Date();
+        if (reference) this.reference = reference;
+    } else if (status === 'rejected') {
+        this.rejectionReason = reason;
+    }
+
+    return this;
+};
+
+module.exports = mongoose.model('Payout', PayoutSchema);
@@ -1,4 +1,56 @@
 const mongoose = require('mongoose');
+const { DEFAULT_TIME_ZONE, isValidTimeZone } = require('../utils/timezone');
+
+// Adjusts the price for when a booking happens; see utils/pricing for how rules are applied
+const PricingRuleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Pricing rule name is required'],
+        trim: true,
+        maxlength: [100, 'Pricing rule name cannot exceed 100 characters']
+    },
+    type: {
+        type: String,
+        required: [true, 'Pricing rule type is required'],
+        enum: ['day_of_week', 'date_range', 'time_of_day', 'occupancy', 'last_minute']
+    },
+    // day_of_week
+    daysOfWeek: [{
+        type: String,
+        enum: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+    }],
+    // date_range (inclusive)
+    startDate: Date,
+    endDate: Date,
+    // time_of_day, "HH:MM"
+    startTime: String,
+    endTime: String,
+    // occupancy: share of the slot's capacity already booked (0-1)
+    minOccupancy: {
+        type: Number,
+        min: 0,
+        max: 1
+    },
+    // last_minute
+    withinHours: {
+        type: Number,
+        min: 0
+    },
+    adjustmentType: {
+        type: String,
+        enum: ['percent', 'flat'],
+        default: 'percent'
+    },
+    // Percentage or amount per unit; negative for a discount
+    value: {
+        type: Number,
+        required: [true, 'Pricing rule value is required']
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+});
 
 const serviceSchema = new mongoose.Schema({
     name: {
@@ -51,8 +103,26 @@ const serviceSchema = new mongoose.Schema({
             type: String,
             enum: ['hourly', 'daily', 'weekly', 'monthly', 'fixed'],
             default: 'fixed'
+        },
+        // Daily, weekly and monthly prices count nights stayed or calendar days used
+        // (unset: nights for hotels, days for everything else)
+        dailyBasis: {
+            type: String,
+            enum: ['night', 'day']
+        },
+        // Weekly and monthly prices charge whole periods (block) or the exact share used (prorated)
+        billing: {
+            type: String,
+            enum: ['block', 'prorated'],
+            default: 'block'
+        },
+        // Minimum term in price units (hours, days, weeks or months)
+        minimumUnits: {
+            type: Number,
+            min: [0, 'Minimum units cannot be negative']
         }
     },
+    pricingRules: [PricingRuleSchema],
     location: {
         address: {
             type: String,
@@ -99,6 +169,15 @@ const serviceSchema = new mongoose.Schema({
             default: 1
         }
     },
+    // IANA time zone the schedule and booking times are in (e.g. "Asia/Kolkata")
+    timeZone: {
+        type: String,
+        default: DEFAULT_TIME_ZONE,
+        validate: {
+            validator: isValidTimeZone,
+            message: 'Time zone must be an IANA time zone such as Asia/Kolkata'
+        }
+    },
     features: [{
         name: String,
         description: String,
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Attempts made automatically (in the request and by retries); admins can replay beyond this
+const MAX_ATTEMPTS = 5;
+// How long a worker owns an event before another one may take it over
+const LOCK_MINUTES = 5;
+
+const WebhookEventSchema = new mongoose.Schema({
+    gateway: {
+        type: String,
+        required: true
+    },
+    // Event id from the gateway, or a hash of the body when the gateway sends none
+    eventId: {
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['received', 'processing', 'processed', 'ignored', 'failed'],
+        default: 'received'
+    },
+    // Raw body as received, kept for auditing
+    payload: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    // Normalized event from the gateway adapter, used for processing and replays
+    event: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    deliveries: {
+        type: Number,
+        default: 1
+    },
+    lastError: {
+        type: String
+    },
+    lockedUntil: {
+        type: Date
+    },
+    nextRetryAt: {
+        type: Date
+    },
+    processedAt: {
+        type: Date
+    },
+    replayedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    },
+    replayedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+// The same event is stored once per gateway, however often it is delivered
+WebhookEventSchema.index({ gateway: 1, eventId: 1 }, { unique: true });
+WebhookEventSchema.index({ status: 1, nextRetryAt: 1 });
+WebhookEventSchema.index({ createdAt: -1 });
+
+WebhookEventSchema.statics.MAX_ATTEMPTS = MAX_ATTEMPTS;
+
+// Fallback id for deliveries without one, stable across redeliveries of the same body
+WebhookEventSchema.statics.deriveEventId = function (gateway, payload) {
+    return crypto.createHash('sha256').update(`${gateway}:${JSON.stringify(payload)}`).digest('hex');
+};
+
+/**
+ * Store an incoming delivery, or find the stored copy when it was seen before.
+ * Returns { webhookEvent, duplicate }.
+ */
+WebhookEventSchema.statics.record = async function (gateway, event, payload) {
+    const eventId = event.id || this.deriveEventId(gateway, payload);
+
+    try {
+        const webhookEvent = await this.create({
+            gateway,
+            eventId,
+            type: event.type || 'unknown',
+            payload,
+            event
+        });
+        return { webhookEvent, duplicate: false };
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+    }
+
+    const webhookEvent = await this.findOneAndUpdate(
+        { gateway, eventId },
+        { $inc: { deliveries: 1 } },
+        { new: true }
+    );
+    return { webhookEvent, duplicate: true };
+};
+
+/**
+ * Atomically take ownership of an event for processing.
+ * Events already processed are only taken when `force` is set (admin replay).
+ * Returns the claimed event, or null when it is done or another worker holds it.
+ */
+WebhookEventSchema.statics.claim = function (id, { force = false } = {}) {
+    const now = new Date();
+    const claimable = force
+        ? ['received', 'failed', 'processed', 'ignored']
+        : ['received', 'failed'];
+
+    return this.findOneAndUpdate(
+        {
+            _id: id,
+            $or: [
+                { status: { $in: claimable } },
+                { status: 'processing', lockedUntil: { $lte: now } }
+            ]
+        },
+        {
+            status: 'processing',
+            lockedUntil: new Date(now.getTime() + LOCK_MINUTES * 60 * 1000),
+            $inc: { attempts: 1 }
+        },
+        { new: true }
+    );
+};
+
+// Failed events that are due for another automatic attempt
+WebhookEventSchema.statics.findDueForRetry = function (limit = 50) {
+    return this.find({
+        status: 'failed',
+        attempts: { $lt: MAX_ATTEMPTS },
+        nextRetryAt: { $lte: new Date() }
+    })
+        .sort('nextRetryAt')
+        .limit(limit);
+};
+
+// Instance method to check if the event has been fully handled
+WebhookEventSchema.methods.isHandled = function () {
+    return ['processed', 'ignored'].includes(this.status);
+};
+
+module.exports = mongoose.model('WebhookEvent', WebhookEventSchema);
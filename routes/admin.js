@@ -8,7 +8,19 @@ const {
   getServiceAnalytics,
   exportData,
   getSystemHealth,
-  sendBulkNotifications
+  sendBulkNotifications,
+  getBroadcasts,
+  getBroadcast,
+  getBroadcastDeliveries,
+  getWebhookEvents,
+  getWebhookEvent,
+  replayWebhookEvent,
+  getJobs,
+  getJobStats,
+  getJob,
+  retryJob,
+  getExchangeRates,
+  updateExchangeRate
 } = require('../controllers/adminController');
 
 const router = express.Router();
@@ -27,6 +39,24 @@ router.get('/analytics/services', getServiceAnalytics);
 // System management
 router.get('/system/health', getSystemHealth);
 router.post('/notifications/bulk', sendBulkNotifications);
+router.get('/notifications/bulk', getBroadcasts);
+router.get('/notifications/bulk/:id', getBroadcast);
+router.get('/notifications/bulk/:id/deliveries', getBroadcastDeliveries);
+
+// Payment webhooks
+router.get('/webhooks', getWebhookEvents);
+router.get('/webhooks/:id', getWebhookEvent);
+router.post('/webhooks/:id/replay', replayWebhookEvent);
+
+// Background jobs
+router.get('/jobs', getJobs);
+router.get('/jobs/stats', getJobStats);
+router.get('/jobs/:id', getJob);
+router.post('/jobs/:id/retry', retryJob);
+
+// Exchange rates
+router.get('/exchange-rates', getExchangeRates);
+router.put('/exchange-rates/:currency', updateExchangeRate);
 
 // Data export
 router.get('/export/:type', exportData);
@@ -35,7 +35,11 @@ const registerValidation = [
     .withMessage('Password must be at least 6 characters long'),
   body('phone')
     .matches(/^\+?[\d\s-()]+$/)
-    .withMessage('Please provide a valid phone number')
+    .withMessage('Please provide a valid phone number'),
+  body('language')
+    .optional()
+    .matches(/^[a-zA-Z]{2,3}([-_][a-zA-Z0-9]{2,8})?$/)
+    .withMessage('Language must be a language code such as en or es-MX')
 ];
 
 const loginValidation = [
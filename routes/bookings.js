@@ -1,20 +1,25 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { protect, authorize } = require('../middleware/auth');
+const { MAX_RECURRING_OCCURRENCES } = require('../utils/recurrence');
+const { SUPPORTED_CURRENCIES } = require('../utils/currency');
 const {
   getBookings,
   getBooking,
   createBooking,
   updateBooking,
+  rescheduleBooking,
   deleteBooking,
   cancelBooking,
   cancelBookingUser,
+  getCancellationQuote,
   getUserBookings,
   getProviderBookings,
   checkAvailability,
   addBookingNote,
   rateBooking,
   updateBookingStatus,
+  settleBookingDeposit,
   getBookingStats,
   exportBookings,
   acceptBooking,
@@ -38,14 +43,49 @@ const createBookingValidation = [
   body('endTime')
     .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
     .withMessage('Valid end time is required (HH:MM format)'),
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid end date is required'),
+  // Worked out from the dates and times; accepted for older clients
   body('duration')
-    .isFloat({ min: 0.5, max: 24 })
-    .withMessage('Duration must be between 0.5 and 24 hours'),
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Duration must be a positive number of hours'),
   body('specialRequests')
     .optional()
     .trim()
     .isLength({ max: 500 })
-    .withMessage('Special requests cannot exceed 500 characters')
+    .withMessage('Special requests cannot exceed 500 characters'),
+  body('isRecurring')
+    .optional()
+    .isBoolean()
+    .withMessage('isRecurring must be a boolean'),
+  body('recurringPattern.frequency')
+    .if(body('isRecurring').equals('true'))
+    .isIn(['daily', 'weekly', 'monthly'])
+    .withMessage('Recurring frequency must be daily, weekly or monthly'),
+  body('recurringPattern.interval')
+    .optional()
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Recurring interval must be between 1 and 12'),
+  body('recurringPattern.occurrences')
+    .optional()
+    .isInt({ min: 1, max: MAX_RECURRING_OCCURRENCES })
+    .withMessage(`Occurrences must be between 1 and ${MAX_RECURRING_OCCURRENCES}`),
+  body('recurringPattern.endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid recurring end date is required'),
+  body('couponCode')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Coupon code must be between 3 and 30 characters'),
+  body('currency')
+    .optional()
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage(`Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`)
 ];
 
 const updateBookingValidation = [
@@ -65,7 +105,48 @@ const updateBookingValidation = [
     .optional()
     .trim()
     .isLength({ max: 500 })
-    .withMessage('Special requests cannot exceed 500 characters')
+    .withMessage('Special requests cannot exceed 500 characters'),
+  body('location')
+    .optional()
+    .isObject()
+    .withMessage('Location must be an object'),
+  body('contactInfo')
+    .optional()
+    .isObject()
+    .withMessage('Contact info must be an object'),
+  body('contactInfo.email')
+    .optional()
+    .isEmail()
+    .withMessage('Valid contact email is required'),
+  body('paymentMethod')
+    .optional()
+    .isIn(['razorpay', 'mock', 'stripe', 'paypal', 'cash', 'bank_transfer'])
+    .withMessage('Invalid payment method')
+];
+
+const rescheduleValidation = [
+  body('bookingDate')
+    .isISO8601()
+    .withMessage('Valid booking date is required'),
+  body('startTime')
+    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Valid start time is required (HH:MM format)'),
+  body('endTime')
+    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Valid end time is required (HH:MM format)'),
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid end date is required'),
+  body('duration')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Duration must be a positive number of hours'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters')
 ];
 
 const ratingValidation = [
@@ -79,6 +160,21 @@ const ratingValidation = [
     .withMessage('Comment cannot exceed 500 characters')
 ];
 
+const depositValidation = [
+  body('action')
+    .isIn(['release', 'withhold', 'capture'])
+    .withMessage('Deposit action must be release, withhold or capture'),
+  body('amount')
+    .if(body('action').equals('withhold'))
+    .isFloat({ min: 0.01 })
+    .withMessage('Withheld amount is required'),
+  body('reason')
+    .if(body('action').isIn(['withhold', 'capture']))
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Reason is required and cannot exceed 500 characters')
+];
+
 // Check validation results
 const checkValidation = (req, res, next) => {
   const errors = validationResult(req);
@@ -102,6 +198,8 @@ router.get('/my-bookings', authorize('user', 'service_provider'), getUserBooking
 router.post('/', authorize('user'), createBookingValidation, checkValidation, createBooking);
 router.get('/:id', authorize('user', 'service_provider', 'admin'), getBooking);
 router.put('/:id', authorize('user', 'service_provider', 'admin'), updateBookingValidation, checkValidation, updateBooking);
+router.post('/:id/reschedule', authorize('user', 'service_provider', 'admin'), rescheduleValidation, checkValidation, rescheduleBooking);
+router.get('/:id/cancellation-quote', authorize('user', 'service_provider', 'admin'), getCancellationQuote);
 router.post('/:id/cancel', authorize('user', 'service_provider', 'admin'), cancelBooking);
 // More permissive user-facing cancel endpoint
 router.post('/:id/cancel-user', authorize('user', 'service_provider', 'admin'), cancelBookingUser);
@@ -121,5 +219,6 @@ router.get('/export', authorize('admin'), exportBookings);
 // Provider and admin routes
 router.post('/:id/notes', authorize('service_provider', 'admin'), addBookingNote);
 router.put('/:id/status', authorize('service_provider', 'admin'), updateBookingStatus);
+router.put('/:id/deposit', authorize('service_provider', 'admin'), depositValidation, checkValidation, settleBookingDeposit);
 
 module.exports = router;
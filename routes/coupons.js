@@ -0,0 +1,94 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  validateCoupon,
+  getCoupons,
+  getCouponStats,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+  getCouponRedemptions
+} = require('../controllers/couponController');
+
+const router = express.Router();
+
+// Validation middleware
+const validateCouponValidation = [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Coupon code is required'),
+  body('bookingId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid booking ID is required'),
+  body('serviceId')
+    .if(body('bookingId').not().exists())
+    .isMongoId()
+    .withMessage('Valid service ID is required when no booking is given'),
+  body('amount')
+    .if(body('bookingId').not().exists())
+    .isFloat({ min: 0 })
+    .withMessage('Amount must be a positive number when no booking is given')
+];
+
+const couponValidation = [
+  body('code')
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,30}$/)
+    .withMessage('Coupon code must be 3-30 letters, digits, dashes or underscores'),
+  body('type')
+    .isIn(['percent', 'flat'])
+    .withMessage('Coupon type must be percent or flat'),
+  body('value')
+    .isFloat({ min: 0 })
+    .withMessage('Coupon value must be a positive number'),
+  body('value')
+    .if(body('type').equals('percent'))
+    .isFloat({ max: 100 })
+    .withMessage('Percent coupons cannot exceed 100'),
+  body('validUntil')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid expiry date is required'),
+  body('usageLimit')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Usage limit must be at least 1'),
+  body('perUserLimit')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Per-user limit must be at least 1')
+];
+
+// Check validation results
+const checkValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// All routes are protected
+router.use(protect);
+
+router.post('/validate', validateCouponValidation, checkValidation, validateCoupon);
+
+// Admin only routes
+router.use(authorize('admin'));
+
+router.get('/', getCoupons);
+router.get('/stats', getCouponStats);
+router.post('/', couponValidation, checkValidation, createCoupon);
+router.get('/:id', getCoupon);
+router.put('/:id', updateCoupon);
+router.delete('/:id', deleteCoupon);
+router.get('/:id/redemptions', getCouponRedemptions);
+
+module.exports = router;
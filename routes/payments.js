@@ -4,6 +4,7 @@ const { protect, authorize } = require('../middleware/auth');
 const {
   getPaymentHistory,
   getPaymentDetails,
+  getPaymentInvoice,
   getPaymentStats,
   getAllPayments,
   exportPayments
@@ -12,28 +13,37 @@ const {
 // Import Razorpay controllers
 const {
   createRazorpayOrder,
+  createDepositOrder,
   verifyRazorpayPayment,
   getRazorpayPaymentDetails,
   refundRazorpayPayment,
   handleRazorpayWebhook,
   getRazorpayPaymentMethods,
-  createRazorpayCustomer
+  createRazorpayCustomer,
+  simulateMockPayment
 } = require('../controllers/razorpayController');
 
 const router = express.Router();
 
 const razorpayOrderValidation = [
-  body('amount')
-    .isFloat({ min: 1 })
-    .withMessage('Valid amount is required (minimum 1)'),
-  body('currency')
+  body('bookingId')
+    .isMongoId()
+    .withMessage('Valid booking ID is required'),
+  body('notes')
     .optional()
-    .isIn(['INR', 'USD', 'EUR', 'GBP'])
-    .withMessage('Invalid currency'),
-  body('receipt')
+    .isObject()
+    .withMessage('Notes must be an object'),
+  body('couponCode')
     .optional()
-    .isString()
-    .withMessage('Receipt must be a string'),
+    .trim()
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Coupon code must be between 3 and 30 characters')
+];
+
+const depositOrderValidation = [
+  body('bookingId')
+    .isMongoId()
+    .withMessage('Valid booking ID is required'),
   body('notes')
     .optional()
     .isObject()
@@ -66,6 +76,12 @@ const checkValidation = (req, res, next) => {
 
 // Public routes (webhooks)
 router.post('/razorpay/webhook', handleRazorpayWebhook);
+router.post('/webhook/:gateway(razorpay)', handleRazorpayWebhook);
+
+// Mock webhooks are only accepted where the mock gateway is in use
+if (process.env.PAYMENT_GATEWAY === 'mock') {
+  router.post('/webhook/:gateway(mock)', handleRazorpayWebhook);
+}
 
 // Public Razorpay routes
 router.get('/razorpay/payment-methods', getRazorpayPaymentMethods);
@@ -75,11 +91,22 @@ router.use(protect);
 
 // Razorpay routes
 router.post('/razorpay/create-order', authorize('user'), razorpayOrderValidation, checkValidation, createRazorpayOrder);
+router.post('/razorpay/create-deposit-order', authorize('user'), depositOrderValidation, checkValidation, createDepositOrder);
 router.post('/razorpay/verify', authorize('user'), verifyRazorpayPayment);
 router.get('/razorpay/:paymentId', authorize('user', 'admin'), getRazorpayPaymentDetails);
 router.post('/razorpay/:paymentId/refund', authorize('admin'), refundValidation, checkValidation, refundRazorpayPayment);
 router.post('/razorpay/customer', authorize('user'), createRazorpayCustomer);
 
+// Gateway-neutral aliases for the checkout flow
+router.post('/orders', authorize('user'), razorpayOrderValidation, checkValidation, createRazorpayOrder);
+router.post('/deposit-orders', authorize('user'), depositOrderValidation, checkValidation, createDepositOrder);
+router.post('/verify', authorize('user'), verifyRazorpayPayment);
+
+// Offline checkout for test and staging environments
+if (process.env.PAYMENT_GATEWAY === 'mock') {
+  router.post('/mock/orders/:orderId/pay', authorize('user'), simulateMockPayment);
+}
+
 // Generic payment data routes
 router.get('/history', authorize('user'), getPaymentHistory);
 
@@ -88,6 +115,7 @@ router.get('/stats', protect, getPaymentStats);
 
 // Dynamic payment detail route
 router.get('/:paymentId', authorize('user', 'admin'), getPaymentDetails);
+router.get('/:paymentId/invoice', authorize('user', 'service_provider', 'admin'), getPaymentInvoice);
 router.get('/', authorize('admin'), getAllPayments);
 router.get('/export', authorize('admin'), exportPayments);
 
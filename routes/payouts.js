@@ -0,0 +1,74 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  getPayouts,
+  getPayout,
+  getUnsettledEarnings,
+  getCommission,
+  generatePayoutBatches,
+  approvePayout,
+  rejectPayout,
+  markPayoutPaid
+} = require('../controllers/payoutController');
+
+const router = express.Router();
+
+// Validation middleware
+const generateValidation = [
+  body('providerId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid provider ID is required'),
+  body('periodEnd')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid period end date is required')
+];
+
+const rejectValidation = [
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Rejection reason is required')
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters')
+];
+
+const payValidation = [
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Reference cannot exceed 100 characters')
+];
+
+// Check validation results
+const checkValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// All routes are protected
+router.use(protect);
+
+// Provider and admin routes
+router.get('/', authorize('service_provider', 'admin'), getPayouts);
+router.get('/earnings', authorize('service_provider', 'admin'), getUnsettledEarnings);
+router.get('/commission', authorize('service_provider', 'admin'), getCommission);
+
+// Admin only routes
+router.post('/generate', authorize('admin'), generateValidation, checkValidation, generatePayoutBatches);
+router.put('/:id/approve', authorize('admin'), approvePayout);
+router.put('/:id/reject', authorize('admin'), rejectValidation, checkValidation, rejectPayout);
+router.put('/:id/pay', authorize('admin'), payValidation, checkValidation, markPayoutPaid);
+
+router.get('/:id', authorize('service_provider', 'admin'), getPayout);
+
+module.exports = router;
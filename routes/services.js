@@ -1,6 +1,8 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const { getPricingRuleError } = require('../utils/pricing');
+const { isValidTimeZone } = require('../utils/timezone');
 const {
   getServices,
   getService,
@@ -17,12 +19,33 @@ const {
   getProviderServices,
   getMyServices,
   getServiceStats,
+  getServiceSlots,
+  getServiceQuote,
   uploadServiceImages,
   uploadImagesMiddleware
 } = require('../controllers/serviceController');
 
 const router = express.Router();
 
+// Pricing rules need different fields depending on their type
+const pricingRulesValidation = body('pricingRules')
+  .optional()
+  .isArray({ max: 50 })
+  .withMessage('Pricing rules must be an array of at most 50 rules')
+  .bail()
+  .custom(rules => {
+    rules.forEach((rule, index) => {
+      const error = getPricingRuleError({ adjustmentType: 'percent', ...rule });
+      if (error) throw new Error(`Pricing rule ${index + 1}: ${error}`);
+    });
+    return true;
+  });
+
+const timeZoneValidation = body('timeZone')
+  .optional()
+  .custom(isValidTimeZone)
+  .withMessage('Time zone must be an IANA time zone such as Asia/Kolkata');
+
 // Validation middleware
 const createServiceValidation = [
   body('name')
@@ -54,7 +77,9 @@ const createServiceValidation = [
   body('location.country')
     .trim()
     .notEmpty()
-    .withMessage('Country is required')
+    .withMessage('Country is required'),
+  timeZoneValidation,
+  pricingRulesValidation
 ];
 
 const updateServiceValidation = [
@@ -75,7 +100,9 @@ const updateServiceValidation = [
   body('price.amount')
     .optional()
     .isFloat({ min: 0 })
-    .withMessage('Price must be a positive number')
+    .withMessage('Price must be a positive number'),
+  timeZoneValidation,
+  pricingRulesValidation
 ];
 
 const reviewValidation = [
@@ -107,6 +134,8 @@ router.get('/search', optionalAuth, searchServices);
 router.get('/category/:category', optionalAuth, getServicesByCategory);
 router.get('/featured', optionalAuth, getFeaturedServices);
 router.get('/:id', optionalAuth, getService);
+router.get('/:id/slots', optionalAuth, getServiceSlots);
+router.get('/:id/quote', optionalAuth, getServiceQuote);
 
 // Protected routes
 router.use(protect);
@@ -19,8 +19,9 @@ const {
   uploadImage,
   getMyFavorites,
   addFavorite,
-  removeFavorite
-
+  removeFavorite,
+  getMyNotifications,
+  markNotificationRead
 } = require('../controllers/userController');
 
 const router = express.Router();
@@ -83,6 +84,10 @@ router.get('/me/favorites', getMyFavorites);
 router.post('/me/favorites/:serviceId', addFavorite);
 router.delete('/me/favorites/:serviceId', removeFavorite);
 
+// Notification inbox (self)
+router.get('/me/notifications', getMyNotifications);
+router.put('/me/notifications/:id/read', markNotificationRead);
+
 router.delete('/:id', authorize('admin'), deleteUser);
 router.delete('/bulk-delete', authorize('admin'), bulkDeleteUsers);
 
@@ -13,10 +13,15 @@ const serviceRoutes = require('./routes/services');
 const bookingRoutes = require('./routes/bookings');
 const paymentRoutes = require('./routes/payments');
 const adminRoutes = require('./routes/admin');
+const payoutRoutes = require('./routes/payouts');
+const couponRoutes = require('./routes/coupons');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
 
+// Background jobs
+const { startBackgroundJobs } = require('./utils/backgroundJobs');
+
 const app = express();
 
 // Security middleware
@@ -73,6 +78,8 @@ app.use('/api/services', serviceRoutes);
 app.use('/api/bookings', bookingRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/payouts', payoutRoutes);
+app.use('/api/coupons', couponRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -118,6 +125,9 @@ const startServer = async () => {
     console.log(`Environment: ${process.env.NODE_ENV}`);
     console.log(`Health check: http://localhost:${PORT}/health`);
   });
+
+  // Scheduled jobs and the job queue worker (see worker.js to run the worker on its own)
+  startBackgroundJobs();
 };
 
 startServer();
@@ -0,0 +1,172 @@
+// English email templates, also the fallback for templates a language does not have.
+// {{name}} is replaced by a variable (escaped in HTML), {{#name}}...{{/name}} is kept only when
+// the variable is set. Layouts wrap every email; {{content}} is the rendered template.
+module.exports = {
+  locale: 'en-GB',
+
+  layout: {
+    text: `{{content}}
+
+--
+{{appName}}
+You are receiving this email because you have an account with {{appName}}.`,
+    html: `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>{{subject}}</title>
+</head>
+<body style="font-family: Arial, sans-serif; color: #222; background: #f6f6f6; margin: 0; padding: 24px;">
+  <div style="max-width: 600px; margin: 0 auto; background: #fff; padding: 24px; border-radius: 6px;">
+    {{content}}
+  </div>
+  <p style="max-width: 600px; margin: 16px auto 0; font-size: 12px; color: #777;">
+    You are receiving this email because you have an account with {{appName}}.
+  </p>
+</body>
+</html>`
+  },
+
+  // Phrases the code assembles into variables
+  strings: {
+    hours: 'about {{count}} hours',
+    hour: 'about 1 hour',
+    minutes: '{{count}} minutes',
+    minute: '1 minute'
+  },
+
+  templates: {
+    verify_email: {
+      subject: 'Verify your email address',
+      text: `Hi {{firstName}},
+
+Please verify your email address by opening this link:
+
+{{verificationUrl}}
+
+The link expires in 24 hours. If you did not create an account, you can ignore this email.`,
+      html: `<p>Hi {{firstName}},</p>
+<p>Please verify your email address by clicking the link below.</p>
+<p><a href="{{verificationUrl}}">Verify email address</a></p>
+<p>The link expires in 24 hours. If you did not create an account, you can ignore this email.</p>`
+    },
+
+    password_reset: {
+      subject: 'Reset your password',
+      text: `Hi {{firstName}},
+
+We received a request to reset your password. Make a PUT request to the following link with your new password:
+
+{{resetUrl}}
+
+The link expires in {{expiresInMinutes}} minutes. If you did not ask for this, you can ignore this email.`,
+      html: `<p>Hi {{firstName}},</p>
+<p>We received a request to reset your password. Make a PUT request to the following link with your new password:</p>
+<p><a href="{{resetUrl}}">{{resetUrl}}</a></p>
+<p>The link expires in {{expiresInMinutes}} minutes. If you did not ask for this, you can ignore this email.</p>`
+    },
+
+    booking_confirmed: {
+      subject: 'Booking confirmed: {{serviceName}}',
+      text: `Hi {{firstName}},
+
+Your booking for {{serviceName}} on {{date}} from {{startTime}} to {{endTime}} is confirmed.
+
+Total: {{total}}
+
+Booking reference: {{bookingId}}`,
+      html: `<p>Hi {{firstName}},</p>
+<p>Your booking for <strong>{{serviceName}}</strong> on {{date}} from {{startTime}} to {{endTime}} is confirmed.</p>
+<p>Total: {{total}}</p>
+<p style="color: #777;">Booking reference: {{bookingId}}</p>`
+    },
+
+    booking_cancelled: {
+      subject: 'Booking cancelled: {{serviceName}}',
+      text: `Hi {{firstName}},
+
+Your booking for {{serviceName}} on {{date}} at {{startTime}} has been cancelled.
+{{#reason}}
+Reason: {{reason}}
+{{/reason}}{{#refundAmount}}
+A refund of {{refundAmount}} is on its way to your original payment method.
+{{/refundAmount}}{{#depositRefund}}
+Your security deposit of {{depositRefund}} is being refunded to your original payment method.
+{{/depositRefund}}
+Booking reference: {{bookingId}}`,
+      html: `<p>Hi {{firstName}},</p>
+<p>Your booking for <strong>{{serviceName}}</strong> on {{date}} at {{startTime}} has been cancelled.</p>
+{{#reason}}<p>Reason: {{reason}}</p>{{/reason}}
+{{#refundAmount}}<p>A refund of {{refundAmount}} is on its way to your original payment method.</p>{{/refundAmount}}
+{{#depositRefund}}<p>Your security deposit of {{depositRefund}} is being refunded to your original payment method.</p>{{/depositRefund}}
+<p style="color: #777;">Booking reference: {{bookingId}}</p>`
+    },
+
+    booking_expired: {
+      subject: 'Booking cancelled - payment not received',
+      text: `Hi {{firstName}},
+
+Your booking for {{serviceName}} on {{date}} at {{startTime}} was cancelled because we did not receive payment within {{expiryMinutes}} minutes. The time slot has been released; you are welcome to book again.
+{{#depositRefund}}
+Your security deposit of {{depositRefund}} is being refunded to your original payment method.
+{{/depositRefund}}`,
+      html: `<p>Hi {{firstName}},</p>
+<p>Your booking for <strong>{{serviceName}}</strong> on {{date}} at {{startTime}} was cancelled because we did not receive payment within {{expiryMinutes}} minutes.</p>
+<p>The time slot has been released; you are welcome to book again.</p>
+{{#depositRefund}}<p>Your security deposit of {{depositRefund}} is being refunded to your original payment method.</p>{{/depositRefund}}`
+    },
+
+    booking_rescheduled: {
+      subject: 'Booking rescheduled: {{serviceName}}',
+      text: `Hi {{firstName}},
+
+The booking for {{serviceName}} has been moved from {{from}} to {{to}}.
+{{#balanceDue}}
+A balance of {{balanceDue}} is due for the new time.
+{{/balanceDue}}
+Booking reference: {{bookingId}}`,
+      html: `<p>Hi {{firstName}},</p>
+<p>The booking for <strong>{{serviceName}}</strong> has been moved from {{from}} to {{to}}.</p>
+{{#balanceDue}}<p>A balance of {{balanceDue}} is due for the new time.</p>{{/balanceDue}}
+<p style="color: #777;">Booking reference: {{bookingId}}</p>`
+    },
+
+    occurrence_expired: {
+      subject: 'Booking cancelled - payment not received',
+      text: `Hi {{firstName}},
+
+Your booking for {{serviceName}} on {{date}} at {{startTime}} was cancelled because it was not paid {{dueHours}} hours before it starts. The rest of your recurring booking is not affected.
+{{#depositRefund}}
+Your security deposit of {{depositRefund}} is being refunded to your original payment method.
+{{/depositRefund}}`,
+      html: `<p>Hi {{firstName}},</p>
+<p>Your booking for <strong>{{serviceName}}</strong> on {{date}} at {{startTime}} was cancelled because it was not paid {{dueHours}} hours before it starts.</p>
+<p>The rest of your recurring booking is not affected.</p>
+{{#depositRefund}}<p>Your security deposit of {{depositRefund}} is being refunded to your original payment method.</p>{{/depositRefund}}`
+    },
+
+    booking_reminder: {
+      subject: 'Reminder: {{serviceName}} starts in {{timeLeft}}',
+      text: `Hi {{firstName}},
+
+This is a reminder that your booking for {{serviceName}} starts in {{timeLeft}}, on {{startsAt}}.
+{{#location}}Location: {{location}}
+{{/location}}
+See you there!`,
+      html: `<p>Hi {{firstName}},</p>
+<p>This is a reminder that your booking for <strong>{{serviceName}}</strong> starts in {{timeLeft}}, on {{startsAt}}.</p>
+{{#location}}<p>Location: {{location}}</p>{{/location}}
+<p>See you there!</p>`
+    },
+
+    payment_receipt: {
+      subject: 'Receipt for invoice {{invoiceNumber}}',
+      text: `Hi {{name}},
+
+Thank you for your payment of {{amountPaid}}. Your invoice {{invoiceNumber}} is attached.`,
+      html: `<p>Hi {{name}},</p>
+<p>Thank you for your payment of <strong>{{amountPaid}}</strong>.</p>
+<p>Your invoice {{invoiceNumber}} is attached.</p>`
+    }
+  }
+};
@@ -0,0 +1,169 @@
+// Spanish email templates (see en.js for the syntax)
+module.exports = {
+  locale: 'es-ES',
+
+  layout: {
+    text: `{{content}}
+
+--
+{{appName}}
+Recibes este correo porque tienes una cuenta en {{appName}}.`,
+    html: `<!DOCTYPE html>
+<html lang="es">
+<head>
+  <meta charset="utf-8">
+  <title>{{subject}}</title>
+</head>
+<body style="font-family: Arial, sans-serif; color: #222; background: #f6f6f6; margin: 0; padding: 24px;">
+  <div style="max-width: 600px; margin: 0 auto; background: #fff; padding: 24px; border-radius: 6px;">
+    {{content}}
+  </div>
+  <p style="max-width: 600px; margin: 16px auto 0; font-size: 12px; color: #777;">
+    Recibes este correo porque tienes una cuenta en {{appName}}.
+  </p>
+</body>
+</html>`
+  },
+
+  strings: {
+    hours: 'unas {{count}} horas',
+    hour: 'aproximadamente 1 hora',
+    minutes: '{{count}} minutos',
+    minute: '1 minuto'
+  },
+
+  templates: {
+    verify_email: {
+      subject: 'Verifica tu dirección de correo',
+      text: `Hola {{firstName}}:
+
+Verifica tu dirección de correo abriendo este enlace:
+
+{{verificationUrl}}
+
+El enlace caduca en 24 horas. Si no has creado una cuenta, puedes ignorar este correo.`,
+      html: `<p>Hola {{firstName}}:</p>
+<p>Verifica tu dirección de correo haciendo clic en el siguiente enlace.</p>
+<p><a href="{{verificationUrl}}">Verificar correo</a></p>
+<p>El enlace caduca en 24 horas. Si no has creado una cuenta, puedes ignorar este correo.</p>`
+    },
+
+    password_reset: {
+      subject: 'Restablece tu contraseña',
+      text: `Hola {{firstName}}:
+
+Hemos recibido una solicitud para restablecer tu contraseña. Envía una petición PUT al siguiente enlace con tu nueva contraseña:
+
+{{resetUrl}}
+
+El enlace caduca en {{expiresInMinutes}} minutos. Si no lo has solicitado, puedes ignorar este correo.`,
+      html: `<p>Hola {{firstName}}:</p>
+<p>Hemos recibido una solicitud para restablecer tu contraseña. Envía una petición PUT al siguiente enlace con tu nueva contraseña:</p>
+<p><a href="{{resetUrl}}">{{resetUrl}}</a></p>
+<p>El enlace caduca en {{expiresInMinutes}} minutos. Si no lo has solicitado, puedes ignorar este correo.</p>`
+    },
+
+    booking_confirmed: {
+      subject: 'Reserva confirmada: {{serviceName}}',
+      text: `Hola {{firstName}}:
+
+Tu reserva de {{serviceName}} el {{date}} de {{startTime}} a {{endTime}} está confirmada.
+
+Total: {{total}}
+
+Referencia de la reserva: {{bookingId}}`,
+      html: `<p>Hola {{firstName}}:</p>
+<p>Tu reserva de <strong>{{serviceName}}</strong> el {{date}} de {{startTime}} a {{endTime}} está confirmada.</p>
+<p>Total: {{total}}</p>
+<p style="color: #777;">Referencia de la reserva: {{bookingId}}</p>`
+    },
+
+    booking_cancelled: {
+      subject: 'Reserva cancelada: {{serviceName}}',
+      text: `Hola {{firstName}}:
+
+Tu reserva de {{serviceName}} el {{date}} a las {{startTime}} ha sido cancelada.
+{{#reason}}
+Motivo: {{reason}}
+{{/reason}}{{#refundAmount}}
+Te devolveremos {{refundAmount}} a tu método de pago original.
+{{/refundAmount}}{{#depositRefund}}
+Te devolveremos la fianza de {{depositRefund}} a tu método de pago original.
+{{/depositRefund}}
+Referencia de la reserva: {{bookingId}}`,
+      html: `<p>Hola {{firstName}}:</p>
+<p>Tu reserva de <strong>{{serviceName}}</strong> el {{date}} a las {{startTime}} ha sido cancelada.</p>
+{{#reason}}<p>Motivo: {{reason}}</p>{{/reason}}
+{{#refundAmount}}<p>Te devolveremos {{refundAmount}} a tu método de pago original.</p>{{/refundAmount}}
+{{#depositRefund}}<p>Te devolveremos la fianza de {{depositRefund}} a tu método de pago original.</p>{{/depositRefund}}
+<p style="color: #777;">Referencia de la reserva: {{bookingId}}</p>`
+    },
+
+    booking_expired: {
+      subject: 'Reserva cancelada: pago no recibido',
+      text: `Hola {{firstName}}:
+
+Tu reserva de {{serviceName}} el {{date}} a las {{startTime}} se ha cancelado porque no recibimos el pago en {{expiryMinutes}} minutos. El horario ha quedado libre; puedes volver a reservar cuando quieras.
+{{#depositRefund}}
+Te devolveremos la fianza de {{depositRefund}} a tu método de pago original.
+{{/depositRefund}}`,
+      html: `<p>Hola {{firstName}}:</p>
+<p>Tu reserva de <strong>{{serviceName}}</strong> el {{date}} a las {{startTime}} se ha cancelado porque no recibimos el pago en {{expiryMinutes}} minutos.</p>
+<p>El horario ha quedado libre; puedes volver a reservar cuando quieras.</p>
+{{#depositRefund}}<p>Te devolveremos la fianza de {{depositRefund}} a tu método de pago original.</p>{{/depositRefund}}`
+    },
+
+    booking_rescheduled: {
+      subject: 'Reserva cambiada: {{serviceName}}',
+      text: `Hola {{firstName}}:
+
+La reserva de {{serviceName}} se ha cambiado del {{from}} al {{to}}.
+{{#balanceDue}}
+Queda pendiente un saldo de {{balanceDue}} por el nuevo horario.
+{{/balanceDue}}
+Referencia de la reserva: {{bookingId}}`,
+      html: `<p>Hola {{firstName}}:</p>
+<p>La reserva de <strong>{{serviceName}}</strong> se ha cambiado del {{from}} al {{to}}.</p>
+{{#balanceDue}}<p>Queda pendiente un saldo de {{balanceDue}} por el nuevo horario.</p>{{/balanceDue}}
+<p style="color: #777;">Referencia de la reserva: {{bookingId}}</p>`
+    },
+
+    occurrence_expired: {
+      subject: 'Reserva cancelada: pago no recibido',
+      text: `Hola {{firstName}}:
+
+Tu reserva de {{serviceName}} el {{date}} a las {{startTime}} se ha cancelado porque no se pagó {{dueHours}} horas antes de empezar. El resto de tu reserva periódica sigue en pie.
+{{#depositRefund}}
+Te devolveremos la fianza de {{depositRefund}} a tu método de pago original.
+{{/depositRefund}}`,
+      html: `<p>Hola {{firstName}}:</p>
+<p>Tu reserva de <strong>{{serviceName}}</strong> el {{date}} a las {{startTime}} se ha cancelado porque no se pagó {{dueHours}} horas antes de empezar.</p>
+<p>El resto de tu reserva periódica sigue en pie.</p>
+{{#depositRefund}}<p>Te devolveremos la fianza de {{depositRefund}} a tu método de pago original.</p>{{/depositRefund}}`
+    },
+
+    booking_reminder: {
+      subject: 'Recordatorio: {{serviceName}} empieza en {{timeLeft}}',
+      text: `Hola {{firstName}}:
+
+Te recordamos que tu reserva de {{serviceName}} empieza en {{timeLeft}}, el {{startsAt}}.
+{{#location}}Lugar: {{location}}
+{{/location}}
+¡Hasta pronto!`,
+      html: `<p>Hola {{firstName}}:</p>
+<p>Te recordamos que tu reserva de <strong>{{serviceName}}</strong> empieza en {{timeLeft}}, el {{startsAt}}.</p>
+{{#location}}<p>Lugar: {{location}}</p>{{/location}}
+<p>¡Hasta pronto!</p>`
+    },
+
+    payment_receipt: {
+      subject: 'Recibo de la factura {{invoiceNumber}}',
+      text: `Hola {{name}}:
+
+Gracias por tu pago de {{amountPaid}}. Adjuntamos tu factura {{invoiceNumber}}.`,
+      html: `<p>Hola {{name}}:</p>
+<p>Gracias por tu pago de <strong>{{amountPaid}}</strong>.</p>
+<p>Adjuntamos tu factura {{invoiceNumber}}.</p>`
+    }
+  }
+};
@@ -0,0 +1,44 @@
+const { isSchedulerEnabled, scheduleJob, stopJobs } = require('./scheduler');
+const { createWorker } = require('./jobQueue');
+const { enqueueJob } = require('./jobs');
+const { expireUnpaidBookings } = require('./bookingExpiry');
+const { sendDueReminders } = require('./reminders');
+
+// The job worker of this process, once started
+let worker = null;
+
+// Set DISABLE_JOB_WORKER=true on API servers when workers run on their own (worker.js)
+const isWorkerEnabled = () => process.env.DISABLE_JOB_WORKER !== 'true';
+
+const startScheduledJobs = () => {
+  // Unpaid pending bookings would otherwise block their slots forever
+  scheduleJob('expire-unpaid-bookings', 60 * 1000, expireUnpaidBookings);
+  scheduleJob('booking-reminders', 60 * 1000, sendDueReminders);
+  // Queued rather than run here, so one worker handles the retries however many servers schedule them
+  scheduleJob('retry-webhook-events', 5 * 60 * 1000, () =>
+    enqueueJob('retry_webhook_events', {}, { uniqueKey: 'retry_webhook_events' }));
+};
+
+// Start the scheduled jobs and the job worker, each unless disabled for this process
+const startBackgroundJobs = ({ scheduler = isSchedulerEnabled(), runWorker = isWorkerEnabled() } = {}) => {
+  if (scheduler) startScheduledJobs();
+
+  if (runWorker && !worker) {
+    worker = createWorker();
+    worker.start();
+  }
+};
+
+// Stop scheduling and wait for the jobs in flight, for a clean shutdown
+const stopBackgroundJobs = async () => {
+  stopJobs();
+  if (worker) await worker.stop();
+};
+
+const getWorker = () => worker;
+
+module.exports = {
+  startBackgroundJobs,
+  stopBackgroundJobs,
+  getWorker
+};
@@ -0,0 +1,65 @@
+const { formatDate } = require('./slots');
+const { buildEmail } = require('./emailTemplates');
+const { queueEmail } = require('./jobs');
+
+const formatMoney = (amount, currency) => `${currency} ${Number(amount || 0).toFixed(2)}`;
+
+// Variables every booking email can use
+const getBookingVariables = (booking) => ({
+  bookingId: booking._id.toString(),
+  serviceName: (booking.service && booking.service.name) || 'your booking',
+  date: formatDate(booking.bookingDate),
+  startTime: booking.startTime,
+  endTime: booking.endTime,
+  total: formatMoney(booking.getAmountDue().total, booking.currency)
+});
+
+// Deposit released back to the customer, formatted, when there was one
+const getDepositRefund = (booking) => (booking.deposit && booking.deposit.status === 'released' &&
+  booking.deposit.refundedAmount > 0
+  ? formatMoney(booking.deposit.refundedAmount, booking.currency)
+  : undefined);
+
+// Variables only some templates use
+const TEMPLATE_VARIABLES = {
+  booking_cancelled: (booking) => ({
+    reason: booking.cancellationReason,
+    refundAmount: booking.refundAmount > 0 ? formatMoney(booking.refundAmount, booking.currency) : undefined,
+    depositRefund: getDepositRefund(booking)
+  }),
+  booking_expired: (booking) => ({
+    depositRefund: getDepositRefund(booking)
+  }),
+  occurrence_expired: (booking) => ({
+    depositRefund: getDepositRefund(booking)
+  })
+};
+
+/**
+ * Queue a templated email about a booking to its customer, in their language.
+ * Delivery problems are logged, not thrown: the booking change has already been saved.
+ */
+const queueBookingEmail = async (booking, template, variables = {}) => {
+  try {
+    await booking.populate([
+      { path: 'user', select: 'firstName lastName email preferences' },
+      { path: 'service', select: 'name' }
+    ]);
+
+    const user = booking.user;
+    if (!user || !user.email) return;
+
+    const extra = TEMPLATE_VARIABLES[template] ? TEMPLATE_VARIABLES[template](booking) : {};
+    await queueEmail(buildEmail(template, user, { ...getBookingVariables(booking), ...extra, ...variables }));
+  } catch (error) {
+    console.error(`${template} email for booking ${booking._id} could not be queued:`, error.message);
+  } finally {
+    // Callers send the booking back in responses with plain ids
+    booking.depopulate('user');
+    booking.depopulate('service');
+  }
+};
+
+module.exports = {
+  queueBookingEmail
+};
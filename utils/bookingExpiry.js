@@ -0,0 +1,145 @@
+const Booking = require('../models/Booking');
+const BookingHold = require('../models/BookingHold');
+const Payment = require('../models/Payment');
+const { releaseCancelledDeposit } = require('./deposits');
+const { queueBookingEmail } = require('./bookingEmails');
+
+// Unpaid bookings are cancelled this long after they were made (PENDING_BOOKING_EXPIRY_MINUTES)
+const DEFAULT_EXPIRY_MINUTES = 30;
+// Later occurrences of a recurring series are paid one by one, at the latest this long before
+// they start (SERIES_PAYMENT_DUE_HOURS)
+const DEFAULT_SERIES_PAYMENT_DUE_HOURS = 24;
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+// Offline payments are settled with the provider later, so those bookings never expire here.
+// Only the provider or an admin can set these methods (see updateBooking).
+const OFFLINE_PAYMENT_METHODS = ['cash', 'bank_transfer'];
+
+const EXPIRY_REASON = 'Not paid in time';
+
+const getExpiryMinutes = () => {
+  const minutes = parseInt(process.env.PENDING_BOOKING_EXPIRY_MINUTES, 10);
+  return minutes > 0 ? minutes : DEFAULT_EXPIRY_MINUTES;
+};
+
+const getSeriesPaymentDueHours = () => {
+  const hours = parseInt(process.env.SERIES_PAYMENT_DUE_HOURS, 10);
+  return hours > 0 ? hours : DEFAULT_SERIES_PAYMENT_DUE_HOURS;
+};
+
+// Whether a checkout for the booking was started within the hold period
+const isCheckoutInProgress = (bookingId, now) => Payment.exists({
+  booking: bookingId,
+  status: 'pending',
+  createdAt: { $gt: new Date(now.getTime() - BookingHold.getHoldMinutes() * 60 * 1000) }
+});
+
+// Cancel one unpaid booking and its pending payments, and give back a deposit already paid.
+// Resolves to the cancelled booking, or null when it was paid or cancelled in the meantime.
+const expireBooking = async (bookingId) => {
+  const booking = await Booking.expireUnpaid(bookingId, EXPIRY_REASON);
+  if (!booking) return null;
+
+  await Payment.updateMany(
+    { booking: booking._id, status: 'pending' },
+    { status: 'cancelled', failureReason: 'Booking expired before payment' }
+  );
+
+  // A deposit paid before the booking itself goes back to the customer
+  await releaseCancelledDeposit(booking);
+
+  return booking;
+};
+
+/**
+ * Cancel later occurrences of recurring series that are still unpaid when payment falls due,
+ * SERIES_PAYMENT_DUE_HOURS before they start, so they stop holding their slot. Each is judged on
+ * its own payment, whatever happened to the rest of the series. Resolves to the number expired.
+ */
+const expireUnpaidOccurrences = async ({ limit, now }) => {
+  const dueHours = getSeriesPaymentDueHours();
+  const dueBy = new Date(now.getTime() + dueHours * MS_PER_HOUR);
+
+  // Dates are widened by a day for time zones; the exact start is checked per booking
+  const occurrences = await Booking.find({
+    status: 'pending',
+    paymentStatus: { $in: Booking.UNPAID_STATUSES },
+    paymentMethod: { $nin: OFFLINE_PAYMENT_METHODS },
+    parentBooking: { $ne: null },
+    bookingDate: { $lte: new Date(dueBy.getTime() + 24 * MS_PER_HOUR) }
+  })
+    .sort('bookingDate')
+    .limit(limit);
+
+  let expired = 0;
+  for (const occurrence of occurrences) {
+    if (occurrence.getStartsAt() > dueBy) continue;
+    if (await isCheckoutInProgress(occurrence._id, now)) continue;
+
+    const booking = await expireBooking(occurrence._id);
+    if (!booking) continue;
+    expired += 1;
+
+    await queueBookingEmail(booking, 'occurrence_expired', { dueHours });
+  }
+
+  return expired;
+};
+
+/**
+ * Cancel pending bookings that were not paid within the expiry window, on behalf of the system.
+ * Their pending payments are cancelled, a deposit already paid is released and the customer is
+ * emailed. Bookings with a checkout started in the last hold period are left for the next run.
+ * A recurring series is booked with its first booking, the one paid at checkout: an unpaid first
+ * booking takes the whole series with it. Later occurrences are paid one by one and expire on
+ * their own once their payment falls due (see expireUnpaidOccurrences).
+ * Safe to run on several servers.
+ * Resolves to { checked, expired }.
+ */
+const expireUnpaidBookings = async ({ limit = 100, now = new Date() } = {}) => {
+  const cutoff = new Date(now.getTime() - getExpiryMinutes() * 60 * 1000);
+
+  const candidates = await Booking.find({
+    status: 'pending',
+    paymentStatus: { $in: Booking.UNPAID_STATUSES },
+    paymentMethod: { $nin: OFFLINE_PAYMENT_METHODS },
+    parentBooking: null,
+    createdAt: { $lte: cutoff }
+  })
+    .select('_id')
+    .sort('createdAt')
+    .limit(limit);
+
+  const summary = { checked: candidates.length, expired: 0 };
+
+  for (const candidate of candidates) {
+    if (await isCheckoutInProgress(candidate._id, now)) continue;
+
+    const booking = await expireBooking(candidate._id);
+    if (!booking) continue;
+    summary.expired += 1;
+
+    // The rest of an unpaid series goes with it; one email covers them all
+    const occurrences = await Booking.find({
+      parentBooking: booking._id,
+      status: 'pending',
+      paymentStatus: { $in: Booking.UNPAID_STATUSES },
+      paymentMethod: { $nin: OFFLINE_PAYMENT_METHODS }
+    }).select('_id');
+
+    for (const occurrence of occurrences) {
+      if (await expireBooking(occurrence._id)) summary.expired += 1;
+    }
+
+    await queueBookingEmail(booking, 'booking_expired', { expiryMinutes: getExpiryMinutes() });
+  }
+
+  summary.expired += await expireUnpaidOccurrences({ limit, now });
+
+  return summary;
+};
+
+module.exports = {
+  getExpiryMinutes,
+  expireUnpaidBookings
+};
@@ -0,0 +1,151 @@
+const User = require('../models/User');
+const Broadcast = require('../models/Broadcast');
+const BroadcastDelivery = require('../models/BroadcastDelivery');
+const { defineJob, enqueueJobs } = require('./jobQueue');
+const { isChannelEnabled, sendToChannel, renderTemplate } = require('./notifications');
+
+// Deliveries sent per minute when the admin does not ask for another rate (BULK_NOTIFICATIONS_PER_MINUTE)
+const DEFAULT_RATE_PER_MINUTE = 60;
+// Bulk deliveries make way for transactional jobs such as verification emails
+const BROADCAST_JOB_PRIORITY = -1;
+
+const USER_FIELDS = 'firstName lastName email phone role preferences';
+
+const getDefaultRatePerMinute = () => {
+  const rate = parseInt(process.env.BULK_NOTIFICATIONS_PER_MINUTE, 10);
+  return rate > 0 ? rate : DEFAULT_RATE_PER_MINUTE;
+};
+
+// Values a broadcast can use as {{variables}} for one recipient
+const getUserVariables = (user) => ({
+  firstName: user.firstName,
+  lastName: user.lastName,
+  fullName: [user.firstName, user.lastName].filter(Boolean).join(' '),
+  email: user.email,
+  phone: user.phone,
+  role: user.role
+});
+
+// Why a channel cannot be used for a user right now, or null when it can
+const getSkipReason = (user, channel) => {
+  if (!isChannelEnabled(user, channel)) return 'opted_out';
+  if (channel === 'email' && !user.email) return 'no_email';
+  if (channel === 'sms' && !user.phone) return 'no_phone';
+  return null;
+};
+
+// Users a broadcast goes to: explicit recipients, or everyone matching the filters
+const buildAudienceQuery = ({ recipients, filters = {} }) => {
+  const query = {};
+  if (Array.isArray(recipients) && recipients.length > 0) query._id = { $in: recipients };
+  if (filters.role) query.role = filters.role;
+  if (filters.isActive !== undefined) query.isActive = filters.isActive;
+  if (filters.isEmailVerified !== undefined) query.isEmailVerified = filters.isEmailVerified;
+  return query;
+};
+
+/**
+ * Create a broadcast and queue one delivery per recipient and channel.
+ * Recipients who opted out of a channel (or have no address for it) are recorded as skipped.
+ * Deliveries are spread over time so no more than `ratePerMinute` go out per minute.
+ * Resolves to { broadcast, deliveries } where deliveries counts per status.
+ */
+const createBroadcast = async ({ subject, message, channels, variables, recipients, filters, ratePerMinute, createdBy }) => {
+  const rate = ratePerMinute || getDefaultRatePerMinute();
+  const users = await User.find(buildAudienceQuery({ recipients, filters })).select(USER_FIELDS);
+
+  const broadcast = await Broadcast.create({
+    subject,
+    message,
+    channels,
+    variables,
+    filters: { ...filters, ...(recipients && { recipients }) },
+    recipientCount: users.length,
+    ratePerMinute: rate,
+    createdBy
+  });
+
+  const deliveries = users.flatMap(user => channels.map(channel => {
+    const reason = getSkipReason(user, channel);
+    return {
+      broadcast: broadcast._id,
+      user: user._id,
+      channel,
+      status: reason ? 'skipped' : 'pending',
+      reason
+    };
+  }));
+  const created = await BroadcastDelivery.insertMany(deliveries);
+
+  const startAt = Date.now();
+  const pending = created.filter(delivery => delivery.status === 'pending');
+  await enqueueJobs('deliver_broadcast', pending.map((delivery, index) => ({
+    payload: { deliveryId: delivery._id.toString() },
+    runAt: new Date(startAt + Math.floor(index / rate) * 60 * 1000),
+    priority: BROADCAST_JOB_PRIORITY
+  })));
+
+  return {
+    broadcast,
+    deliveries: await BroadcastDelivery.countByStatus(broadcast._id)
+  };
+};
+
+/**
+ * Job handler sending one broadcast delivery. Preferences are checked again at send time.
+ * A failed attempt is rethrown so the queue retries it; the delivery is marked failed once
+ * the job has no attempts left.
+ */
+const deliverBroadcast = async ({ deliveryId }, job) => {
+  const delivery = await BroadcastDelivery.findById(deliveryId)
+    .populate('broadcast')
+    .populate('user', USER_FIELDS);
+
+  if (!delivery || !['pending', 'failed'].includes(delivery.status)) return { skipped: true };
+
+  const { broadcast, user } = delivery;
+  const reason = user ? getSkipReason(user, delivery.channel) : 'user_deleted';
+  if (reason) {
+    delivery.status = 'skipped';
+    delivery.reason = reason;
+    await delivery.save();
+    return { status: 'skipped', reason };
+  }
+
+  const variables = { ...(broadcast.variables || {}), ...getUserVariables(user) };
+  delivery.attempts += 1;
+
+  let outcome;
+  try {
+    outcome = await sendToChannel(delivery.channel, user, {
+      type: 'broadcast',
+      broadcast: broadcast._id,
+      subject: renderTemplate(broadcast.subject, variables),
+      message: renderTemplate(broadcast.message, variables)
+    });
+  } catch (error) {
+    delivery.reason = error.message;
+    delivery.status = job && job.hasAttemptsLeft() ? 'pending' : 'failed';
+    await delivery.save();
+    throw error;
+  }
+
+  if (outcome === 'sent') {
+    delivery.status = 'delivered';
+    delivery.deliveredAt = new Date();
+    delivery.reason = undefined;
+  } else {
+    delivery.status = 'skipped';
+    delivery.reason = 'channel_unavailable';
+  }
+  await delivery.save();
+
+  return { status: delivery.status };
+};
+
+defineJob('deliver_broadcast', deliverBroadcast, { concurrency: 2, maxAttempts: 3 });
+
+module.exports = {
+  createBroadcast,
+  deliverBroadcast
+};
@@ -0,0 +1,114 @@
+// Cancellation policy definitions, keyed by Service.cancellationPolicy.
+// Tiers are checked in order; the first one whose threshold is below the hours left
+// before the booking starts sets the fee. A threshold is either a fixed number of
+// `hours` or a multiple of the service's `cancellationHours` (`cutoffMultiple`).
+// Anything that matches no tier (e.g. after the booking started) pays `lateFeeRate`.
+const DEFAULT_POLICIES = {
+  flexible: {
+    description: 'Free cancellation until the cutoff, 50% after that',
+    tiers: [
+      { cutoffMultiple: 1, feeRate: 0 },
+      { hours: 0, feeRate: 0.5 }
+    ],
+    lateFeeRate: 1
+  },
+  moderate: {
+    description: 'Free until twice the cutoff, 10% until the cutoff, 50% until 2 hours before',
+    tiers: [
+      { cutoffMultiple: 2, feeRate: 0 },
+      { cutoffMultiple: 1, feeRate: 0.1 },
+      { hours: 2, feeRate: 0.5 }
+    ],
+    lateFeeRate: 1
+  },
+  strict: {
+    description: 'Free until seven times the cutoff, 50% until twice the cutoff, no refund after',
+    tiers: [
+      { cutoffMultiple: 7, feeRate: 0 },
+      { cutoffMultiple: 2, feeRate: 0.5 }
+    ],
+    lateFeeRate: 1
+  },
+  no_refund: {
+    description: 'No refund on cancellation',
+    tiers: [],
+    lateFeeRate: 1
+  }
+};
+
+const DEFAULT_POLICY = 'moderate';
+const DEFAULT_CANCELLATION_HOURS = 24;
+
+// Policies can be overridden without a deploy through CANCELLATION_POLICIES (JSON, same shape as above)
+const loadPolicies = () => {
+  if (!process.env.CANCELLATION_POLICIES) return DEFAULT_POLICIES;
+
+  try {
+    return { ...DEFAULT_POLICIES, ...JSON.parse(process.env.CANCELLATION_POLICIES) };
+  } catch (error) {
+    console.error('Invalid CANCELLATION_POLICIES, using defaults:', error.message);
+    return DEFAULT_POLICIES;
+  }
+};
+
+const policies = loadPolicies();
+
+const getPolicy = (name) => policies[name] || policies[DEFAULT_POLICY];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Fee rate for cancelling `hoursUntilStart` hours ahead under a policy
+const getFeeRate = (policyName, cancellationHours, hoursUntilStart) => {
+  const policy = getPolicy(policyName);
+  const cutoff = cancellationHours ?? DEFAULT_CANCELLATION_HOURS;
+
+  const tier = policy.tiers.find(({ hours, cutoffMultiple }) => {
+    const threshold = hours !== undefined ? hours : cutoffMultiple * cutoff;
+    return hoursUntilStart > threshold;
+  });
+
+  return tier ? tier.feeRate : policy.lateFeeRate;
+};
+
+/**
+ * Work out what cancelling a booking would cost right now.
+ * Providers and admins cancelling (or rejecting) never charge the customer, and
+ * pending bookings have not been accepted yet, so both are free. Only money that
+ * was actually paid is refunded.
+ */
+const quoteCancellation = (booking, service = {}, role = 'user') => {
+  const policyName = policies[service.cancellationPolicy] ? service.cancellationPolicy : DEFAULT_POLICY;
+  const cancellationHours = service.cancellationHours ?? DEFAULT_CANCELLATION_HOURS;
+  const hoursUntilStart = booking.getHoursUntilStart();
+  // Customers can only cancel before the service is underway; staff can also cancel in-progress bookings
+  const isCancellable = booking.canTransitionTo('cancelled') &&
+    (role !== 'user' || ['pending', 'confirmed'].includes(booking.status));
+  const feeWaived = role !== 'user' || booking.status === 'pending';
+
+  const feeRate = feeWaived ? 0 : getFeeRate(policyName, cancellationHours, hoursUntilStart);
+  const cancellationFee = roundAmount(booking.totalAmount * feeRate);
+  const amountPaid = ['paid', 'partial', 'partially_refunded'].includes(booking.paymentStatus)
+    ? (booking.paymentDetails?.amountPaid ?? booking.totalAmount)
+    : 0;
+
+  return {
+    policy: policyName,
+    description: getPolicy(policyName).description,
+    cancellationHours,
+    hoursUntilStart: roundAmount(hoursUntilStart),
+    isCancellable,
+    feeRate,
+    cancellationFee,
+    amountPaid,
+    refundAmount: roundAmount(Math.max(amountPaid - cancellationFee, 0)),
+    currency: booking.currency
+  };
+};
+
+module.exports = {
+  DEFAULT_POLICIES,
+  DEFAULT_POLICY,
+  getPolicy,
+  getFeeRate,
+  quoteCancellation
+};
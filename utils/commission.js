@@ -0,0 +1,48 @@
+// Platform commission taken from provider earnings, as a fraction of what the customer paid.
+// The global rate applies unless the service's category has its own rate.
+const DEFAULT_COMMISSION_RATE = 0.1;
+const DEFAULT_CATEGORY_RATES = {};
+
+const parseRate = (value) => {
+  const rate = Number(value);
+  return Number.isFinite(rate) && rate >= 0 && rate <= 1 ? rate : null;
+};
+
+// Rates can be changed without a deploy through PLATFORM_COMMISSION_RATE and
+// COMMISSION_RATES (JSON object of category -> rate, e.g. {"hotel": 0.15})
+const loadConfig = () => {
+  const globalRate = parseRate(process.env.PLATFORM_COMMISSION_RATE) ?? DEFAULT_COMMISSION_RATE;
+  const categoryRates = { ...DEFAULT_CATEGORY_RATES };
+
+  if (process.env.COMMISSION_RATES) {
+    try {
+      Object.entries(JSON.parse(process.env.COMMISSION_RATES)).forEach(([category, value]) => {
+        const rate = parseRate(value);
+        if (rate === null) {
+          console.error(`Ignoring invalid commission rate for ${category}: ${value}`);
+        } else {
+          categoryRates[category] = rate;
+        }
+      });
+    } catch (error) {
+      console.error('Invalid COMMISSION_RATES, using the global rate:', error.message);
+    }
+  }
+
+  return { globalRate, categoryRates };
+};
+
+const config = loadConfig();
+
+const getCommissionConfig = () => ({
+  globalRate: config.globalRate,
+  categoryRates: { ...config.categoryRates }
+});
+
+const getCommissionRate = (category) => config.categoryRates[category] ?? config.globalRate;
+
+module.exports = {
+  DEFAULT_COMMISSION_RATE,
+  getCommissionConfig,
+  getCommissionRate
+};
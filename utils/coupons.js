@@ -0,0 +1,77 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const ErrorResponse = require('./errorResponse');
+const { getServiceTax } = require('./tax');
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Look up a coupon and check it can be used by a user for a service and amount.
+ * Resolves to { coupon, discountAmount }; rejects with a 404/400 ErrorResponse otherwise.
+ */
+const findApplicableCoupon = async ({ code, user, service, amount, currency }) => {
+  const coupon = await Coupon.findOne({ code: normalizeCode(code) });
+
+  if (!coupon) {
+    throw new ErrorResponse('Invalid coupon code', 404);
+  }
+
+  const reason = coupon.getIneligibilityReason({ service, amount, currency });
+  if (reason) {
+    throw new ErrorResponse(reason, 400);
+  }
+
+  if (await CouponRedemption.countForUser(coupon._id, user) >= coupon.perUserLimit) {
+    throw new ErrorResponse('You have already used this coupon the maximum number of times', 400);
+  }
+
+  const discountAmount = coupon.calculateDiscount(amount);
+  if (discountAmount <= 0) {
+    throw new ErrorResponse('Coupon gives no discount on this booking', 400);
+  }
+
+  return { coupon, discountAmount };
+};
+
+/**
+ * Apply a coupon to an unpaid booking: reserve one use, store the discount and reprice the tax.
+ * The booking is modified but not saved. Resolves to the redemption.
+ */
+const applyCouponToBooking = async (booking, service, code, userId) => {
+  if (booking.discount && booking.discount.coupon) {
+    throw new ErrorResponse('A coupon has already been applied to this booking', 400);
+  }
+
+  const { coupon, discountAmount } = await findApplicableCoupon({
+    code,
+    user: userId,
+    service,
+    amount: booking.totalAmount,
+    currency: booking.currency
+  });
+
+  const redemption = await CouponRedemption.reserve({
+    coupon,
+    user: userId,
+    booking: booking._id,
+    service: service._id,
+    discountAmount,
+    orderAmount: booking.totalAmount,
+    currency: booking.currency
+  });
+
+  if (!redemption) {
+    throw new ErrorResponse('Coupon usage limit has been reached', 400);
+  }
+
+  booking.discount = { coupon: coupon._id, code: coupon.code, amount: discountAmount };
+  booking.tax = getServiceTax(service, booking.getTaxableBase());
+
+  return redemption;
+};
+
+module.exports = {
+  normalizeCode,
+  findApplicableCoupon,
+  applyCouponToBooking
+};
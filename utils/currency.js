@@ -0,0 +1,109 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const ErrorResponse = require('./errorResponse');
+
+const SUPPORTED_CURRENCIES = ['USD', 'EUR', 'GBP', 'INR'];
+const DEFAULT_BASE_CURRENCY = 'INR';
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Currency analytics are reported in and exchange rates are entered against (BASE_CURRENCY)
+const getBaseCurrency = () => {
+  const currency = String(process.env.BASE_CURRENCY || '').toUpperCase();
+  return SUPPORTED_CURRENCIES.includes(currency) ? currency : DEFAULT_BASE_CURRENCY;
+};
+
+// Current rates as { currency: units per one base unit }, the base currency included
+const loadRates = async () => {
+  const baseCurrency = getBaseCurrency();
+  const rates = { [baseCurrency]: 1 };
+
+  const stored = await ExchangeRate.find({ baseCurrency });
+  stored.forEach(entry => {
+    if (entry.currency !== baseCurrency) rates[entry.currency] = entry.rate;
+  });
+
+  return rates;
+};
+
+/**
+ * Rate to convert an amount from one currency to another, from the rates table.
+ * Resolves to a snapshot { from, to, rate, baseCurrency, at } to store next to converted amounts.
+ * Rejects with a 400 when either currency has no rate.
+ */
+const getExchangeRate = async (from, to, rates = null) => {
+  const at = new Date();
+  const baseCurrency = getBaseCurrency();
+
+  if (from === to) {
+    return { from, to, rate: 1, baseCurrency, at };
+  }
+
+  const table = rates || await loadRates();
+  const missing = [from, to].filter(currency => !table[currency]);
+  if (missing.length > 0) {
+    throw new ErrorResponse(`No exchange rate is set for ${missing.join(', ')}`, 400);
+  }
+
+  return {
+    from,
+    to,
+    rate: Math.round(table[to] / table[from] * 1e8) / 1e8,
+    baseCurrency,
+    at
+  };
+};
+
+// Same as getExchangeRate, but resolves to null instead of failing when a rate is missing
+const findExchangeRate = async (from, to, rates = null) => {
+  try {
+    return await getExchangeRate(from, to, rates);
+  } catch (error) {
+    if (error instanceof ErrorResponse) return null;
+    throw error;
+  }
+};
+
+const convertAmount = (amount, rate) => roundAmount((Number(amount) || 0) * rate);
+
+/**
+ * Aggregation expression converting a money field of a payment into `target`.
+ * The base rate snapshotted on the payment is used when there is one, otherwise the current
+ * rate of the payment's currency; payments in a currency without any rate convert to null.
+ */
+const convertFieldExpr = (field, rates, target) => {
+  const currentRate = {
+    $switch: {
+      branches: Object.entries(rates).map(([currency, rate]) => ({
+        case: { $eq: [{ $toUpper: '$currency' }, currency] },
+        then: rate
+      })),
+      default: null
+    }
+  };
+
+  // Snapshots taken against a different base currency cannot be used directly
+  const paymentRate = {
+    $cond: [
+      { $eq: ['$exchangeRate.baseCurrency', getBaseCurrency()] },
+      { $ifNull: ['$exchangeRate.baseRate', currentRate] },
+      currentRate
+    ]
+  };
+
+  return {
+    $multiply: [
+      { $ifNull: [field, 0] },
+      { $divide: [rates[target], paymentRate] }
+    ]
+  };
+};
+
+module.exports = {
+  SUPPORTED_CURRENCIES,
+  getBaseCurrency,
+  loadRates,
+  getExchangeRate,
+  findExchangeRate,
+  convertAmount,
+  convertFieldExpr
+};
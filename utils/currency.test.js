@@ -0,0 +1,60 @@
+const {
+  getBaseCurrency,
+  getExchangeRate,
+  findExchangeRate,
+  convertAmount
+} = require('./currency');
+
+describe('currency', () => {
+  const baseCurrency = process.env.BASE_CURRENCY;
+  // Units per one INR
+  const rates = { INR: 1, USD: 0.012, EUR: 0.011 };
+
+  afterEach(() => {
+    if (baseCurrency === undefined) delete process.env.BASE_CURRENCY;
+    else process.env.BASE_CURRENCY = baseCurrency;
+  });
+
+  describe('getBaseCurrency', () => {
+    it('defaults to INR and ignores unsupported currencies', () => {
+      delete process.env.BASE_CURRENCY;
+      expect(getBaseCurrency()).toBe('INR');
+
+      process.env.BASE_CURRENCY = 'jpy';
+      expect(getBaseCurrency()).toBe('INR');
+
+      process.env.BASE_CURRENCY = 'usd';
+      expect(getBaseCurrency()).toBe('USD');
+    });
+  });
+
+  describe('getExchangeRate', () => {
+    it('is 1 between the same currency', async () => {
+      expect(await getExchangeRate('EUR', 'EUR', rates)).toMatchObject({ from: 'EUR', to: 'EUR', rate: 1 });
+    });
+
+    it('crosses through the base currency', async () => {
+      delete process.env.BASE_CURRENCY;
+      expect(await getExchangeRate('INR', 'USD', rates)).toMatchObject({ rate: 0.012, baseCurrency: 'INR' });
+      expect((await getExchangeRate('USD', 'EUR', rates)).rate).toBeCloseTo(0.011 / 0.012, 8);
+    });
+
+    it('rejects currencies without a rate', async () => {
+      await expect(getExchangeRate('INR', 'GBP', rates)).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('findExchangeRate', () => {
+    it('resolves to null when a rate is missing', async () => {
+      expect(await findExchangeRate('INR', 'GBP', rates)).toBeNull();
+    });
+  });
+
+  describe('convertAmount', () => {
+    it('converts and rounds to cents', () => {
+      expect(convertAmount(1000, 0.012)).toBe(12);
+      expect(convertAmount(10, 1 / 3)).toBe(3.33);
+      expect(convertAmount(undefined, 2)).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+const Payment = require('../models/Payment');
+const Booking = require('../models/Booking');
+const ErrorResponse = require('./errorResponse');
+const { issueRefund } = require('./refunds');
+
+// What the provider can do with a held deposit, and the deposit status each one leaves:
+//   release  - refund all of it to the customer
+//   withhold - keep `amount` (with a reason) and refund the rest
+//   capture  - keep all of it (with a reason)
+const DEPOSIT_ACTIONS = {
+  release: 'released',
+  withhold: 'partially_withheld',
+  capture: 'captured'
+};
+
+// Booking statuses each action is allowed in; keeping money needs the booking to have happened
+const ACTION_BOOKING_STATUSES = {
+  release: ['completed', 'cancelled', 'no_show'],
+  withhold: ['completed'],
+  capture: ['completed']
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Record a captured deposit payment on its booking and put the deposit on hold.
+// Safe to call more than once (verify endpoint and payment.captured webhook both end up here).
+const markDepositPaid = async (payment) => {
+  if (!payment.booking) return null;
+
+  const booking = await Booking.findOneAndUpdate(
+    { _id: payment.booking, 'deposit.paid': { $ne: true } },
+    {
+      $set: {
+        'deposit.paid': true,
+        'deposit.paidAt': new Date(),
+        'deposit.payment': payment._id,
+        'deposit.status': 'held'
+      }
+    },
+    { new: true }
+  );
+
+  return booking || Booking.findById(payment.booking);
+};
+
+/**
+ * Settle a held deposit: release, withhold part of or capture it.
+ * The deposit is claimed before the refund is issued so it cannot be settled twice, and is put
+ * back on hold if the gateway rejects the refund. Resolves to { booking, refund } where refund is
+ * the payment ledger entry (null when nothing was refunded).
+ */
+const settleDeposit = async (booking, { action, amount, reason, actor } = {}) => {
+  const status = DEPOSIT_ACTIONS[action];
+  if (!status) {
+    throw new ErrorResponse(`Deposit action must be one of: ${Object.keys(DEPOSIT_ACTIONS).join(', ')}`, 400);
+  }
+
+  const deposit = booking.deposit || {};
+  if (deposit.status !== 'held') {
+    throw new ErrorResponse(deposit.paid ? 'Deposit has already been settled' : 'Deposit has not been paid', 400);
+  }
+
+  if (!ACTION_BOOKING_STATUSES[action].includes(booking.status)) {
+    throw new ErrorResponse(`Cannot ${action} the deposit of a booking with status ${booking.status}`, 400);
+  }
+
+  if (action !== 'release' && !(reason && reason.trim())) {
+    throw new ErrorResponse('A reason is required to keep any of the deposit', 400);
+  }
+
+  const total = deposit.amount || 0;
+  const withheldAmount = action === 'release' ? 0 : action === 'capture' ? total : roundAmount(Number(amount));
+
+  if (action === 'withhold' && !(withheldAmount > 0 && withheldAmount < total)) {
+    throw new ErrorResponse(`Withheld amount must be more than 0 and less than the deposit of ${total}`, 400);
+  }
+
+  const refundAmount = roundAmount(total - withheldAmount);
+  const payment = refundAmount > 0 ? await Payment.findById(deposit.payment) : null;
+  if (refundAmount > 0 && !payment) {
+    throw new ErrorResponse('Deposit payment not found', 404);
+  }
+
+  // Claim the held deposit so concurrent requests cannot settle it twice
+  const claimed = await Booking.findOneAndUpdate(
+    { _id: booking._id, 'deposit.status': 'held' },
+    {
+      $set: {
+        'deposit.status': status,
+        'deposit.withheldAmount': withheldAmount,
+        'deposit.reason': reason,
+        'deposit.settledAt': new Date(),
+        'deposit.settledBy': actor
+      }
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new ErrorResponse('Deposit has already been settled', 400);
+  }
+
+  if (refundAmount <= 0) {
+    return { booking: claimed, refund: null };
+  }
+
+  let refund;
+  try {
+    ({ refund } = await issueRefund(payment, {
+      amount: refundAmount,
+      reason: action === 'release' ? 'Security deposit released' : 'Security deposit partially released',
+      initiatedBy: actor,
+      notes: { bookingId: booking._id.toString(), purpose: 'deposit' }
+    }));
+  } catch (error) {
+    // Put the deposit back on hold so it can be settled again
+    await Booking.updateOne(
+      { _id: booking._id },
+      {
+        $set: { 'deposit.status': 'held', 'deposit.withheldAmount': 0 },
+        $unset: { 'deposit.reason': 1, 'deposit.settledAt': 1, 'deposit.settledBy': 1 }
+      }
+    );
+    throw error;
+  }
+
+  claimed.deposit.refundedAmount = refund.amount;
+  await claimed.save();
+
+  return { booking: claimed, refund };
+};
+
+// Give back in full a deposit held for a booking that will not go ahead.
+// Failures are logged; the deposit stays held and can be released from PUT /:id/deposit.
+const releaseCancelledDeposit = async (booking) => {
+  if (!booking.deposit || booking.deposit.status !== 'held') return;
+
+  try {
+    const { booking: updated } = await settleDeposit(booking, { action: 'release', reason: 'Booking cancelled' });
+    booking.deposit = updated.deposit;
+  } catch (error) {
+    console.error(`Deposit release for booking ${booking._id} failed:`, error.message);
+  }
+};
+
+module.exports = {
+  DEPOSIT_ACTIONS,
+  markDepositPaid,
+  settleDeposit,
+  releaseCancelledDeposit
+};
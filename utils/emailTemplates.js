@@ -0,0 +1,88 @@
+const { renderTemplate } = require('./notifications');
+
+// Templates per language (templates/emails/<language>.js). Emails in a language without its own
+// version of a template fall back to English.
+const LANGUAGES = {
+  en: require('../templates/emails/en'),
+  es: require('../templates/emails/es')
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+const escapeHtml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// "es-MX", "ES" and "es_419" all select Spanish; anything we have no templates for gets the default
+const resolveLanguage = (language) => {
+  const primary = String(language || '').toLowerCase().split(/[-_]/)[0];
+  return LANGUAGES[primary] ? primary : DEFAULT_LANGUAGE;
+};
+
+const getLocale = (language) => LANGUAGES[resolveLanguage(language)].locale;
+
+// Keep {{#name}}...{{/name}} sections whose variable is set, drop the others, then fill in variables
+const render = (template, variables) => renderTemplate(
+  String(template || '').replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, name, section) =>
+    (variables[name] == null || variables[name] === '' || variables[name] === false ? '' : section)),
+  variables
+);
+
+// A phrase from the language's strings (e.g. 'hours' with { count: 3 }), falling back to English
+const translate = (key, variables = {}, language) => {
+  const strings = LANGUAGES[resolveLanguage(language)].strings || {};
+  return render(strings[key] || LANGUAGES[DEFAULT_LANGUAGE].strings[key] || key, variables);
+};
+
+/**
+ * Render an email template in a language, wrapped in that language's layout.
+ * Variables are escaped in the HTML version. appName (FROM_NAME) is always available.
+ * Returns { subject, message, html, text, language }: message is the plain text version in its
+ * layout (what sendEmail sends) and text the bare body, short enough for SMS and in-app messages.
+ */
+const renderEmail = (name, variables = {}, language) => {
+  const resolved = resolveLanguage(language);
+  const template = LANGUAGES[resolved].templates[name] || LANGUAGES[DEFAULT_LANGUAGE].templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const layout = LANGUAGES[resolved].layout || LANGUAGES[DEFAULT_LANGUAGE].layout;
+  const values = { appName: process.env.FROM_NAME || 'Bookings', ...variables };
+  const htmlValues = Object.fromEntries(Object.entries(values).map(([key, value]) =>
+    [key, value == null || value === '' ? value : escapeHtml(value)]));
+
+  const subject = render(template.subject, values);
+  const text = render(template.text, values).trim();
+
+  return {
+    subject,
+    message: render(layout.text, { ...values, subject, content: text }),
+    text,
+    html: render(layout.html, { ...htmlValues, subject: escapeHtml(subject), content: render(template.html, htmlValues) }),
+    language: resolved
+  };
+};
+
+// Email options for a user in their preferred language, with their name available as variables
+const buildEmail = (name, user, variables = {}) => {
+  const { subject, message, html } = renderEmail(name, {
+    firstName: user.firstName,
+    lastName: user.lastName,
+    ...variables
+  }, user.preferences && user.preferences.language);
+
+  return { email: user.email, subject, message, html };
+};
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  resolveLanguage,
+  getLocale,
+  translate,
+  renderEmail,
+  buildEmail
+};
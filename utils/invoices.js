@@ -0,0 +1,373 @@
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const Booking = require('../models/Booking');
+const Counter = require('../models/Counter');
+const User = require('../models/User');
+const sendEmail = require('./sendEmail');
+const { renderEmail } = require('./emailTemplates');
+
+const INVOICE_PREFIX = 'INV';
+// Financial years start in April unless FINANCIAL_YEAR_START_MONTH (1-12) says otherwise
+const DEFAULT_FY_START_MONTH = 4;
+// How long an inserted invoice may stay unnumbered before another caller numbers it
+const NUMBERING_GRACE_MS = 60 * 1000;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const getFyStartMonth = () => {
+  const month = parseInt(process.env.FINANCIAL_YEAR_START_MONTH, 10);
+  return month >= 1 && month <= 12 ? month : DEFAULT_FY_START_MONTH;
+};
+
+// Financial year label for a date, e.g. "2026-27" (or "2026" when the year starts in January)
+const getFinancialYear = (date = new Date()) => {
+  const startMonth = getFyStartMonth();
+  const year = date.getUTCMonth() + 1 >= startMonth ? date.getUTCFullYear() : date.getUTCFullYear() - 1;
+  return startMonth === 1 ? String(year) : `${year}-${String((year + 1) % 100).padStart(2, '0')}`;
+};
+
+const formatInvoiceNumber = (financialYear, sequence) =>
+  `${INVOICE_PREFIX}/${financialYear}/${String(sequence).padStart(6, '0')}`;
+
+const formatMoney = (amount, currency) => `${currency} ${Number(amount || 0).toFixed(2)}`;
+
+const formatDay = (date) => (date ? new Date(date).toISOString().split('T')[0] : '');
+
+// Line items for what a payment covered, built from the booking.
+// Charges, tax and discounts are kept apart so the totals can be worked out from them.
+const buildLineItems = (booking, payment) => {
+  const serviceName = (booking.service && booking.service.name) || 'Booking';
+
+  // Deposit payments only ever cover the deposit, which carries no tax
+  if (payment.purpose === 'deposit') {
+    return {
+      charges: [{
+        description: `Security deposit for ${serviceName} (refundable)`,
+        quantity: 1,
+        unitPrice: payment.amount,
+        amount: payment.amount
+      }],
+      taxes: [],
+      discounts: []
+    };
+  }
+
+  const pricing = booking.pricing || {};
+  // Charged per the unit the booking was priced in; older bookings were priced per hour
+  const quantity = Number(pricing.units) || Number(booking.duration) || 1;
+  const unit = pricing.unit && pricing.unit !== 'booking' ? ` x ${quantity} ${pricing.unit}${quantity === 1 ? '' : 's'}` : '';
+  const period = booking.endDate && formatDay(booking.endDate) !== formatDay(booking.bookingDate)
+    ? `${formatDay(booking.bookingDate)} ${booking.startTime} - ${formatDay(booking.endDate)} ${booking.endTime}`
+    : `${formatDay(booking.bookingDate)} ${booking.startTime}-${booking.endTime}`;
+  const tax = booking.tax || {};
+  // Tax-inclusive prices are shown net of the tax, which is listed separately
+  const baseAmount = tax.inclusive && tax.amount > 0 ? roundAmount(booking.totalAmount - tax.amount) : booking.totalAmount;
+
+  const charges = [{
+    description: `${serviceName} (${period})${unit}`,
+    quantity,
+    unitPrice: roundAmount(baseAmount / quantity),
+    amount: roundAmount(baseAmount)
+  }];
+
+  // Older bookings collected the deposit with the booking payment instead of separately
+  if (booking.deposit && booking.deposit.isRequired && booking.deposit.paid && !booking.deposit.payment &&
+    booking.deposit.amount > 0) {
+    charges.push({ description: 'Security deposit (refundable)', quantity: 1, unitPrice: booking.deposit.amount, amount: booking.deposit.amount });
+  }
+
+  if (booking.insurance && booking.insurance.isRequired && booking.insurance.amount > 0) {
+    charges.push({ description: 'Insurance', quantity: 1, unitPrice: booking.insurance.amount, amount: booking.insurance.amount });
+  }
+
+  const taxes = (tax.components || []).length > 0
+    ? tax.components
+      .filter(component => component.amount > 0)
+      .map(component => ({
+        description: `${component.name} @ ${roundAmount(component.rate * 100)}%`,
+        quantity: 1,
+        unitPrice: component.amount,
+        amount: component.amount
+      }))
+    : payment.taxAmount > 0
+      ? [{ description: 'Tax', quantity: 1, unitPrice: payment.taxAmount, amount: payment.taxAmount }]
+      : [];
+
+  const discounts = payment.discountAmount > 0
+    ? [{ description: 'Discount', quantity: 1, unitPrice: -payment.discountAmount, amount: -payment.discountAmount }]
+    : [];
+
+  return { charges, taxes, discounts };
+};
+
+const sumAmounts = (items) => roundAmount(items.reduce((total, item) => total + item.amount, 0));
+
+const buildInvoiceData = (payment, booking) => {
+  const { charges, taxes, discounts } = buildLineItems(booking, payment);
+  const subtotal = sumAmounts(charges);
+  const taxAmount = sumAmounts(taxes);
+  const discountAmount = -sumAmounts(discounts);
+  const user = booking.user || {};
+  const provider = booking.provider || {};
+
+  return {
+    payment: payment._id,
+    booking: booking._id,
+    user: payment.user,
+    provider: provider._id,
+    billTo: {
+      name: [user.firstName, user.lastName].filter(Boolean).join(' '),
+      email: user.email,
+      phone: user.phone
+    },
+    seller: {
+      name: [provider.firstName, provider.lastName].filter(Boolean).join(' ') || process.env.FROM_NAME,
+      email: provider.email
+    },
+    serviceName: booking.service && booking.service.name,
+    bookingDate: booking.bookingDate,
+    startTime: booking.startTime,
+    endTime: booking.endTime,
+    lineItems: [...charges, ...taxes, ...discounts],
+    subtotal,
+    taxAmount,
+    discountAmount,
+    total: roundAmount(subtotal + taxAmount - discountAmount),
+    amountPaid: payment.amount,
+    currency: payment.currency,
+    paymentMethod: payment.gateway || payment.paymentMethod,
+    transactionId: payment.gatewayPaymentId || payment.razorpayPaymentId,
+    issuedAt: new Date()
+  };
+};
+
+// Give an invoice the next number in its financial year, unless it already has one.
+// The invoice is claimed before a sequence value is taken, so losing a race never leaves a gap;
+// a claim older than the grace period is taken over (its caller is assumed to have died).
+const assignInvoiceNumber = async (invoice) => {
+  const now = new Date();
+  const claimed = await Invoice.findOneAndUpdate(
+    {
+      _id: invoice._id,
+      number: { $exists: false },
+      $or: [
+        { numberingAt: { $exists: false } },
+        { numberingAt: { $lt: new Date(now.getTime() - NUMBERING_GRACE_MS) } }
+      ]
+    },
+    { numberingAt: now },
+    { new: true }
+  );
+  if (!claimed) return Invoice.findById(invoice._id);
+
+  const financialYear = getFinancialYear(claimed.issuedAt);
+  const sequence = await Counter.next(`invoice:${financialYear}`);
+
+  const numbered = await Invoice.findOneAndUpdate(
+    { _id: invoice._id, number: { $exists: false }, numberingAt: now },
+    { number: formatInvoiceNumber(financialYear, sequence), financialYear, sequence, $unset: { numberingAt: 1 } },
+    { new: true }
+  );
+  return numbered || Invoice.findById(invoice._id);
+};
+
+/**
+ * Get the invoice for a completed payment, creating and numbering it on first use.
+ * Concurrent callers (verify endpoint and capture webhook) get the same invoice; only
+ * the caller that inserted it is told `created`, so it alone sends the email.
+ * Returns { invoice, created } or null when the payment has no booking.
+ */
+const getOrCreateInvoice = async (payment) => {
+  const existing = await Invoice.findOne({ payment: payment._id });
+  if (existing) {
+    // Number it here only if whoever inserted it seems to have died before doing so
+    const stalled = !existing.number && Date.now() - existing.createdAt.getTime() > NUMBERING_GRACE_MS;
+    return { invoice: stalled ? await assignInvoiceNumber(existing) : existing, created: false };
+  }
+
+  const booking = await Booking.findById(payment.booking)
+    .populate('service', 'name')
+    .populate('user', 'firstName lastName email phone')
+    .populate('provider', 'firstName lastName email');
+  if (!booking) return null;
+
+  let result;
+  try {
+    result = await Invoice.findOneAndUpdate(
+      { payment: payment._id },
+      { $setOnInsert: buildInvoiceData(payment, booking) },
+      { upsert: true, new: true, rawResult: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return { invoice: await Invoice.findOne({ payment: payment._id }), created: false };
+  }
+
+  const created = !result.lastErrorObject.updatedExisting;
+  const invoice = created ? await assignInvoiceNumber(result.value) : result.value;
+
+  if (created) {
+    await Payment.updateOne({ _id: payment._id }, { receiptUrl: `/api/payments/${payment._id}/invoice` });
+  }
+
+  return { invoice, created };
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const renderInvoiceHtml = (invoice) => {
+  const money = (amount) => escapeHtml(formatMoney(amount, invoice.currency));
+  const rows = invoice.lineItems.map(item => `
+        <tr>
+          <td>${escapeHtml(item.description)}</td>
+          <td class="num">${escapeHtml(item.quantity)}</td>
+          <td class="num">${money(item.unitPrice)}</td>
+          <td class="num">${money(item.amount)}</td>
+        </tr>`).join('');
+  const balance = roundAmount(invoice.total - invoice.amountPaid);
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Invoice ${escapeHtml(invoice.number)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #222; max-width: 720px; margin: 24px auto; }
+    table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+    th, td { padding: 8px; border-bottom: 1px solid #ddd; text-align: left; }
+    .num { text-align: right; }
+    .totals td { border: none; }
+  </style>
+</head>
+<body>
+  <h1>Invoice ${escapeHtml(invoice.number)}</h1>
+  <p>Issued: ${escapeHtml(formatDay(invoice.issuedAt))}</p>
+  <p>
+    <strong>Billed to:</strong> ${escapeHtml(invoice.billTo && invoice.billTo.name)}<br>
+    ${escapeHtml(invoice.billTo && invoice.billTo.email)}
+  </p>
+  <p><strong>Provider:</strong> ${escapeHtml(invoice.seller && invoice.seller.name)}</p>
+  <table>
+    <thead>
+      <tr><th>Description</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">Amount</th></tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+  <table class="totals">
+    <tr><td class="num">Subtotal</td><td class="num">${money(invoice.subtotal)}</td></tr>
+    <tr><td class="num">Tax</td><td class="num">${money(invoice.taxAmount)}</td></tr>
+    <tr><td class="num">Discount</td><td class="num">-${money(invoice.discountAmount)}</td></tr>
+    <tr><td class="num"><strong>Total</strong></td><td class="num"><strong>${money(invoice.total)}</strong></td></tr>
+    <tr><td class="num">Paid</td><td class="num">${money(invoice.amountPaid)}</td></tr>
+    ${balance > 0 ? `<tr><td class="num">Balance due</td><td class="num">${money(balance)}</td></tr>` : ''}
+  </table>
+  <p>Payment: ${escapeHtml(invoice.paymentMethod)} ${escapeHtml(invoice.transactionId)}</p>
+</body>
+</html>`;
+};
+
+// Render the invoice as a PDF, resolving to a Buffer
+const renderInvoicePdf = (invoice) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+  const money = (amount) => formatMoney(amount, invoice.currency);
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  doc.fontSize(20).text(`Invoice ${invoice.number}`);
+  doc.moveDown(0.5).fontSize(10).text(`Issued: ${formatDay(invoice.issuedAt)}`);
+  doc.moveDown().text(`Billed to: ${(invoice.billTo && invoice.billTo.name) || ''}`);
+  if (invoice.billTo && invoice.billTo.email) doc.text(invoice.billTo.email);
+  doc.text(`Provider: ${(invoice.seller && invoice.seller.name) || ''}`);
+  doc.moveDown();
+
+  const columns = [50, 300, 360, 460];
+  const row = (cells, options = {}) => {
+    const y = doc.y;
+    doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica');
+    cells.forEach((cell, index) => {
+      doc.text(String(cell), columns[index], y, {
+        width: index === 0 ? 240 : 90,
+        align: index === 0 ? 'left' : 'right'
+      });
+    });
+    doc.moveDown(0.5);
+  };
+
+  row(['Description', 'Qty', 'Unit price', 'Amount'], { bold: true });
+  invoice.lineItems.forEach(item => row([item.description, item.quantity, money(item.unitPrice), money(item.amount)]));
+
+  doc.moveDown();
+  row(['', '', 'Subtotal', money(invoice.subtotal)]);
+  row(['', '', 'Tax', money(invoice.taxAmount)]);
+  row(['', '', 'Discount', `-${money(invoice.discountAmount)}`]);
+  row(['', '', 'Total', money(invoice.total)], { bold: true });
+  row(['', '', 'Paid', money(invoice.amountPaid)]);
+
+  doc.moveDown().font('Helvetica')
+    .text(`Payment: ${invoice.paymentMethod || ''} ${invoice.transactionId || ''}`, columns[0]);
+
+  doc.end();
+});
+
+// Email the customer a receipt in their language with the invoice PDF attached
+const sendInvoiceEmail = async (invoice) => {
+  if (!invoice.billTo || !invoice.billTo.email) return;
+
+  const pdf = await renderInvoicePdf(invoice);
+  const customer = await User.findById(invoice.user).select('preferences');
+  const { subject, message, html } = renderEmail('payment_receipt', {
+    name: invoice.billTo.name,
+    invoiceNumber: invoice.number,
+    amountPaid: formatMoney(invoice.amountPaid, invoice.currency)
+  }, customer && customer.preferences && customer.preferences.language);
+
+  await sendEmail({
+    email: invoice.billTo.email,
+    subject,
+    message,
+    html,
+    attachments: [{
+      filename: `${invoice.number.replace(/\//g, '-')}.pdf`,
+      content: pdf,
+      contentType: 'application/pdf'
+    }]
+  });
+
+  await Invoice.updateOne({ _id: invoice._id }, { emailedAt: new Date() });
+};
+
+/**
+ * Issue the invoice for a captured payment and email it the first time.
+ * Never throws: a failure here must not undo the payment, and the invoice
+ * is created on demand by the download endpoint anyway.
+ */
+const issueInvoiceForPayment = async (payment) => {
+  try {
+    const result = await getOrCreateInvoice(payment);
+    if (result && result.created) {
+      await sendInvoiceEmail(result.invoice);
+    }
+    return result && result.invoice;
+  } catch (error) {
+    console.error(`Invoice for payment ${payment._id} failed:`, error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  getFinancialYear,
+  formatInvoiceNumber,
+  getOrCreateInvoice,
+  issueInvoiceForPayment,
+  renderInvoiceHtml,
+  renderInvoicePdf
+};
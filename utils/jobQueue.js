@@ -0,0 +1,181 @@
+const os = require('os');
+const Job = require('../models/Job');
+
+// Jobs one worker runs at once across all types (JOB_WORKER_CONCURRENCY)
+const DEFAULT_CONCURRENCY = 2;
+// How often an idle worker looks for due jobs
+const DEFAULT_POLL_MS = 2000;
+// Failures kept on a job for inspection
+const MAX_FAILURES_KEPT = 10;
+
+// type -> { handler, concurrency, maxAttempts, sensitive }
+const definitions = new Map();
+
+// Back off exponentially between attempts (30s, 1m, 2m, ...), capped at an hour
+const retryDelaySeconds = (attempts) => Math.min(30 * 2 ** Math.max(attempts - 1, 0), 60 * 60);
+
+const getWorkerConcurrency = () => {
+  const concurrency = parseInt(process.env.JOB_WORKER_CONCURRENCY, 10);
+  return concurrency > 0 ? concurrency : DEFAULT_CONCURRENCY;
+};
+
+/**
+ * Register the handler for a job type. handler(payload, job) may resolve to a result, which is
+ * stored on the job; throwing fails the attempt. `concurrency` limits how many jobs of the type
+ * a worker runs at once, `maxAttempts` how often a job is tried before it goes to the dead letter.
+ * `sensitive` payloads (e.g. emails with sign-in links) are cleared once the job completes and
+ * are not shown to admins.
+ */
+const defineJob = (type, handler, { concurrency = Infinity, maxAttempts, sensitive = false } = {}) => {
+  definitions.set(type, { handler, concurrency, maxAttempts, sensitive });
+};
+
+const getJobTypes = () => [...definitions.keys()];
+
+const isSensitiveJob = (type) => Boolean(definitions.get(type) && definitions.get(type).sensitive);
+
+// Queue a job of a registered type (see Job.enqueue for the options)
+const enqueueJob = (type, payload = {}, options = {}) => {
+  const definition = definitions.get(type);
+  if (!definition) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+  return Job.enqueue(type, payload, { maxAttempts: definition.maxAttempts, ...options });
+};
+
+// Queue many jobs of a registered type at once (see Job.enqueueMany)
+const enqueueJobs = (type, jobs) => {
+  const definition = definitions.get(type);
+  if (!definition) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+  return Job.enqueueMany(type, jobs.map(job => ({ maxAttempts: definition.maxAttempts, ...job })));
+};
+
+// Run one claimed job and record the outcome: completed, failed (retried later) or dead
+const runJob = async (job) => {
+  const definition = definitions.get(job.type);
+
+  try {
+    if (!definition) {
+      throw new Error(`No handler registered for job type ${job.type}`);
+    }
+    job.result = await definition.handler(job.payload || {}, job);
+    job.status = 'completed';
+    job.completedAt = new Date();
+    job.lastError = undefined;
+    if (definition.sensitive) job.payload = {};
+  } catch (error) {
+    job.lastError = error.message;
+    job.failures = [{ error: error.message, attempt: job.attempts }, ...job.failures].slice(0, MAX_FAILURES_KEPT);
+
+    if (job.hasAttemptsLeft()) {
+      job.status = 'failed';
+      job.runAt = new Date(Date.now() + retryDelaySeconds(job.attempts) * 1000);
+    } else {
+      job.status = 'dead';
+      console.error(`Job ${job.type} ${job._id} gave up after ${job.attempts} attempts:`, error.message);
+    }
+  }
+
+  job.lockedUntil = undefined;
+  job.lockedBy = undefined;
+  await job.save();
+  return job;
+};
+
+/**
+ * Create a worker that polls the queue and runs due jobs, at most `concurrency` at a time.
+ * It runs inside the API server (server.js) or on its own (worker.js); several workers can share
+ * one queue because jobs are claimed atomically. stop() waits for the jobs in flight.
+ */
+const createWorker = ({ concurrency = getWorkerConcurrency(), pollMs = DEFAULT_POLL_MS, id } = {}) => {
+  const workerId = id || `${os.hostname()}:${process.pid}`;
+  const runningByType = new Map();
+  const inFlight = new Set();
+  let timer = null;
+  let polling = false;
+  let stopped = true;
+
+  // Types this worker can take another job of right now
+  const availableTypes = () => [...definitions.entries()]
+    .filter(([type, definition]) => (runningByType.get(type) || 0) < definition.concurrency)
+    .map(([type]) => type);
+
+  const execute = async (job) => {
+    runningByType.set(job.type, (runningByType.get(job.type) || 0) + 1);
+    try {
+      await runJob(job);
+    } catch (error) {
+      console.error(`Job ${job._id} could not be saved:`, error.message);
+    } finally {
+      runningByType.set(job.type, runningByType.get(job.type) - 1);
+    }
+  };
+
+  const schedule = (delay) => {
+    if (stopped || polling || timer) return;
+    timer = setTimeout(poll, delay);
+  };
+
+  const poll = async () => {
+    timer = null;
+    polling = true;
+
+    try {
+      while (!stopped && inFlight.size < concurrency) {
+        const types = availableTypes();
+        if (types.length === 0) break;
+
+        const job = await Job.claimNext(types, workerId);
+        if (!job) break;
+
+        const run = execute(job).finally(() => {
+          inFlight.delete(run);
+          schedule(0);
+        });
+        inFlight.add(run);
+      }
+    } catch (error) {
+      console.error('Job worker could not poll the queue:', error.message);
+    }
+
+    polling = false;
+    schedule(pollMs);
+  };
+
+  return {
+    id: workerId,
+    start() {
+      if (!stopped) return;
+      stopped = false;
+      schedule(0);
+      console.log(`Job worker ${workerId} started (concurrency ${concurrency})`);
+    },
+    async stop() {
+      stopped = true;
+      clearTimeout(timer);
+      timer = null;
+      await Promise.allSettled([...inFlight]);
+    },
+    getStatus() {
+      return {
+        id: workerId,
+        running: !stopped,
+        concurrency,
+        inFlight: inFlight.size,
+        byType: Object.fromEntries(runningByType)
+      };
+    }
+  };
+};
+
+module.exports = {
+  defineJob,
+  getJobTypes,
+  isSensitiveJob,
+  enqueueJob,
+  enqueueJobs,
+  runJob,
+  createWorker
+};
@@ -0,0 +1,23 @@
+const sendEmail = require('./sendEmail');
+const { defineJob, enqueueJob } = require('./jobQueue');
+
+// Job types run by the job worker. Anything that queues jobs requires this module,
+// so the types are registered wherever jobs are enqueued or processed.
+// Feature modules may register their own types; they are required here so the worker knows them.
+require('./broadcasts');
+
+// payload: the sendEmail options ({ email, subject, message, html }). Verification and password
+// reset emails carry live links, so the payload is sensitive.
+defineJob('send_email', (payload) => sendEmail(payload), { concurrency: 5, maxAttempts: 5, sensitive: true });
+
+// Failed payment webhook events whose back-off has elapsed.
+// Required on use: webhook handling queues emails through this module.
+defineJob('retry_webhook_events', () => require('./webhooks').retryFailedWebhookEvents(), { concurrency: 1, maxAttempts: 1 });
+
+// Queue an email instead of sending it during the request; failures are retried with back-off
+const queueEmail = (options, jobOptions = {}) => enqueueJob('send_email', options, jobOptions);
+
+module.exports = {
+  enqueueJob,
+  queueEmail
+};
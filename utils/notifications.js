@@ -0,0 +1,103 @@
+const Notification = require('../models/Notification');
+const sendEmail = require('./sendEmail');
+
+// Channels a user can opt in or out of in preferences.notifications
+const OPT_OUT_CHANNELS = ['email', 'sms', 'push'];
+// The in-app inbox is always on
+const CHANNELS = [...OPT_OUT_CHANNELS, 'in_app'];
+
+// SMS and push go through NOTIFICATION_WEBHOOK_URL, a relay that talks to the actual providers.
+// It receives { channel, to: { userId, phone }, subject, message } as JSON.
+const postToRelay = async (channel, user, { subject, message }) => {
+  const url = process.env.NOTIFICATION_WEBHOOK_URL;
+  if (!url) return 'skipped';
+
+  if (channel === 'sms' && !user.phone) return 'skipped';
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(process.env.NOTIFICATION_WEBHOOK_SECRET && { Authorization: `Bearer ${process.env.NOTIFICATION_WEBHOOK_SECRET}` })
+    },
+    body: JSON.stringify({
+      channel,
+      to: { userId: user._id, phone: user.phone },
+      subject,
+      message
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Notification relay responded with ${response.status}`);
+  }
+  return 'sent';
+};
+
+// Each sender resolves to 'sent' or 'skipped' (channel not available for this user) and throws on failure
+const SENDERS = {
+  email: async (user, { subject, message, html }) => {
+    if (!user.email) return 'skipped';
+    await sendEmail({ email: user.email, subject, message, html });
+    return 'sent';
+  },
+  sms: (user, content) => postToRelay('sms', user, content),
+  push: (user, content) => postToRelay('push', user, content),
+  in_app: async (user, { subject, message, type, broadcast }) => {
+    await Notification.create({ user: user._id, type, title: subject, message, broadcast });
+    return 'sent';
+  }
+};
+
+// Whether the user has not turned a channel off (every channel is on when there are no preferences yet)
+const isChannelEnabled = (user, channel) => {
+  const preferences = (user.preferences && user.preferences.notifications) || {};
+  return !OPT_OUT_CHANNELS.includes(channel) || preferences[channel] !== false;
+};
+
+const getEnabledChannels = (user) => CHANNELS.filter(channel => isChannelEnabled(user, channel));
+
+// Send on one channel regardless of preferences; resolves to 'sent' or 'skipped' and throws on failure
+const sendToChannel = (channel, user, content) => {
+  const sender = SENDERS[channel];
+  if (!sender) {
+    throw new Error(`Unknown notification channel: ${channel}`);
+  }
+  return sender(user, content);
+};
+
+// Fill {{name}} placeholders from `variables`; names without a value become empty
+const renderTemplate = (template, variables = {}) => String(template || '')
+  .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (variables[name] == null ? '' : String(variables[name])));
+
+/**
+ * Send one message ({ subject, message, html, type }) to a user on every channel they have enabled.
+ * Failures on one channel do not stop the others.
+ * Resolves to { delivered, channels: { email: 'sent' | 'skipped' | 'failed', ... } }.
+ */
+const notifyUser = async (user, content) => {
+  const channels = {};
+
+  for (const channel of getEnabledChannels(user)) {
+    try {
+      channels[channel] = await sendToChannel(channel, user, content);
+    } catch (error) {
+      console.error(`${channel} notification to user ${user._id} failed:`, error.message);
+      channels[channel] = 'failed';
+    }
+  }
+
+  return {
+    delivered: Object.values(channels).includes('sent'),
+    channels
+  };
+};
+
+module.exports = {
+  CHANNELS,
+  isChannelEnabled,
+  getEnabledChannels,
+  sendToChannel,
+  renderTemplate,
+  notifyUser
+};
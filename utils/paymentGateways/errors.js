@@ -0,0 +1,12 @@
+const ErrorResponse = require('../errorResponse');
+
+// Raised by gateway adapters so the error handler can tell provider failures apart
+class PaymentGatewayError extends ErrorResponse {
+    constructor(message, statusCode = 502, gateway = null) {
+        super(message, statusCode);
+        this.name = 'PaymentGatewayError';
+        this.gateway = gateway;
+    }
+}
+
+module.exports = PaymentGatewayError;
@@ -0,0 +1,41 @@
+const razorpay = require('./razorpay');
+const mock = require('./mock');
+const PaymentGatewayError = require('./errors');
+
+/**
+ * Payment gateway adapters. Each one implements:
+ *   createOrder({ amount, currency, receipt, notes }) -> { id, amount, currency, receipt }
+ *   verify({ orderId, paymentId, signature })        -> boolean
+ *   refund(paymentId, { amount, notes })             -> { id, paymentId, amount, status }
+ *   parseWebhook(body, headers)                      -> { id, type, payment, refund }
+ * and declares `processingFeeRate`, the share of each payment the gateway keeps.
+ * Amounts are always in major units (rupees, dollars); adapters convert as needed.
+ */
+const gateways = {
+  razorpay,
+  mock
+};
+
+// PAYMENT_GATEWAY picks the gateway for new orders; existing payments keep the one they were made with
+const getGateway = (name = process.env.PAYMENT_GATEWAY || 'razorpay') => {
+  const gateway = gateways[name];
+  if (!gateway) {
+    throw new PaymentGatewayError(`Unknown payment gateway: ${name}`, 500, name);
+  }
+  return gateway;
+};
+
+// Fee the gateway keeps from each payment, as a fraction of the amount. Adapters declare
+// `processingFeeRate`; PAYMENT_PROCESSING_FEE_RATE overrides it for every gateway.
+const getProcessingFee = (gateway, amount) => {
+  const override = parseFloat(process.env.PAYMENT_PROCESSING_FEE_RATE);
+  const rate = Number.isNaN(override) ? gateway.processingFeeRate || 0 : override;
+  return Math.round(amount * rate * 100) / 100;
+};
+
+module.exports = {
+  GATEWAYS: Object.keys(gateways),
+  getGateway,
+  getProcessingFee,
+  PaymentGatewayError
+};
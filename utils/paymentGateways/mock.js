@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const PaymentGatewayError = require('./errors');
+
+// Offline gateway for tests and staging: no network, deterministic signatures.
+// There is no default secret, so signatures cannot be forged where the mock was never set up.
+const getSecret = () => {
+  if (!process.env.MOCK_GATEWAY_SECRET) {
+    throw new PaymentGatewayError('Mock gateway is not configured: set MOCK_GATEWAY_SECRET', 500, 'mock');
+  }
+  return process.env.MOCK_GATEWAY_SECRET;
+};
+
+const randomId = (prefix) => `${prefix}_mock_${crypto.randomBytes(8).toString('hex')}`;
+
+const sign = (payload) => crypto.createHmac('sha256', getSecret()).update(payload).digest('hex');
+
+module.exports = {
+  name: 'mock',
+
+  processingFeeRate: 0,
+
+  publicKey: 'mock_key',
+
+  createOrder: async ({ amount, currency, receipt }) => ({
+    id: randomId('order'),
+    amount,
+    currency,
+    receipt
+  }),
+
+  verify: ({ orderId, paymentId, signature }) => sign(`${orderId}|${paymentId}`) === signature,
+
+  refund: async (paymentId, { amount } = {}) => ({
+    id: randomId('rfnd'),
+    paymentId,
+    amount,
+    status: 'processed'
+  }),
+
+  // Mock webhooks use the same body shape as Razorpay, signed with MOCK_GATEWAY_SECRET
+  parseWebhook: (body, headers) => {
+    if (headers['x-mock-signature'] !== sign(JSON.stringify(body))) {
+      throw new PaymentGatewayError('Invalid webhook signature', 400, 'mock');
+    }
+
+    const payment = body.payload?.payment?.entity;
+    const refund = body.payload?.refund?.entity;
+
+    return {
+      id: body.id,
+      type: body.event,
+      payment: payment && {
+        id: payment.id,
+        orderId: payment.order_id,
+        amount: payment.amount,
+        currency: payment.currency,
+        method: payment.method || 'mock',
+        errorCode: payment.error_code,
+        errorDescription: payment.error_description
+      },
+      refund: refund && {
+        id: refund.id,
+        paymentId: refund.payment_id,
+        amount: refund.amount,
+        status: refund.status || 'processed'
+      }
+    };
+  },
+
+  // Stand-in for the hosted checkout: returns what the client would send to verify
+  simulatePayment: (orderId) => {
+    const paymentId = randomId('pay');
+    return { orderId, paymentId, signature: sign(`${orderId}|${paymentId}`) };
+  },
+
+  signWebhook: (body) => sign(JSON.stringify(body))
+};
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const Razorpay = require('razorpay');
+const PaymentGatewayError = require('./errors');
+
+const toMinorUnits = (amount) => Math.round(amount * 100);
+const toMajorUnits = (amount) => amount / 100;
+
+let client;
+
+// Created on first use so the server can boot with another gateway and no Razorpay keys
+const getClient = () => {
+  if (!client) {
+    if (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) {
+      throw new PaymentGatewayError('Razorpay is not configured', 500, 'razorpay');
+    }
+    client = new Razorpay({
+      key_id: process.env.RAZORPAY_KEY_ID,
+      key_secret: process.env.RAZORPAY_KEY_SECRET,
+    });
+  }
+  return client;
+};
+
+const hmac = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+// Razorpay SDK errors carry the useful message in error.error.description
+const wrap = async (action, fn) => {
+  try {
+    return await fn();
+  } catch (error) {
+    if (error instanceof PaymentGatewayError) throw error;
+    const message = error.error?.description || error.message;
+    throw new PaymentGatewayError(`Razorpay ${action} failed: ${message}`, error.statusCode === 400 ? 400 : 502, 'razorpay');
+  }
+};
+
+const normalizePayment = (entity) => entity && {
+  id: entity.id,
+  orderId: entity.order_id,
+  amount: toMajorUnits(entity.amount),
+  currency: entity.currency,
+  method: entity.method,
+  errorCode: entity.error_code,
+  errorDescription: entity.error_description
+};
+
+const normalizeRefund = (entity) => entity && {
+  id: entity.id,
+  paymentId: entity.payment_id,
+  amount: toMajorUnits(entity.amount),
+  status: entity.status
+};
+
+module.exports = {
+  name: 'razorpay',
+
+  // Standard domestic pricing
+  processingFeeRate: 0.02,
+
+  get publicKey() {
+    return process.env.RAZORPAY_KEY_ID;
+  },
+
+  getClient,
+
+  createOrder: ({ amount, currency, receipt, notes }) => wrap('order creation', async () => {
+    const order = await getClient().orders.create({
+      amount: toMinorUnits(amount),
+      currency,
+      receipt,
+      notes
+    });
+
+    return {
+      id: order.id,
+      amount: toMajorUnits(order.amount),
+      currency: order.currency,
+      receipt: order.receipt
+    };
+  }),
+
+  verify: ({ orderId, paymentId, signature }) => {
+    if (!process.env.RAZORPAY_KEY_SECRET) {
+      throw new PaymentGatewayError('Payment configuration error', 500, 'razorpay');
+    }
+    return hmac(process.env.RAZORPAY_KEY_SECRET, `${orderId}|${paymentId}`) === signature;
+  },
+
+  refund: (paymentId, { amount, notes } = {}) => wrap('refund', async () => {
+    const refund = await getClient().payments.refund(paymentId, {
+      amount: amount ? toMinorUnits(amount) : undefined,
+      notes
+    });
+    return normalizeRefund(refund);
+  }),
+
+  // Check the signature and turn a webhook body into { id, type, payment, refund }
+  parseWebhook: (body, headers) => {
+    const signature = headers['x-razorpay-signature'];
+
+    if (!signature) {
+      throw new PaymentGatewayError('Missing webhook signature', 400, 'razorpay');
+    }
+
+    if (!process.env.RAZORPAY_WEBHOOK_SECRET ||
+      hmac(process.env.RAZORPAY_WEBHOOK_SECRET, JSON.stringify(body)) !== signature) {
+      throw new PaymentGatewayError('Invalid webhook signature', 400, 'razorpay');
+    }
+
+    return {
+      id: headers['x-razorpay-event-id'],
+      type: body.event,
+      payment: normalizePayment(body.payload?.payment?.entity),
+      refund: normalizeRefund(body.payload?.refund?.entity)
+    };
+  }
+};
@@ -0,0 +1,330 @@
+const Booking = require('../models/Booking');
+const { DAY_NAMES, timeToMinutes, toUTCDate, getSpan, getSlotCapacity } = require('./slots');
+const { convertAmount } = require('./currency');
+const { addMonths } = require('./recurrence');
+const { zonedTimeToUtc } = require('./timezone');
+
+// Pricing rules adjust a service's base price (price.amount per unit, see calculatePrice)
+// for when a booking happens:
+//   day_of_week  - bookings on any of `daysOfWeek` (e.g. weekends)
+//   date_range   - bookings between `startDate` and `endDate`, inclusive (seasons, holidays)
+//   time_of_day  - the part of a booking inside `startTime`-`endTime` (peak hours; may wrap midnight)
+//   occupancy    - slots where at least `minOccupancy` (0-1) of the capacity is already taken
+//   last_minute  - bookings starting within `withinHours` of now
+// `adjustmentType` percent changes the base by `value`%, flat changes the unit price by `value`.
+// Negative values are discounts. Every matching rule applies, each against the base amount.
+const RULE_TYPES = ['day_of_week', 'date_range', 'time_of_day', 'occupancy', 'last_minute'];
+const ADJUSTMENT_TYPES = ['percent', 'flat'];
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d$/;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Check the fields a rule needs for its type. Returns null when valid, or what is wrong.
+const getPricingRuleError = (rule) => {
+  if (!rule || !RULE_TYPES.includes(rule.type)) {
+    return `Pricing rule type must be one of ${RULE_TYPES.join(', ')}`;
+  }
+  if (!ADJUSTMENT_TYPES.includes(rule.adjustmentType)) {
+    return `Pricing rule adjustmentType must be one of ${ADJUSTMENT_TYPES.join(', ')}`;
+  }
+  if (!Number.isFinite(Number(rule.value))) {
+    return 'Pricing rule value must be a number';
+  }
+  if (rule.adjustmentType === 'percent' && Number(rule.value) < -100) {
+    return 'Pricing rule cannot take more than 100% off';
+  }
+
+  switch (rule.type) {
+    case 'day_of_week':
+      if (!Array.isArray(rule.daysOfWeek) || rule.daysOfWeek.length === 0 ||
+        rule.daysOfWeek.some(day => !DAY_NAMES.includes(day))) {
+        return 'day_of_week rules need daysOfWeek (e.g. ["saturday", "sunday"])';
+      }
+      break;
+    case 'date_range': {
+      const start = toUTCDate(rule.startDate);
+      const end = toUTCDate(rule.endDate);
+      if (!start || !end || end < start) {
+        return 'date_range rules need a startDate on or before the endDate';
+      }
+      break;
+    }
+    case 'time_of_day':
+      if (!TIME_PATTERN.test(rule.startTime || '') || !TIME_PATTERN.test(rule.endTime || '') ||
+        rule.startTime === rule.endTime) {
+        return 'time_of_day rules need different startTime and endTime in HH:MM format';
+      }
+      break;
+    case 'occupancy':
+      if (!(Number(rule.minOccupancy) > 0 && Number(rule.minOccupancy) <= 1)) {
+        return 'occupancy rules need a minOccupancy between 0 and 1';
+      }
+      break;
+    case 'last_minute':
+      if (!(Number(rule.withinHours) > 0)) {
+        return 'last_minute rules need a positive withinHours';
+      }
+      break;
+    default:
+      break;
+  }
+
+  return null;
+};
+
+// How price.type turns a booking's span into units
+const PERIOD_UNITS = { weekly: 'week', monthly: 'month' };
+const MS_PER_HOUR = 60 * 60 * 1000;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+
+// Nights for hotels, calendar days for everything else, unless the service says otherwise
+const getDailyBasis = (service) =>
+  service.price?.dailyBasis || (service.category === 'hotel' ? 'night' : 'day');
+
+// Whole days between the start and end of a span, rounded up (at least one).
+// A Sat 10:00 to Sat 10:00 rental is 7 days, not the 8 calendar days it touches.
+const getElapsedDays = (span) => Math.max(Math.ceil((span.to - span.from) / MS_PER_DAY), 1);
+
+// The same time of day `months` calendar months later (see addMonths for shorter months)
+const addMonthsAt = (date, months) => {
+  const day = toUTCDate(date);
+  return new Date(addMonths(day, months).getTime() + (date - day));
+};
+
+// Calendar months between the start and end of a span: whole months, plus the days started
+// in the month after them as a share of that month's length. Dec 1 to Jan 1 is exactly 1.
+const getElapsedMonths = (span) => {
+  let months = 0;
+  while (addMonthsAt(span.from, months + 1) <= span.to) months++;
+
+  const monthStart = addMonthsAt(span.from, months);
+  const monthDays = Math.round((addMonthsAt(span.from, months + 1) - monthStart) / MS_PER_DAY);
+  const extraDays = Math.ceil((span.to - monthStart) / MS_PER_DAY);
+
+  return months + (months === 0 ? Math.max(extraDays, 1) : extraDays) / monthDays;
+};
+
+// Days charged for daily prices: every night stayed, or every 24 hours started for multi-day
+// spans. A booking within a single day always counts as one.
+const getChargedDays = (span, basis) => {
+  const days = basis === 'night'
+    ? span.segments.slice(0, Math.max(span.nights, 1)).map(segment => segment.day)
+    : span.segments.slice(0, getElapsedDays(span)).map(segment => segment.day);
+
+  return days.length > 0 ? days : [span.first];
+};
+
+// Units charged for a span under the service's price.type, before any minimum term.
+// Weeks are counted from elapsed days and months from calendar months.
+const getUnits = (service, priceType, hours, days, span) => {
+  switch (priceType) {
+    case 'hourly':
+      return hours;
+    case 'daily':
+      return days.length;
+    case 'weekly':
+    case 'monthly': {
+      const periods = priceType === 'weekly' ? getElapsedDays(span) / 7 : getElapsedMonths(span);
+      return service.price?.billing === 'prorated' ? periods : Math.ceil(periods);
+    }
+    default:
+      return 1;
+  }
+};
+
+const getUnitLabel = (service, priceType) => {
+  if (priceType === 'hourly') return 'hour';
+  if (priceType === 'daily') return getDailyBasis(service);
+  return PERIOD_UNITS[priceType] || 'booking';
+};
+
+// Minutes of [start, end) that fall inside a rule's daily window, which may wrap past midnight
+const minutesInWindow = (start, end, windowStart, windowEnd) => {
+  const windows = windowEnd > windowStart
+    ? [[windowStart, windowEnd]]
+    : [[0, windowEnd], [windowStart, 24 * 60]];
+
+  return windows.reduce((total, [from, to]) => total + Math.max(Math.min(end, to) - Math.max(start, from), 0), 0);
+};
+
+// Share of the booking (0-1) a rule applies to; 0 means it does not match.
+// Day-based rules cover the share of charged days they match, time_of_day the share of minutes.
+const getRuleCoverage = (rule, context) => {
+  const { days, segments, occupancy, hoursUntilStart } = context;
+  const shareOfDays = (matches) => days.filter(matches).length / days.length;
+
+  switch (rule.type) {
+    case 'day_of_week':
+      return shareOfDays(day => (rule.daysOfWeek || []).includes(DAY_NAMES[day.getUTCDay()]));
+    case 'date_range': {
+      const from = toUTCDate(rule.startDate);
+      const to = toUTCDate(rule.endDate);
+      return from && to ? shareOfDays(day => day >= from && day <= to) : 0;
+    }
+    case 'time_of_day': {
+      const windowStart = timeToMinutes(rule.startTime);
+      const windowEnd = timeToMinutes(rule.endTime);
+      const total = segments.reduce((sum, segment) => sum + segment.end - segment.start, 0);
+      const inside = segments.reduce(
+        (sum, segment) => sum + minutesInWindow(segment.start, segment.end, windowStart, windowEnd),
+        0
+      );
+      return total > 0 ? inside / total : 0;
+    }
+    case 'occupancy':
+      return occupancy >= rule.minOccupancy ? 1 : 0;
+    case 'last_minute':
+      return hoursUntilStart >= 0 && hoursUntilStart <= rule.withinHours ? 1 : 0;
+    default:
+      return 0;
+  }
+};
+
+/**
+ * Price a booking of a service from its price, price.type and pricing rules.
+ * fixed prices are charged once, hourly per hour, daily per night or 24 hours started, and
+ * weekly per 7 elapsed days and monthly per calendar month (whole periods, or prorated when
+ * price.billing says so).
+ * price.minimumUnits sets a minimum term. `occupancy` is the share of the slot's capacity
+ * already taken (0-1).
+ * Returns { currency, priceType, unit, unitPrice, units, hours, days, baseAmount, adjustments, totalAmount }.
+ */
+const calculatePrice = (service, { bookingDate, endDate, startTime, endTime, occupancy = 0, now = new Date() }) => {
+  const span = getSpan({ bookingDate, endDate, startTime, endTime });
+  const priceType = service.price?.type || 'fixed';
+  const hours = Math.round((span.to - span.from) / MS_PER_HOUR * 100) / 100;
+  const days = getChargedDays(span, getDailyBasis(service));
+
+  const unitPrice = (service && service.price && typeof service.price === 'object')
+    ? Number(service.price.amount || 0)
+    : Number(service?.price || 0);
+  const minimumUnits = priceType === 'fixed' ? 0 : Number(service.price?.minimumUnits) || 0;
+  const units = Math.max(getUnits(service, priceType, hours, days, span), minimumUnits);
+  const baseAmount = roundAmount(unitPrice * units);
+
+  const context = {
+    days,
+    segments: span.segments,
+    occupancy,
+    // Times are wall-clock in the service's time zone, as for the booking itself
+    hoursUntilStart: (zonedTimeToUtc(span.first, timeToMinutes(startTime), service.timeZone).getTime() - now.getTime()) / MS_PER_HOUR
+  };
+
+  const adjustments = [];
+  (service.pricingRules || [])
+    .filter(rule => rule.isActive !== false)
+    .forEach(rule => {
+      const coverage = getRuleCoverage(rule, context);
+      if (coverage <= 0) return;
+
+      const amount = rule.adjustmentType === 'percent'
+        ? baseAmount * rule.value / 100 * coverage
+        : rule.value * units * coverage;
+
+      adjustments.push({
+        rule: rule._id,
+        name: rule.name,
+        type: rule.type,
+        amount: roundAmount(amount)
+      });
+    });
+
+  const totalAmount = Math.max(
+    roundAmount(adjustments.reduce((total, adjustment) => total + adjustment.amount, baseAmount)),
+    0
+  );
+
+  return {
+    currency: service.price?.currency,
+    priceType,
+    unit: getUnitLabel(service, priceType),
+    unitPrice,
+    units: Math.round(units * 10000) / 10000,
+    hours,
+    days: priceType === 'daily' ? days.length : PERIOD_UNITS[priceType] ? getElapsedDays(span) : undefined,
+    baseAmount,
+    adjustments,
+    totalAmount
+  };
+};
+
+// Insurance and deposit a booking of the service carries; always taken from the service.
+// `rate` converts them from the service's currency into the booking's.
+const getServiceCharges = (service, rate = 1) => ({
+  insurance: {
+    isRequired: Boolean(service.insurance?.isRequired),
+    amount: service.insurance?.isRequired ? convertAmount(service.insurance.amount, rate) : 0
+  },
+  deposit: {
+    isRequired: Boolean(service.deposit?.isRequired),
+    amount: service.deposit?.isRequired ? convertAmount(service.deposit.amount, rate) : 0,
+    paid: false
+  }
+});
+
+// Express a price worked out in the service's currency in another one.
+// The total is rebuilt from the converted parts so the breakdown still adds up.
+const convertPrice = (price, exchangeRate) => {
+  if (!exchangeRate || exchangeRate.rate === 1) return price;
+
+  const baseAmount = convertAmount(price.baseAmount, exchangeRate.rate);
+  const adjustments = price.adjustments.map(adjustment => ({
+    ...adjustment,
+    amount: convertAmount(adjustment.amount, exchangeRate.rate)
+  }));
+
+  return {
+    ...price,
+    currency: exchangeRate.to,
+    unitPrice: convertAmount(price.unitPrice, exchangeRate.rate),
+    baseAmount,
+    adjustments,
+    totalAmount: Math.max(
+      roundAmount(adjustments.reduce((total, adjustment) => total + adjustment.amount, baseAmount)),
+      0
+    )
+  };
+};
+
+/**
+ * Quote a booking against the current state of the slot.
+ * This is what both the quote endpoint and booking creation use, so the price shown
+ * is the price charged. Pass the caller's own booking/hold so it does not count
+ * towards occupancy, and an exchange rate snapshot to price in another currency.
+ */
+const quoteBooking = async (service, { bookingDate, endDate, startTime, endTime, exchangeRate = null, excludeBookingId = null, excludeHoldId = null }) => {
+  const capacity = getSlotCapacity(service);
+  const usage = await Booking.getSlotUsage(service._id, toUTCDate(bookingDate), startTime, endTime, capacity, {
+    excludeBookingId,
+    excludeHoldId,
+    endDate
+  });
+
+  const price = calculatePrice(service, {
+    bookingDate,
+    endDate,
+    startTime,
+    endTime,
+    occupancy: usage.booked / capacity
+  });
+
+  return {
+    ...convertPrice(price, exchangeRate),
+    occupancy: {
+      capacity,
+      booked: usage.booked,
+      remaining: usage.remaining
+    }
+  };
+};
+
+module.exports = {
+  RULE_TYPES,
+  ADJUSTMENT_TYPES,
+  getPricingRuleError,
+  calculatePrice,
+  convertPrice,
+  getServiceCharges,
+  quoteBooking
+};
@@ -0,0 +1,89 @@
+const { calculatePrice } = require('./pricing');
+
+const service = (price) => ({ category: 'equipment', price: { currency: 'INR', ...price } });
+
+const rental = (bookingDate, endDate, startTime = '10:00', endTime = '10:00') => ({
+  bookingDate,
+  endDate,
+  startTime,
+  endTime,
+  now: new Date('2020-01-01T00:00:00Z')
+});
+
+describe('calculatePrice', () => {
+  describe('monthly prices', () => {
+    const monthly = service({ type: 'monthly', amount: 3000 });
+
+    it('charges one calendar month as one unit, whatever its length', () => {
+      const december = calculatePrice(monthly, rental('2024-12-01', '2025-01-01'));
+      expect(december.units).toBe(1);
+      expect(december.totalAmount).toBe(3000);
+
+      expect(calculatePrice(monthly, rental('2025-01-01', '2025-02-01')).units).toBe(1);
+      expect(calculatePrice(monthly, rental('2025-02-01', '2025-03-01')).units).toBe(1);
+    });
+
+    it('keeps month-end starts on the last day of shorter months', () => {
+      expect(calculatePrice(monthly, rental('2025-01-31', '2025-02-28')).units).toBe(1);
+      expect(calculatePrice(monthly, rental('2024-01-31', '2024-02-29')).units).toBe(1);
+    });
+
+    it('starts another month once a calendar month is exceeded', () => {
+      const price = calculatePrice(monthly, rental('2024-12-01', '2025-01-02'));
+      expect(price.units).toBe(2);
+      expect(price.days).toBe(32);
+    });
+
+    it('prorates the days past whole months against the following month', () => {
+      const prorated = service({ type: 'monthly', amount: 3100, billing: 'prorated' });
+      const price = calculatePrice(prorated, rental('2024-12-01', '2025-01-02'));
+      expect(price.units).toBeCloseTo(1 + 1 / 31, 4);
+      expect(price.totalAmount).toBe(3200);
+    });
+
+    it('charges a booking within one day as a month', () => {
+      expect(calculatePrice(monthly, rental('2025-03-10', null, '09:00', '17:00')).units).toBe(1);
+    });
+
+    it('applies the minimum term', () => {
+      const minimum = service({ type: 'monthly', amount: 3000, minimumUnits: 3 });
+      expect(calculatePrice(minimum, rental('2025-01-01', '2025-02-01')).totalAmount).toBe(9000);
+    });
+  });
+
+  describe('weekly prices', () => {
+    const weekly = service({ type: 'weekly', amount: 700 });
+
+    it('charges Saturday to Saturday as one week', () => {
+      const price = calculatePrice(weekly, rental('2025-03-01', '2025-03-08'));
+      expect(price.units).toBe(1);
+      expect(price.days).toBe(7);
+      expect(price.totalAmount).toBe(700);
+    });
+
+    it('starts another week once seven days are exceeded', () => {
+      expect(calculatePrice(weekly, rental('2025-03-01', '2025-03-08', '10:00', '11:00')).units).toBe(2);
+    });
+
+    it('prorates by elapsed days', () => {
+      const prorated = service({ type: 'weekly', amount: 700, billing: 'prorated' });
+      const price = calculatePrice(prorated, rental('2025-03-01', '2025-03-09'));
+      expect(price.units).toBeCloseTo(8 / 7, 4);
+      expect(price.totalAmount).toBe(800);
+    });
+  });
+
+  describe('daily prices', () => {
+    it('charges 24 hours as one day', () => {
+      const daily = service({ type: 'daily', amount: 100 });
+      expect(calculatePrice(daily, rental('2025-03-01', '2025-03-02')).units).toBe(1);
+    });
+
+    it('charges hotels per night', () => {
+      const hotel = { category: 'hotel', price: { type: 'daily', amount: 100, currency: 'INR' } };
+      const price = calculatePrice(hotel, rental('2025-03-01', '2025-03-04', '14:00', '11:00'));
+      expect(price.unit).toBe('night');
+      expect(price.units).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,55 @@
+const { toUTCDate, MS_PER_DAY } = require('./slots');
+
+// Hard cap so a single request cannot create an unbounded series
+const MAX_RECURRING_OCCURRENCES = 52;
+
+// Add months in UTC, clamping to the end of shorter months (Jan 31 + 1 month = Feb 28/29)
+const addMonths = (date, months) => {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay)));
+};
+
+const stepDate = (start, frequency, steps) => {
+  switch (frequency) {
+    case 'daily':
+      return new Date(start.getTime() + steps * MS_PER_DAY);
+    case 'weekly':
+      return new Date(start.getTime() + steps * 7 * MS_PER_DAY);
+    case 'monthly':
+      return addMonths(start, steps);
+    default:
+      throw new Error(`Unsupported recurring frequency: ${frequency}`);
+  }
+};
+
+/**
+ * Expand a recurringPattern into the list of occurrence dates, starting with the first booking date.
+ * The series stops at whichever comes first: endDate, occurrences or MAX_RECURRING_OCCURRENCES.
+ */
+const expandOccurrences = (firstDate, pattern = {}) => {
+  const start = toUTCDate(firstDate);
+  const interval = Math.max(parseInt(pattern.interval, 10) || 1, 1);
+  const endDate = pattern.endDate ? toUTCDate(pattern.endDate) : null;
+  const limit = Math.min(parseInt(pattern.occurrences, 10) || MAX_RECURRING_OCCURRENCES, MAX_RECURRING_OCCURRENCES);
+
+  if (!endDate && !pattern.occurrences) {
+    throw new Error('Recurring bookings need an end date or a number of occurrences');
+  }
+
+  const dates = [];
+  for (let index = 0; dates.length < limit; index++) {
+    const date = stepDate(start, pattern.frequency, index * interval);
+    if (endDate && date > endDate) break;
+    dates.push(date);
+  }
+
+  return dates;
+};
+
+module.exports = {
+  MAX_RECURRING_OCCURRENCES,
+  addMonths,
+  expandOccurrences
+};
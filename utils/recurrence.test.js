@@ -0,0 +1,47 @@
+const { MAX_RECURRING_OCCURRENCES, addMonths, expandOccurrences } = require('./recurrence');
+
+const iso = (dates) => dates.map(date => date.toISOString().split('T')[0]);
+
+describe('addMonths', () => {
+  it('moves to the same day of a later month', () => {
+    expect(addMonths(new Date('2025-01-15T00:00:00Z'), 1).toISOString()).toBe('2025-02-15T00:00:00.000Z');
+    expect(addMonths(new Date('2025-11-15T00:00:00Z'), 3).toISOString()).toBe('2026-02-15T00:00:00.000Z');
+  });
+
+  it('keeps to the last day of shorter months', () => {
+    expect(addMonths(new Date('2025-01-31T00:00:00Z'), 1).toISOString()).toBe('2025-02-28T00:00:00.000Z');
+    expect(addMonths(new Date('2024-01-31T00:00:00Z'), 1).toISOString()).toBe('2024-02-29T00:00:00.000Z');
+  });
+});
+
+describe('expandOccurrences', () => {
+  it('repeats daily and weekly at the interval', () => {
+    expect(iso(expandOccurrences('2025-03-01', { frequency: 'daily', occurrences: 3 })))
+      .toEqual(['2025-03-01', '2025-03-02', '2025-03-03']);
+    expect(iso(expandOccurrences('2025-03-01', { frequency: 'weekly', interval: 2, occurrences: 3 })))
+      .toEqual(['2025-03-01', '2025-03-15', '2025-03-29']);
+  });
+
+  it('counts monthly occurrences from the first date, so short months do not shift later ones', () => {
+    expect(iso(expandOccurrences('2025-01-31', { frequency: 'monthly', occurrences: 3 })))
+      .toEqual(['2025-01-31', '2025-02-28', '2025-03-31']);
+  });
+
+  it('stops at the end date', () => {
+    expect(iso(expandOccurrences('2025-03-01', { frequency: 'weekly', endDate: '2025-03-20' })))
+      .toEqual(['2025-03-01', '2025-03-08', '2025-03-15']);
+  });
+
+  it('caps the series', () => {
+    expect(expandOccurrences('2025-03-01', { frequency: 'daily', occurrences: 500 }))
+      .toHaveLength(MAX_RECURRING_OCCURRENCES);
+  });
+
+  it('needs an end date or a number of occurrences', () => {
+    expect(() => expandOccurrences('2025-03-01', { frequency: 'daily' })).toThrow();
+  });
+
+  it('rejects unknown frequencies', () => {
+    expect(() => expandOccurrences('2025-03-01', { frequency: 'yearly', occurrences: 2 })).toThrow();
+  });
+});
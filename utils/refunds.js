@@ -0,0 +1,170 @@
+const Payment = require('../models/Payment');
+const Booking = require('../models/Booking');
+const ErrorResponse = require('./errorResponse');
+const { getGateway } = require('./paymentGateways');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Refund part of a payment through the gateway it was paid with and record it in the payment's ledger.
+ * The amount is reserved against the refundable balance before the gateway is called, and released
+ * again if the gateway rejects the refund. Resolves to { payment, refund } (the ledger entry).
+ */
+const issueRefund = async (payment, { amount, reason, initiatedBy, notes = {} } = {}) => {
+  const gatewayPaymentId = payment.gatewayPaymentId || payment.razorpayPaymentId;
+  const refundAmount = roundAmount(amount ?? payment.getRefundableAmount());
+
+  if (!gatewayPaymentId) {
+    throw new ErrorResponse('Payment has not been captured at the gateway', 400);
+  }
+
+  if (!refundAmount || refundAmount <= 0) {
+    throw new ErrorResponse('Refund amount must be greater than zero', 400);
+  }
+
+  const reserved = await Payment.reserveRefund(payment._id, { amount: refundAmount, reason, initiatedBy });
+  if (!reserved) {
+    throw new ErrorResponse(`Refund exceeds the refundable balance of ${payment.getRefundableAmount()}`, 400);
+  }
+
+  let result;
+  try {
+    result = await getGateway(payment.gateway).refund(gatewayPaymentId, {
+      amount: refundAmount,
+      notes: { ...notes, reason }
+    });
+  } catch (error) {
+    // Give the amount back to the balance so the refund can be tried again
+    await Payment.updateOne(
+      { _id: payment._id, 'refunds._id': reserved.refund._id },
+      {
+        $inc: { refundAmount: -refundAmount },
+        $set: { 'refunds.$.status': 'failed', 'refunds.$.failureReason': error.message }
+      }
+    );
+    await Payment.syncRefundStatus(payment._id);
+    throw error;
+  }
+
+  // Other refunds on the payment may have been reserved meanwhile, so update the stored
+  // document rather than saving the copy returned by the reservation.
+  // The entry is only marked processed while still pending: a webhook may have recorded the outcome.
+  const refundId = reserved.refund._id;
+  const processed = result.status === 'processed';
+  await Payment.updateOne(
+    { _id: payment._id },
+    {
+      $set: {
+        refundId: result.id,
+        'refunds.$[entry].gatewayRefundId': result.id,
+        ...(processed && {
+          'refunds.$[pending].status': 'processed',
+          'refunds.$[pending].processedAt': new Date()
+        })
+      }
+    },
+    {
+      arrayFilters: [
+        { 'entry._id': refundId },
+        ...(processed ? [{ 'pending._id': refundId, 'pending.status': 'pending' }] : [])
+      ]
+    }
+  );
+
+  const updated = await Payment.syncRefundStatus(payment._id) || await Payment.findById(payment._id);
+
+  return { payment: updated, refund: updated.refunds.id(refundId) };
+};
+
+// Booking payment fields derived from the totals of every captured payment for the booking.
+// Deposit payments are tracked on booking.deposit instead (see utils/deposits).
+const getBookingRefundUpdate = async (bookingId) => {
+  const payments = await Payment.find({
+    booking: bookingId,
+    purpose: { $ne: 'deposit' },
+    status: { $in: ['completed', 'partially_refunded', 'refunded'] }
+  });
+
+  const paid = payments.reduce((total, payment) => total + payment.amount, 0);
+  const refunded = roundAmount(payments.reduce((total, payment) => total + (payment.refundAmount || 0), 0));
+
+  if (paid <= 0 || refunded <= 0) return null;
+
+  return {
+    paymentStatus: refunded >= paid ? 'refunded' : 'partially_refunded',
+    'paymentDetails.refundAmount': refunded,
+    'paymentDetails.refundedAt': new Date()
+  };
+};
+
+// Bring a booking's paymentStatus and refund totals in line with its payments
+const syncBookingRefunds = async (bookingId) => {
+  const update = await getBookingRefundUpdate(bookingId);
+  if (update) {
+    await Booking.findByIdAndUpdate(bookingId, update);
+  }
+  return update;
+};
+
+/**
+ * Refund up to `amount` of what was paid for a booking, newest payment first (deposits excluded).
+ * Updates each Payment's ledger and the booking's paymentStatus to refunded or partially_refunded.
+ * Resolves to null when there is nothing to refund (no amount, no captured payment, already refunded).
+ */
+const refundBookingPayment = async (booking, amount, reason) => {
+  if (!amount || amount <= 0) return null;
+
+  const payments = await Payment.find({
+    booking: booking._id,
+    purpose: { $ne: 'deposit' },
+    status: { $in: ['completed', 'partially_refunded'] }
+  }).sort('-createdAt');
+
+  const refunds = [];
+  let remaining = roundAmount(amount);
+
+  try {
+    for (const payment of payments) {
+      if (remaining <= 0) break;
+      if (!payment.canBeRefunded() || !(payment.gatewayPaymentId || payment.razorpayPaymentId)) continue;
+
+      const refundAmount = Math.min(remaining, payment.getRefundableAmount());
+      const { payment: updated, refund } = await issueRefund(payment, {
+        amount: refundAmount,
+        reason: reason || 'Booking cancelled',
+        notes: { bookingId: booking._id.toString() }
+      });
+
+      refunds.push({
+        id: refund.gatewayRefundId,
+        payment: updated._id,
+        amount: refund.amount,
+        status: refund.status
+      });
+      remaining = roundAmount(remaining - refundAmount);
+    }
+  } finally {
+    // Record whatever went through, even if a later payment's refund failed
+    if (refunds.length > 0) {
+      const update = await getBookingRefundUpdate(booking._id);
+      if (update) {
+        booking.set(update);
+        await booking.save();
+      }
+    }
+  }
+
+  if (refunds.length === 0) return null;
+
+  return {
+    amount: roundAmount(amount - remaining),
+    status: booking.paymentStatus,
+    refunds
+  };
+};
+
+module.exports = {
+  issueRefund,
+  syncBookingRefunds,
+  refundBookingPayment
+};
@@ -0,0 +1,130 @@
+const Booking = require('../models/Booking');
+const { toUTCDate } = require('./slots');
+const { resolveTimeZone, formatInTimeZone } = require('./timezone');
+const { notifyUser } = require('./notifications');
+const { renderEmail, translate, getLocale } = require('./emailTemplates');
+
+// Reminders before a booking starts, furthest first; `flag` is the field under booking.reminders
+const REMINDERS = [
+  { flag: 'sent24h', minutes: 24 * 60 },
+  { flag: 'sent1h', minutes: 60 },
+  { flag: 'sent15min', minutes: 15 }
+];
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
+
+// Every reminder flag set, for bookings that will never get (more) reminders
+const ALL_SENT = Object.fromEntries(REMINDERS.map(reminder => [`reminders.${reminder.flag}`, true]));
+
+// Reminders not sent yet whose window has opened, furthest first (empty once the booking started)
+const getDueReminders = (booking, start, now = new Date()) => {
+  const minutesLeft = (start.getTime() - now.getTime()) / MS_PER_MINUTE;
+  if (minutesLeft <= 0) return [];
+
+  return REMINDERS.filter(reminder =>
+    minutesLeft <= reminder.minutes && !(booking.reminders && booking.reminders[reminder.flag]));
+};
+
+// "about 3 hours", "15 minutes" in the customer's language; reminders can go out late for
+// bookings made at short notice
+const describeTimeLeft = (minutes, language) => {
+  if (minutes >= 90) return translate('hours', { count: Math.round(minutes / 60) }, language);
+  if (minutes >= 55) return translate('hour', {}, language);
+  const rounded = Math.max(Math.round(minutes), 1);
+  return translate(rounded === 1 ? 'minute' : 'minutes', { count: rounded }, language);
+};
+
+const buildReminder = (booking, start, timeZone, now) => {
+  const user = booking.user;
+  const language = user.preferences && user.preferences.language;
+  const location = booking.location && booking.location.address
+    ? [booking.location.address, booking.location.city].filter(Boolean).join(', ')
+    : undefined;
+
+  const { subject, text, html } = renderEmail('booking_reminder', {
+    firstName: user.firstName,
+    serviceName: (booking.service && booking.service.name) || 'your booking',
+    timeLeft: describeTimeLeft((start.getTime() - now.getTime()) / MS_PER_MINUTE, language),
+    startsAt: formatInTimeZone(start, timeZone, getLocale(language)),
+    location
+  }, language);
+
+  // The bare text goes to SMS, push and the inbox; email gets the HTML version in its layout
+  return { type: 'reminder', subject, message: text, html };
+};
+
+/**
+ * Send the reminders that are due for upcoming confirmed bookings through each customer's
+ * enabled notification channels. Only the nearest due reminder is sent; earlier ones that were
+ * missed are marked as sent with it. Flags are claimed atomically before sending, so several
+ * servers can run this at once without sending twice; a reminder that failed on every channel
+ * is unclaimed and tried again on the next run. Bookings that started (or lost their customer)
+ * before their reminders went out are marked as done so they leave the batch.
+ * Resolves to { checked, sent, failed }.
+ */
+const sendDueReminders = async ({ now = new Date(), limit = 200 } = {}) => {
+  // Only bookings close enough for a reminder that is still unsent, soonest first so later ones
+  // cannot crowd them out of the batch. Dates are widened by a day either way for time zones;
+  // the exact start is worked out in each booking's time zone.
+  const today = toUTCDate(now);
+  const bookings = await Booking.find({
+    status: 'confirmed',
+    $or: REMINDERS.map(reminder => ({
+      [`reminders.${reminder.flag}`]: { $ne: true },
+      bookingDate: {
+        $gte: new Date(today.getTime() - MS_PER_DAY),
+        $lte: new Date(toUTCDate(new Date(now.getTime() + reminder.minutes * MS_PER_MINUTE)).getTime() + MS_PER_DAY)
+      }
+    }))
+  })
+    .populate('user', 'firstName email phone preferences')
+    .populate('service', 'name')
+    .sort({ bookingDate: 1, startTime: 1 })
+    .limit(limit);
+
+  const summary = { checked: bookings.length, sent: 0, failed: 0 };
+
+  for (const booking of bookings) {
+    if (!booking.user) {
+      await Booking.updateOne({ _id: booking._id }, { $set: ALL_SENT });
+      continue;
+    }
+
+    // The start is the same instant fees and slots use; it is only shown in the customer's time zone
+    const timeZone = resolveTimeZone(booking.user.preferences && booking.user.preferences.timezone);
+    const start = booking.getStartsAt();
+    if (start <= now) {
+      await Booking.updateOne({ _id: booking._id }, { $set: ALL_SENT });
+      continue;
+    }
+
+    const due = getDueReminders(booking, start, now);
+    if (due.length === 0) continue;
+
+    const nearest = due[due.length - 1];
+    const claimed = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: 'confirmed', [`reminders.${nearest.flag}`]: { $ne: true } },
+      { $set: Object.fromEntries(due.map(reminder => [`reminders.${reminder.flag}`, true])) }
+    );
+    if (!claimed) continue;
+
+    const result = await notifyUser(booking.user, buildReminder(booking, start, timeZone, now));
+    const failed = !result.delivered && Object.values(result.channels).includes('failed');
+
+    if (failed) {
+      await Booking.updateOne({ _id: booking._id }, { $set: { [`reminders.${nearest.flag}`]: false } });
+      summary.failed += 1;
+    } else if (result.delivered) {
+      summary.sent += 1;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  REMINDERS,
+  getDueReminders,
+  sendDueReminders
+};
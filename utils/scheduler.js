@@ -0,0 +1,61 @@
+// In-process scheduler for periodic maintenance jobs (booking expiry and the like).
+// Each job runs on its own interval and a run is skipped while the previous one is still going.
+// Jobs that several server instances run at once must claim their work atomically.
+const jobs = new Map();
+
+// Set DISABLE_SCHEDULER=true on instances that should only serve requests
+const isSchedulerEnabled = () => process.env.DISABLE_SCHEDULER !== 'true';
+
+// Run `task` every `intervalMs`; scheduling a name that already exists returns the existing job
+const scheduleJob = (name, intervalMs, task) => {
+  if (jobs.has(name)) return jobs.get(name);
+
+  const job = { name, intervalMs, running: false, lastRunAt: null, lastResult: null, lastError: null };
+
+  job.run = async () => {
+    if (job.running) return null;
+    job.running = true;
+
+    try {
+      job.lastResult = await task();
+      job.lastError = null;
+    } catch (error) {
+      job.lastError = error.message;
+      console.error(`Scheduled job ${name} failed:`, error.message);
+    } finally {
+      job.running = false;
+      job.lastRunAt = new Date();
+    }
+
+    return job.lastResult;
+  };
+
+  job.timer = setInterval(job.run, intervalMs);
+  // Timers alone must not keep the process alive
+  job.timer.unref();
+
+  jobs.set(name, job);
+  return job;
+};
+
+const stopJobs = () => {
+  jobs.forEach(job => clearInterval(job.timer));
+  jobs.clear();
+};
+
+// Name, interval and last run of every scheduled job
+const getJobs = () => [...jobs.values()].map(({ name, intervalMs, running, lastRunAt, lastResult, lastError }) => ({
+  name,
+  intervalMs,
+  running,
+  lastRunAt,
+  lastResult,
+  lastError
+}));
+
+module.exports = {
+  isSchedulerEnabled,
+  scheduleJob,
+  stopJobs,
+  getJobs
+};
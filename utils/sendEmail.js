@@ -17,6 +17,7 @@ const sendEmail = async (options) => {
     subject: options.subject,
     text: options.message,
     html: options.html || undefined,
+    attachments: options.attachments || undefined,
   };
 
   const info = await transporter.sendMail(mailOptions);
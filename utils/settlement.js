@@ -0,0 +1,256 @@
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const Payout = require('../models/Payout');
+const { getCommissionRate } = require('./commission');
+
+// Completed bookings wait this long before they are settled, so late refunds land first
+const DEFAULT_PAYOUT_HOLD_DAYS = 7;
+
+// Payment statuses that mean money was captured (refunds are netted out separately)
+const CAPTURED_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const getPayoutHoldDays = () => {
+  const days = parseInt(process.env.PAYOUT_HOLD_DAYS, 10);
+  return Number.isNaN(days) || days < 0 ? DEFAULT_PAYOUT_HOLD_DAYS : days;
+};
+
+// Latest completion date that is ready to be settled
+const getDefaultPeriodEnd = () => new Date(Date.now() - getPayoutHoldDays() * 24 * 60 * 60 * 1000);
+
+// Bookings completed on or before a date (older bookings without status history fall back to updatedAt)
+const completedBy = (periodEnd) => ({
+  status: 'completed',
+  $or: [
+    { statusHistory: { $elemMatch: { to: 'completed', changedAt: { $lte: periodEnd } } } },
+    { 'statusHistory.to': { $ne: 'completed' }, updatedAt: { $lte: periodEnd } }
+  ]
+});
+
+// Captured, refunded and fee totals per booking
+const getPaymentTotals = async (bookingIds) => {
+  // Deposits are not earnings; what the provider keeps of one is added from booking.deposit
+  const payments = await Payment.find({
+    booking: { $in: bookingIds },
+    purpose: { $ne: 'deposit' },
+    status: { $in: CAPTURED_STATUSES }
+  })
+    .select('booking amount refundAmount processingFee');
+
+  const totals = new Map();
+  payments.forEach(payment => {
+    const key = payment.booking.toString();
+    const entry = totals.get(key) || { gross: 0, refunded: 0, fees: 0 };
+    entry.gross += payment.amount;
+    entry.refunded += payment.refundAmount || 0;
+    entry.fees += payment.processingFee || 0;
+    totals.set(key, entry);
+  });
+  return totals;
+};
+
+// Deposit amounts for a settlement line:
+//   held     - a deposit taken with the booking payment (older bookings), which is not earned
+//   withheld - what the provider kept of a separately paid deposit, passed on without commission
+const getDepositAmounts = (booking) => {
+  const deposit = booking.deposit || {};
+
+  if (deposit.paid && !deposit.payment) {
+    return { held: deposit.amount || 0, withheld: 0 };
+  }
+
+  const kept = ['partially_withheld', 'captured'].includes(deposit.status);
+  return { held: 0, withheld: kept ? deposit.withheldAmount || 0 : 0 };
+};
+
+/**
+ * What the provider earns for a completed booking: what the customer paid, less refunds,
+ * any security deposit still held, gateway fees and the platform commission, plus any part
+ * of the deposit they withheld.
+ */
+const buildEarningLine = (booking, totals) => {
+  const category = booking.service && booking.service.category;
+  const commissionRate = getCommissionRate(category);
+  const grossAmount = roundAmount(totals.gross);
+  const refundedAmount = roundAmount(totals.refunded);
+  const { held: depositAmount, withheld: withheldDepositAmount } = getDepositAmounts(booking);
+  const commissionable = Math.max(grossAmount - refundedAmount - depositAmount, 0);
+  const commissionAmount = roundAmount(commissionable * commissionRate);
+  const feeAmount = roundAmount(totals.fees);
+
+  return {
+    type: 'earning',
+    booking: booking._id,
+    service: booking.service && booking.service._id,
+    category,
+    grossAmount,
+    refundedAmount,
+    depositAmount,
+    withheldDepositAmount,
+    feeAmount,
+    commissionRate,
+    commissionAmount,
+    netAmount: roundAmount(commissionable - commissionAmount - feeAmount + withheldDepositAmount)
+  };
+};
+
+// Claw back a refund issued after the booking was settled; the commission on it is returned
+const buildAdjustmentLine = (booking, totals) => {
+  const category = booking.service && booking.service.category;
+  const commissionRate = getCommissionRate(category);
+  const refundedAmount = roundAmount(totals.refunded);
+  const previousRefundedAmount = booking.settledRefundAmount || 0;
+  const delta = roundAmount(refundedAmount - previousRefundedAmount);
+
+  if (delta <= 0) return null;
+
+  const commissionAmount = -roundAmount(delta * commissionRate);
+
+  return {
+    type: 'adjustment',
+    booking: booking._id,
+    service: booking.service && booking.service._id,
+    category,
+    refundedAmount,
+    previousRefundedAmount,
+    commissionRate,
+    commissionAmount,
+    netAmount: roundAmount(-delta - commissionAmount)
+  };
+};
+
+/**
+ * Work out unsettled provider earnings, grouped by provider and currency.
+ * Returns [{ provider, currency, items, totals }] without changing anything.
+ */
+const computeEarnings = async ({ provider, periodEnd = getDefaultPeriodEnd() } = {}) => {
+  const scope = provider ? { provider } : {};
+
+  // Bookings wait until the provider has settled any deposit they are holding
+  const unsettled = await Booking.find({
+    ...scope,
+    ...completedBy(periodEnd),
+    payout: null,
+    'deposit.status': { $ne: 'held' }
+  })
+    .populate('service', 'category')
+    .select('provider service currency deposit settledRefundAmount');
+
+  // Settled bookings refunded since; only batches that were approved or paid need a clawback
+  const refundedSinceSettlement = await Booking.find({
+    ...scope,
+    payout: { $ne: null },
+    paymentStatus: { $in: ['partially_refunded', 'refunded'] },
+    $expr: { $gt: ['$paymentDetails.refundAmount', { $ifNull: ['$settledRefundAmount', 0] }] }
+  })
+    .populate('service', 'category')
+    .populate('payout', 'status')
+    .select('provider service currency deposit settledRefundAmount payout');
+
+  const adjustable = refundedSinceSettlement.filter(booking =>
+    booking.payout && ['approved', 'paid'].includes(booking.payout.status));
+
+  const paymentTotals = await getPaymentTotals([...unsettled, ...adjustable].map(booking => booking._id));
+  const groups = new Map();
+
+  const addLine = (booking, line) => {
+    if (!line) return;
+    const key = `${booking.provider}:${booking.currency}`;
+    if (!groups.has(key)) {
+      groups.set(key, { provider: booking.provider, currency: booking.currency, items: [] });
+    }
+    groups.get(key).items.push(line);
+  };
+
+  unsettled.forEach(booking => {
+    const totals = paymentTotals.get(booking._id.toString());
+    // Bookings paid outside the gateway (cash, bank transfer) have nothing to settle here
+    if (totals && totals.gross > 0) addLine(booking, buildEarningLine(booking, totals));
+  });
+
+  adjustable.forEach(booking => {
+    const totals = paymentTotals.get(booking._id.toString());
+    if (totals) addLine(booking, buildAdjustmentLine(booking, totals));
+  });
+
+  return [...groups.values()].map(group => {
+    const preview = new Payout({ ...group, periodEnd });
+    return { ...group, totals: preview.calculateTotals() };
+  });
+};
+
+// Mark a line's booking as settled by a payout; fails when another batch got there first
+const claimLine = async (payoutId, line) => {
+  const result = line.type === 'earning'
+    ? await Booking.updateOne(
+      { _id: line.booking, payout: null },
+      { payout: payoutId, settledRefundAmount: line.refundedAmount }
+    )
+    : await Booking.updateOne(
+      { _id: line.booking, settledRefundAmount: line.previousRefundedAmount },
+      { settledRefundAmount: line.refundedAmount }
+    );
+  return result.modifiedCount === 1;
+};
+
+// Undo claimLine, so the booking is picked up by the next batch
+const releaseLine = (payoutId, line) => (line.type === 'earning'
+  ? Booking.updateOne(
+    { _id: line.booking, payout: payoutId },
+    { $unset: { payout: 1 }, settledRefundAmount: 0 }
+  )
+  : Booking.updateOne(
+    { _id: line.booking, settledRefundAmount: line.refundedAmount },
+    { settledRefundAmount: line.previousRefundedAmount }
+  ));
+
+/**
+ * Group unsettled earnings into pending payout batches (one per provider and currency).
+ * Each booking is claimed atomically, so running this twice at once never pays a booking twice.
+ * Providers whose lines net to zero or less (e.g. only clawbacks) are left for a later batch.
+ */
+const generatePayouts = async ({ provider, periodEnd = getDefaultPeriodEnd(), generatedBy } = {}) => {
+  const groups = await computeEarnings({ provider, periodEnd });
+  const payouts = [];
+
+  for (const group of groups) {
+    if (group.totals.net <= 0) continue;
+
+    const payout = new Payout({
+      provider: group.provider,
+      currency: group.currency,
+      periodEnd,
+      generatedBy
+    });
+
+    const claimed = [];
+    for (const line of group.items) {
+      if (await claimLine(payout._id, line)) claimed.push(line);
+    }
+
+    payout.items = claimed;
+    payout.calculateTotals();
+
+    if (claimed.length === 0 || payout.totals.net <= 0) {
+      await Promise.all(claimed.map(line => releaseLine(payout._id, line)));
+      continue;
+    }
+
+    await payout.save();
+    payouts.push(payout);
+  }
+
+  return payouts;
+};
+
+// Release every booking in a rejected payout back into the unsettled pool
+const releasePayout = (payout) => Promise.all(payout.items.map(line => releaseLine(payout._id, line)));
+
+module.exports = {
+  getPayoutHoldDays,
+  getDefaultPeriodEnd,
+  computeEarnings,
+  generatePayouts,
+  releasePayout
+};
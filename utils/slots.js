@@ -0,0 +1,265 @@
+const { zonedTimeToUtc } = require('./timezone');
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DEFAULT_SLOT_MINUTES = 60;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+// Longest multi-day booking (e.g. a hotel stay or a monthly rental), in days
+const MAX_BOOKING_DAYS = 180;
+
+// Convert "HH:MM" (or "H:MM") into minutes since midnight
+const timeToMinutes = (time) => {
+  if (!time || typeof time !== 'string') return null;
+  const [hours, minutes] = time.split(':').map(Number);
+  if (Number.isNaN(hours) || Number.isNaN(minutes)) return null;
+  return hours * 60 + minutes;
+};
+
+// Convert minutes since midnight back into zero padded "HH:MM"
+const minutesToTime = (totalMinutes) => {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+// Zero pad a time string so lexical comparisons match chronological order
+const normalizeTime = (time) => {
+  const minutes = timeToMinutes(time);
+  return minutes === null ? time : minutesToTime(minutes);
+};
+
+// Booking dates are stored as UTC midnight, so days are handled in UTC throughout
+const toUTCDate = (value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+const formatDate = (date) => date.toISOString().split('T')[0];
+
+const overlaps = (startA, endA, startB, endB) => startA < endB && endA > startB;
+
+// Mongo filter for reservations that touch a day: single-day ones on that day and
+// multi-day ones (with an endDate) that started earlier and run into it
+const touchesDayQuery = (date) => ({
+  $or: [
+    { bookingDate: date },
+    { bookingDate: { $lt: date }, endDate: { $gte: date } }
+  ]
+});
+
+// Minutes [start, end) a reservation occupies on a day, or null when it does not touch it.
+// Multi-day reservations run from startTime on their first day to endTime on their last,
+// covering every day in between. Without a day, the reservation's own times are returned.
+const getReservationWindow = (reservation, date = null) => {
+  const from = timeToMinutes(reservation.startTime);
+  const to = timeToMinutes(reservation.endTime);
+  if (from === null || to === null) return null;
+
+  const first = reservation.bookingDate ? toUTCDate(reservation.bookingDate) : null;
+  const last = reservation.endDate ? toUTCDate(reservation.endDate) : first;
+  if (!date || !first) return { start: from, end: to };
+
+  const day = toUTCDate(date).getTime();
+  if (day < first.getTime() || day > last.getTime()) return null;
+  if (last.getTime() === first.getTime()) return { start: from, end: to };
+
+  return {
+    start: day === first.getTime() ? from : 0,
+    end: day === last.getTime() ? to : 24 * 60
+  };
+};
+
+// Highest number of reservations running at the same moment inside [start, end).
+// Used for capacity checks, so back-to-back bookings inside one window count once.
+// Pass the day being checked so multi-day reservations are counted for the right part of it.
+const peakOccupancy = (reservations, start, end, date = null) => {
+  const events = [];
+
+  reservations.forEach(reservation => {
+    const window = getReservationWindow(reservation, date);
+    if (!window || !overlaps(window.start, window.end, start, end)) return;
+    events.push([Math.max(window.start, start), 1], [Math.min(window.end, end), -1]);
+  });
+
+  // Ends sort before starts at the same minute so adjacent bookings don't stack
+  events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+  let current = 0;
+  let peak = 0;
+  events.forEach(([, delta]) => {
+    current += delta;
+    peak = Math.max(peak, current);
+  });
+  return peak;
+};
+
+/**
+ * Break a booking or hold into the days it covers, from startTime on bookingDate to endTime on
+ * endDate (or the same day). Each segment is the minutes [start, end) used on that day.
+ */
+const getSpan = ({ bookingDate, endDate, startTime, endTime }) => {
+  const first = toUTCDate(bookingDate);
+  const last = endDate ? toUTCDate(endDate) : first;
+  const start = timeToMinutes(startTime);
+  const end = timeToMinutes(endTime);
+
+  const segments = (last > first ? eachDay(first, last) : [first])
+    .map(day => ({
+      day,
+      start: day.getTime() === first.getTime() ? start : 0,
+      end: day.getTime() === last.getTime() ? end : 24 * 60
+    }))
+    .filter(segment => segment.end > segment.start);
+
+  return {
+    first,
+    last,
+    from: new Date(first.getTime() + start * 60 * 1000),
+    to: new Date(last.getTime() + end * 60 * 1000),
+    nights: Math.round((last - first) / MS_PER_DAY),
+    segments
+  };
+};
+
+// Check the dates and times of a booking request. Bookings within one day end after they
+// start; multi-day ones run from startTime on bookingDate to endTime on endDate.
+// Returns { endDate } (null within one day) or { error }.
+const resolveSpan = ({ bookingDate, endDate, startTime, endTime }) => {
+  const first = toUTCDate(bookingDate);
+  const last = endDate ? toUTCDate(endDate) : first;
+
+  if (!first || !last) {
+    return { error: 'Please provide valid booking and end dates' };
+  }
+
+  if (last < first) {
+    return { error: 'End date cannot be before the booking date' };
+  }
+
+  if ((last - first) / MS_PER_DAY > MAX_BOOKING_DAYS) {
+    return { error: `Bookings cannot span more than ${MAX_BOOKING_DAYS} days` };
+  }
+
+  if (last.getTime() === first.getTime() && timeToMinutes(endTime) <= timeToMinutes(startTime)) {
+    return { error: 'End time must be after start time' };
+  }
+
+  return { endDate: last > first ? last : null };
+};
+
+// Number of overlapping bookings a service accepts for the same time
+const getSlotCapacity = (service) =>
+  Math.max(Number(service.availability && service.availability.maxBookingsPerSlot) || 1, 1);
+
+// Get the opening window for a service on a given day, or null when closed
+const getDaySchedule = (service, date) => {
+  const availability = service.availability || {};
+  if (availability.isAvailable === false) return null;
+
+  const dayName = DAY_NAMES[date.getUTCDay()];
+  const day = availability.schedule && availability.schedule[dayName];
+
+  if (day && day.isOpen === false) return null;
+
+  const open = timeToMinutes(day && day.open);
+  const close = timeToMinutes(day && day.close);
+
+  return {
+    day: dayName,
+    open: open === null ? 0 : open,
+    close: close === null || close <= open ? 24 * 60 : close
+  };
+};
+
+// Build the candidate slots for a day, before bookings are taken into account.
+// Explicit availability.timeSlots win; otherwise the opening hours are split evenly.
+const getCandidateSlots = (service, window, slotMinutes = DEFAULT_SLOT_MINUTES) => {
+  const timeSlots = (service.availability && service.availability.timeSlots) || [];
+
+  if (timeSlots.length > 0) {
+    return timeSlots
+      .filter(slot => slot.isAvailable !== false)
+      .map(slot => ({ start: timeToMinutes(slot.startTime), end: timeToMinutes(slot.endTime) }))
+      .filter(slot => slot.start !== null && slot.end !== null && slot.end > slot.start)
+      .filter(slot => slot.start >= window.open && slot.end <= window.close)
+      .sort((a, b) => a.start - b.start);
+  }
+
+  const slots = [];
+  for (let start = window.open; start + slotMinutes <= window.close; start += slotMinutes) {
+    slots.push({ start, end: start + slotMinutes });
+  }
+  return slots;
+};
+
+/**
+ * Compute bookable slots for a single day.
+ * `bookings` are the existing reservations for that day (anything with startTime/endTime).
+ */
+const buildDaySlots = (service, date, bookings = [], options = {}) => {
+  const { slotMinutes = DEFAULT_SLOT_MINUTES, now = new Date() } = options;
+  const window = getDaySchedule(service, date);
+  const dayName = DAY_NAMES[date.getUTCDay()];
+
+  if (!window) {
+    return { date: formatDate(date), day: dayName, isOpen: false, slots: [] };
+  }
+
+  const capacity = getSlotCapacity(service);
+
+  const slots = getCandidateSlots(service, window, slotMinutes).map(slot => {
+    const booked = peakOccupancy(bookings, slot.start, slot.end, date);
+    const remaining = Math.max(capacity - booked, 0);
+    const isPast = zonedTimeToUtc(date, slot.start, service.timeZone) <= now;
+
+    return {
+      startTime: minutesToTime(slot.start),
+      endTime: minutesToTime(slot.end),
+      capacity,
+      booked,
+      remaining,
+      isAvailable: remaining > 0 && !isPast
+    };
+  });
+
+  return {
+    date: formatDate(date),
+    day: window.day,
+    isOpen: true,
+    openTime: minutesToTime(window.open),
+    closeTime: minutesToTime(window.close),
+    slots
+  };
+};
+
+// List every UTC day between two dates (inclusive)
+const eachDay = (from, to) => {
+  const days = [];
+  for (let time = from.getTime(); time <= to.getTime(); time += MS_PER_DAY) {
+    days.push(new Date(time));
+  }
+  return days;
+};
+
+module.exports = {
+  DAY_NAMES,
+  DEFAULT_SLOT_MINUTES,
+  MS_PER_DAY,
+  MAX_BOOKING_DAYS,
+  timeToMinutes,
+  minutesToTime,
+  normalizeTime,
+  toUTCDate,
+  formatDate,
+  overlaps,
+  touchesDayQuery,
+  getReservationWindow,
+  getSpan,
+  resolveSpan,
+  peakOccupancy,
+  getSlotCapacity,
+  getDaySchedule,
+  getCandidateSlots,
+  buildDaySlots,
+  eachDay
+};
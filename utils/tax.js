@@ -0,0 +1,141 @@
+// Tax rules keyed by the currency a service is priced in (which stands in for its tax jurisdiction).
+// `rate` is the default; `categories` override it per Service.category and `states` per
+// Service.location.state (e.g. { "Maharashtra": { "hotel": 0.12 } }). With `pricesIncludeTax`
+// the listed price already contains the tax, otherwise tax is added on top.
+// Rules with `intraState`/`interState` split the tax into components depending on whether the
+// service is in the registered home state (TAX_HOME_STATE), e.g. CGST + SGST vs IGST.
+const DEFAULT_TAX_RULES = {
+  INR: {
+    name: 'GST',
+    rate: 0.18,
+    categories: {
+      hotel: 0.12,
+      doctor: 0,
+      transport: 0.05
+    },
+    states: {},
+    pricesIncludeTax: false,
+    intraState: ['CGST', 'SGST'],
+    interState: ['IGST']
+  },
+  GBP: {
+    name: 'VAT',
+    rate: 0.2,
+    categories: {
+      doctor: 0,
+      transport: 0
+    },
+    pricesIncludeTax: true
+  },
+  EUR: {
+    name: 'VAT',
+    rate: 0.2,
+    categories: {
+      doctor: 0
+    },
+    pricesIncludeTax: true
+  }
+};
+
+// Tax rules can be overridden without a deploy through TAX_RULES (JSON, same shape as above)
+const loadRules = () => {
+  if (!process.env.TAX_RULES) return DEFAULT_TAX_RULES;
+
+  try {
+    return { ...DEFAULT_TAX_RULES, ...JSON.parse(process.env.TAX_RULES) };
+  } catch (error) {
+    console.error('Invalid TAX_RULES, using defaults:', error.message);
+    return DEFAULT_TAX_RULES;
+  }
+};
+
+const rules = loadRules();
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const sameState = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+const getTaxRule = (currency) => rules[currency] || null;
+
+// Rate for a category and state under a rule: state override, then category, then the default
+const getTaxRate = (rule, category, state) => {
+  if (!rule) return 0;
+
+  const stateEntry = Object.entries(rule.states || {}).find(([name]) => sameState(name, state));
+  const stateRates = stateEntry ? stateEntry[1] : {};
+
+  return stateRates[category] ?? (rule.categories || {})[category] ?? rule.rate ?? 0;
+};
+
+// Names of the components the tax is reported as
+const getComponentNames = (rule, state) => {
+  if (!rule.intraState) return [rule.name];
+
+  const homeState = process.env.TAX_HOME_STATE;
+  return !homeState || !state || sameState(homeState, state) ? rule.intraState : rule.interState;
+};
+
+/**
+ * Work out the tax on an amount.
+ * Returns { name, rate, inclusive, taxableAmount, amount, totalAmount, components } where
+ * `taxableAmount` is tax-exclusive, `amount` is the tax and `totalAmount` is tax-inclusive.
+ */
+const calculateTax = ({ amount, currency, category, state }) => {
+  const rule = getTaxRule(currency);
+  const rate = getTaxRate(rule, category, state);
+  const value = Number(amount) || 0;
+
+  if (!rule || rate <= 0) {
+    return {
+      name: rule ? rule.name : undefined,
+      rate: 0,
+      inclusive: Boolean(rule && rule.pricesIncludeTax),
+      taxableAmount: roundAmount(value),
+      amount: 0,
+      totalAmount: roundAmount(value),
+      components: []
+    };
+  }
+
+  const inclusive = Boolean(rule.pricesIncludeTax);
+  const taxableAmount = roundAmount(inclusive ? value / (1 + rate) : value);
+  const totalAmount = roundAmount(inclusive ? value : value * (1 + rate));
+  const taxAmount = roundAmount(totalAmount - taxableAmount);
+
+  // Split evenly; the last component takes the rounding difference so the parts add up
+  const names = getComponentNames(rule, state);
+  let allocated = 0;
+  const components = names.map((name, index) => {
+    const share = index === names.length - 1
+      ? roundAmount(taxAmount - allocated)
+      : roundAmount(taxAmount / names.length);
+    allocated += share;
+    return { name, rate: roundAmount(rate / names.length * 10000) / 10000, amount: share };
+  });
+
+  return {
+    name: rule.name,
+    rate,
+    inclusive,
+    taxableAmount,
+    amount: taxAmount,
+    totalAmount,
+    components
+  };
+};
+
+// Tax on a booking amount for a service, using the service's currency, category and state
+const getServiceTax = (service, amount) => calculateTax({
+  amount,
+  currency: service.price && service.price.currency,
+  category: service.category,
+  state: service.location && service.location.state
+});
+
+module.exports = {
+  DEFAULT_TAX_RULES,
+  getTaxRule,
+  getTaxRate,
+  calculateTax,
+  getServiceTax
+};
@@ -0,0 +1,55 @@
+const { calculateTax, getServiceTax } = require('./tax');
+
+describe('calculateTax', () => {
+  const homeState = process.env.TAX_HOME_STATE;
+
+  afterEach(() => {
+    if (homeState === undefined) delete process.env.TAX_HOME_STATE;
+    else process.env.TAX_HOME_STATE = homeState;
+  });
+
+  it('adds tax on top of exclusive prices', () => {
+    const tax = calculateTax({ amount: 1000, currency: 'INR', category: 'equipment' });
+    expect(tax).toMatchObject({ name: 'GST', rate: 0.18, inclusive: false, taxableAmount: 1000, amount: 180, totalAmount: 1180 });
+  });
+
+  it('uses the category rate', () => {
+    expect(calculateTax({ amount: 1000, currency: 'INR', category: 'hotel' }).amount).toBe(120);
+  });
+
+  it('takes tax out of inclusive prices', () => {
+    const tax = calculateTax({ amount: 120, currency: 'GBP', category: 'equipment' });
+    expect(tax).toMatchObject({ inclusive: true, taxableAmount: 100, amount: 20, totalAmount: 120 });
+  });
+
+  it('charges nothing for zero-rated categories and currencies without rules', () => {
+    expect(calculateTax({ amount: 500, currency: 'INR', category: 'doctor' })).toMatchObject({ amount: 0, totalAmount: 500 });
+    expect(calculateTax({ amount: 500, currency: 'USD', category: 'hotel' })).toMatchObject({ amount: 0, totalAmount: 500, components: [] });
+  });
+
+  it('splits tax within the home state and keeps it whole across states', () => {
+    process.env.TAX_HOME_STATE = 'Maharashtra';
+
+    const intra = calculateTax({ amount: 1000, currency: 'INR', category: 'equipment', state: 'maharashtra' });
+    expect(intra.components).toEqual([
+      { name: 'CGST', rate: 0.09, amount: 90 },
+      { name: 'SGST', rate: 0.09, amount: 90 }
+    ]);
+
+    const inter = calculateTax({ amount: 1000, currency: 'INR', category: 'equipment', state: 'Karnataka' });
+    expect(inter.components).toEqual([{ name: 'IGST', rate: 0.18, amount: 180 }]);
+  });
+
+  it('lets the last component absorb rounding so the parts add up', () => {
+    const tax = calculateTax({ amount: 0.55, currency: 'INR', category: 'equipment' });
+    const sum = tax.components.reduce((total, component) => total + component.amount, 0);
+    expect(Math.round(sum * 100) / 100).toBe(tax.amount);
+  });
+});
+
+describe('getServiceTax', () => {
+  it('uses the service currency, category and state', () => {
+    const service = { price: { currency: 'INR' }, category: 'transport', location: { state: 'Goa' } };
+    expect(getServiceTax(service, 200)).toMatchObject({ rate: 0.05, amount: 10 });
+  });
+});
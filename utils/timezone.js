@@ -0,0 +1,67 @@
+// Time zone helpers built on Intl, for users' preferences.timezone (IANA names like "Asia/Kolkata")
+const DEFAULT_TIME_ZONE = 'UTC';
+
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// The user's time zone, or UTC when it is missing or not a zone Intl knows
+const resolveTimeZone = (timeZone) => (isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE);
+
+// Minutes a time zone is ahead of UTC at an instant (negative west of Greenwich)
+const getTimeZoneOffset = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: resolveTimeZone(timeZone),
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  const value = (type) => Number(parts.find(part => part.type === type).value);
+
+  const asUTC = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+  return Math.round((asUTC - date.getTime()) / 60000);
+};
+
+// Instant at which a wall-clock time (minutes after midnight) on a UTC-midnight day happens in a zone.
+// The offset is checked a second time so times next to a daylight saving change land correctly.
+const zonedTimeToUtc = (day, minutes, timeZone) => {
+  const wallClock = day.getTime() + minutes * 60 * 1000;
+  const offset = getTimeZoneOffset(new Date(wallClock), timeZone);
+  const adjusted = getTimeZoneOffset(new Date(wallClock - offset * 60 * 1000), timeZone);
+  return new Date(wallClock - adjusted * 60 * 1000);
+};
+
+// e.g. "Mon, 12 Oct 2026, 14:30 (Asia/Kolkata)"
+const formatInTimeZone = (date, timeZone, locale = 'en-GB') => {
+  const zone = resolveTimeZone(timeZone);
+  const formatted = new Intl.DateTimeFormat(locale, {
+    timeZone: zone,
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).format(date);
+  return `${formatted} (${zone})`;
+};
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  resolveTimeZone,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  formatInTimeZone
+};
@@ -0,0 +1,31 @@
+const { resolveTimeZone, getTimeZoneOffset, zonedTimeToUtc, formatInTimeZone } = require('./timezone');
+
+const day = (date) => new Date(`${date}T00:00:00Z`);
+
+describe('timezone', () => {
+  it('falls back to UTC for missing or unknown zones', () => {
+    expect(resolveTimeZone('Asia/Kolkata')).toBe('Asia/Kolkata');
+    expect(resolveTimeZone('Mars/Olympus')).toBe('UTC');
+    expect(resolveTimeZone(undefined)).toBe('UTC');
+  });
+
+  it('gives the offset east of Greenwich in minutes', () => {
+    expect(getTimeZoneOffset(new Date('2025-01-15T12:00:00Z'), 'Asia/Kolkata')).toBe(330);
+    expect(getTimeZoneOffset(new Date('2025-01-15T12:00:00Z'), 'America/New_York')).toBe(-300);
+  });
+
+  it('finds the instant of a wall-clock time in a zone', () => {
+    expect(zonedTimeToUtc(day('2025-01-15'), 10 * 60, 'Asia/Kolkata').toISOString()).toBe('2025-01-15T04:30:00.000Z');
+    expect(zonedTimeToUtc(day('2025-01-15'), 10 * 60, 'UTC').toISOString()).toBe('2025-01-15T10:00:00.000Z');
+  });
+
+  it('uses the offset in force on the day across daylight saving changes', () => {
+    // New York moves from UTC-5 to UTC-4 on 9 March 2025
+    expect(zonedTimeToUtc(day('2025-03-08'), 9 * 60, 'America/New_York').toISOString()).toBe('2025-03-08T14:00:00.000Z');
+    expect(zonedTimeToUtc(day('2025-03-09'), 9 * 60, 'America/New_York').toISOString()).toBe('2025-03-09T13:00:00.000Z');
+  });
+
+  it('formats with the zone name', () => {
+    expect(formatInTimeZone(new Date('2025-01-15T04:30:00Z'), 'Asia/Kolkata')).toMatch(/10:00 \(Asia\/Kolkata\)$/);
+  });
+});
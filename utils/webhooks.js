@@ -0,0 +1,249 @@
+const Payment = require('../models/Payment');
+const Booking = require('../models/Booking');
+const BookingHold = require('../models/BookingHold');
+const CouponRedemption = require('../models/CouponRedemption');
+const WebhookEvent = require('../models/WebhookEvent');
+const { issueRefund, syncBookingRefunds } = require('./refunds');
+const { markDepositPaid } = require('./deposits');
+const { issueInvoiceForPayment } = require('./invoices');
+const { queueBookingEmail } = require('./bookingEmails');
+
+// Payment statuses reached once money was captured
+const CAPTURED_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+// Pauses between attempts made while the gateway waits for our response
+const INLINE_RETRY_DELAYS_MS = [250, 1000];
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Back off exponentially between background retries, capped at an hour
+const retryDelayMinutes = (attempts) => Math.min(2 ** attempts, 60);
+
+// Whether a payment came through only after its booking was cancelled (e.g. expired unpaid)
+const isPaidAfterCancellation = (booking, payment) => booking.status === 'cancelled' &&
+  (payment.purpose === 'deposit' ? !booking.deposit?.paid : !booking.paymentDetails?.paidAt);
+
+// Give a late payment back in full; replays find nothing left to refund
+const refundLatePayment = async (booking, payment) => {
+  if (payment.canBeRefunded()) {
+    await issueRefund(payment, {
+      reason: 'Booking was cancelled before payment was received',
+      notes: { bookingId: booking._id.toString() }
+    });
+    await syncBookingRefunds(booking._id);
+  }
+  return Booking.findById(booking._id);
+};
+
+// Flip the booking behind a completed payment to paid and confirm it if it was still pending.
+// Safe to call more than once (verify endpoint and payment.captured webhook both use it).
+// Deposit payments only put the booking's deposit on hold.
+const markBookingPaid = async (payment) => {
+  if (!payment.booking) return null;
+
+  const booking = await Booking.findById(payment.booking);
+  if (!booking) return null;
+
+  if (isPaidAfterCancellation(booking, payment)) {
+    return refundLatePayment(booking, payment);
+  }
+
+  if (payment.purpose === 'deposit') {
+    const updated = await markDepositPaid(payment);
+    if (updated) await issueInvoiceForPayment(payment);
+    return updated;
+  }
+
+  if (booking.paymentStatus === 'partial') {
+    // A balance payment (e.g. after a reschedule fee) adds to what was paid before
+    if (booking.paymentDetails.transactionId !== payment.gatewayPaymentId) {
+      booking.set('paymentDetails.amountPaid', Math.round(((booking.paymentDetails.amountPaid || 0) + payment.amount) * 100) / 100);
+      booking.set('paymentDetails.transactionId', payment.gatewayPaymentId);
+      booking.set('paymentDetails.paidAt', new Date());
+      if (booking.getBalanceDue() <= 0) booking.paymentStatus = 'paid';
+    }
+  } else if (booking.paymentStatus !== 'paid') {
+    booking.paymentStatus = 'paid';
+    booking.paymentMethod = payment.gateway;
+    booking.set('paymentDetails.transactionId', payment.gatewayPaymentId);
+    booking.set('paymentDetails.paymentIntentId', payment.paymentIntentId);
+    booking.set('paymentDetails.amountPaid', payment.amount);
+    booking.set('paymentDetails.paidAt', new Date());
+  }
+
+  const confirmed = booking.status === 'pending';
+  if (confirmed) {
+    booking.transitionTo('confirmed', { role: 'system', reason: 'Payment received' });
+  }
+
+  await booking.save();
+
+  // Payment went through, the slot no longer needs a checkout hold and the coupon counts as used
+  await BookingHold.releaseForBooking(booking._id);
+  await CouponRedemption.redeemForBooking(booking._id, payment._id);
+
+  // Invoice the payment and email it to the customer (failures are logged, not thrown)
+  await issueInvoiceForPayment(payment);
+
+  if (confirmed) {
+    await queueBookingEmail(booking, 'booking_confirmed');
+  }
+
+  return booking;
+};
+
+// Only the gateway a payment was made with may change it; an event from another gateway
+// (e.g. a mock event naming a Razorpay order) is ignored
+const isFromPaymentGateway = (paymentRecord, gateway) => Boolean(paymentRecord) && paymentRecord.gateway === gateway;
+
+// Event handlers (events are normalized by the gateway adapter).
+// They throw on failure so the event is retried, and return false when there was nothing to update.
+const handlePaymentCaptured = async (payment, gateway) => {
+  // The webhook can arrive before the client calls verify, so match on the order as well
+  const paymentRecord = await Payment.findByGatewayPaymentId(payment.id) ||
+    await Payment.findByGatewayOrderId(payment.orderId);
+  if (!isFromPaymentGateway(paymentRecord, gateway)) return false;
+
+  if (Math.round(payment.amount * 100) !== Math.round(paymentRecord.amount * 100)) {
+    throw new Error(`Captured amount ${payment.amount} does not match order ${payment.orderId} (${paymentRecord.amount})`);
+  }
+
+  paymentRecord.setGatewayPaymentId(payment.id);
+  // Replays must not undo refunds recorded since the capture
+  if (!CAPTURED_STATUSES.includes(paymentRecord.status)) {
+    paymentRecord.status = 'completed';
+  }
+  paymentRecord.metadata = {
+    ...Object.fromEntries(paymentRecord.metadata || []),
+    method: payment.method,
+    capturedAt: new Date().toISOString()
+  };
+  await paymentRecord.save();
+
+  // Update booking payment status
+  await markBookingPaid(paymentRecord);
+  return true;
+};
+
+const handlePaymentFailed = async (payment, gateway) => {
+  const paymentRecord = await Payment.findByGatewayPaymentId(payment.id) ||
+    await Payment.findByGatewayOrderId(payment.orderId);
+  if (!isFromPaymentGateway(paymentRecord, gateway)) return false;
+
+  // A late failure for an attempt that was superseded by a successful one changes nothing
+  if (CAPTURED_STATUSES.includes(paymentRecord.status)) return false;
+
+  paymentRecord.setGatewayPaymentId(payment.id);
+  paymentRecord.status = 'failed';
+  paymentRecord.failureReason = payment.errorDescription;
+  paymentRecord.failureCode = payment.errorCode;
+  await paymentRecord.save();
+
+  // Update booking payment status (a paid booking is left alone if a retry or balance payment failed).
+  // A failed deposit payment leaves the booking payment as it was.
+  if (paymentRecord.booking && paymentRecord.purpose !== 'deposit') {
+    await Booking.findOneAndUpdate(
+      { _id: paymentRecord.booking, paymentStatus: { $nin: ['paid', 'partial'] } },
+      { paymentStatus: 'failed' }
+    );
+  }
+  return true;
+};
+
+// refund.processed and refund.failed both update the payment's refund ledger
+const handleRefundUpdated = async (refund, gateway) => {
+  const paymentRecord = await Payment.findByGatewayPaymentId(refund.paymentId);
+  if (!isFromPaymentGateway(paymentRecord, gateway)) return false;
+
+  await Payment.recordGatewayRefund(paymentRecord._id, refund);
+
+  // Update booking payment status from the refund totals
+  if (paymentRecord.booking) {
+    await syncBookingRefunds(paymentRecord.booking);
+  }
+  return true;
+};
+
+const dispatchEvent = async (event, gateway) => {
+  switch (event.type) {
+    case 'payment.captured':
+      return handlePaymentCaptured(event.payment, gateway);
+    case 'payment.failed':
+      return handlePaymentFailed(event.payment, gateway);
+    case 'refund.processed':
+      return handleRefundUpdated({ ...event.refund, status: 'processed' }, gateway);
+    case 'refund.failed':
+      return handleRefundUpdated({ ...event.refund, status: 'failed' }, gateway);
+    default:
+      console.log(`Unhandled webhook event: ${event.type}`);
+      return false;
+  }
+};
+
+/**
+ * Run one attempt for a stored webhook event.
+ * The event is claimed first, so concurrent deliveries or workers never process it twice.
+ * `force` also re-runs events that were already processed (admin replay).
+ * Returns the event in its latest state.
+ */
+const processWebhookEvent = async (webhookEvent, { force = false } = {}) => {
+  const claimed = await WebhookEvent.claim(webhookEvent._id, { force });
+  if (!claimed) return WebhookEvent.findById(webhookEvent._id);
+
+  try {
+    const handled = await dispatchEvent(claimed.event || {}, claimed.gateway);
+    claimed.status = handled ? 'processed' : 'ignored';
+    claimed.processedAt = new Date();
+    claimed.lastError = undefined;
+    claimed.nextRetryAt = undefined;
+  } catch (error) {
+    console.error(`Webhook ${claimed.gateway}/${claimed.eventId} failed (attempt ${claimed.attempts}):`, error.message);
+    claimed.status = 'failed';
+    claimed.lastError = error.message;
+    claimed.nextRetryAt = claimed.attempts < WebhookEvent.MAX_ATTEMPTS
+      ? new Date(Date.now() + retryDelayMinutes(claimed.attempts) * 60 * 1000)
+      : undefined;
+  }
+
+  claimed.lockedUntil = undefined;
+  await claimed.save();
+  return claimed;
+};
+
+// Process an event, retrying a couple of times for transient errors before giving up
+const processWithRetry = async (webhookEvent) => {
+  let result = await processWebhookEvent(webhookEvent);
+
+  for (const delay of INLINE_RETRY_DELAYS_MS) {
+    if (!result || result.status !== 'failed' || result.attempts >= WebhookEvent.MAX_ATTEMPTS) break;
+    await wait(delay);
+    result = await processWebhookEvent(result);
+  }
+
+  return result;
+};
+
+// Retry failed events whose back-off has elapsed; meant to be run periodically
+const retryFailedWebhookEvents = async (limit = 50) => {
+  const events = await WebhookEvent.findDueForRetry(limit);
+  const summary = { attempted: events.length, processed: 0, failed: 0 };
+
+  for (const webhookEvent of events) {
+    const result = await processWebhookEvent(webhookEvent);
+    if (result && result.status === 'failed') {
+      summary.failed += 1;
+    } else {
+      summary.processed += 1;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  CAPTURED_STATUSES,
+  markBookingPaid,
+  processWebhookEvent,
+  processWithRetry,
+  retryFailedWebhookEvents
+};
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { startBackgroundJobs, stopBackgroundJobs } = require('./utils/backgroundJobs');
+
+// Runs the job queue worker and the scheduled jobs without the API (npm run worker).
+// Set DISABLE_JOB_WORKER=true on the API servers when the worker runs here instead.
+const start = async () => {
+  try {
+    const conn = await mongoose.connect(process.env.MONGODB_URI);
+    console.log(`MongoDB Connected: ${conn.connection.host}`);
+  } catch (error) {
+    console.error('Database connection error:', error);
+    process.exit(1);
+  }
+
+  startBackgroundJobs({ runWorker: true });
+};
+
+// Let jobs in flight finish before exiting
+const shutdown = async (signal) => {
+  console.log(`${signal} received, stopping job worker`);
+  await stopBackgroundJobs();
+  await mongoose.disconnect();
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+start();